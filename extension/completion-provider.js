@@ -1,7 +1,9 @@
 /**
  * completion-provider.js
  * Core autocomplete logic. Builds Monaco CompletionItemProvider
- * from SQL/PL/SQL keywords, APEX API dictionaries, and live variables.
+ * from SQL/PL/SQL keywords, APEX API dictionaries, live variables and
+ * Page Designer items,
+ * plus the SignatureHelpProvider and HoverProvider built from the same data.
  *
  * Runs in the PAGE context (has access to window.monaco).
  */
@@ -40,18 +42,128 @@
     var params = match[2];
     var suffix = match[3] || ''; // RETURN clause
     // Split parameters and format each on its own line
-    var paramList = params.split(/,\s*/);
+    var paramList = (typeof window.__splitArguments === 'function')
+      ? window.__splitArguments(params)
+      : params.split(/,\s*/);
     // Always format on multiple lines if there are parameters
     return name + '(\n  ' + paramList.join(',\n  ') + '\n)' + suffix;
   }
 
 
+  // ── APEX dictionary entries ──────────────────
+
+  function byPosition(a, b) {
+    return (a.position || 0) - (b.position || 0);
+  }
+
+  /**
+   * Convert a structured dictionary argument
+   * ({name, type, direction, default, position}) into the parameter
+   * shape produced by __parseSignature.
+   */
+  function argumentToParam(arg) {
+    var direction = (arg.direction || 'IN').toUpperCase().replace(/\s*\/\s*|\s+/g, ' ');
+    var defaultValue = (arg['default'] === undefined || arg['default'] === null)
+      ? null : String(arg['default']);
+    var text = (arg.name + ' ' + direction + ' ' + (arg.type || '')).trim();
+    return {
+      name:         arg.name,
+      direction:    direction,
+      type:         arg.type || '',
+      defaultValue: defaultValue,
+      optional:     defaultValue !== null || arg.optional === true,
+      text:         defaultValue !== null ? text + ' DEFAULT ' + defaultValue : text
+    };
+  }
+
+  /**
+   * Name, parameters and return type of a dictionary entry: from its
+   * structured "arguments" when present, otherwise parsed from the
+   * signature string.
+   * @returns {?{name:string, params:Array, returnType:?string}}
+   */
+  function parseEntry(entry) {
+    if (entry.arguments) {
+      return {
+        name:       entry.label,
+        params:     entry.arguments.slice().sort(byPosition).map(argumentToParam),
+        returnType: entry.kind === 'procedure' ? null : entry.returnType || null
+      };
+    }
+    if (!entry.signature || typeof window.__parseSignature !== 'function') return null;
+    return window.__parseSignature(entry.signature);
+  }
+
+  function buildSignatureText(parsed) {
+    var text = parsed.name;
+    if (parsed.params.length) {
+      text += '(' + parsed.params.map(function (p) { return p.text; }).join(', ') + ')';
+    }
+    if (parsed.returnType) text += ' RETURN ' + parsed.returnType;
+    return text;
+  }
+
+  // Entries with structured arguments get a signature string built from them
+  function normalizeEntry(entry) {
+    if (!entry.arguments) return entry;
+    return Object.assign({}, entry, { signature: buildSignatureText(parseEntry(entry)) });
+  }
+
+  /**
+   * The overloads of an APEX dictionary entry. Each overload may carry
+   * its own signature or arguments, kind and returnType; missing fields
+   * are taken from the entry. Entries without an "overloads" array
+   * count as one.
+   */
+  function getOverloads(proc) {
+    if (!proc.overloads || !proc.overloads.length) return [normalizeEntry(proc)];
+    return proc.overloads.map(function (overload) {
+      var merged = Object.assign({}, proc, { overloads: null }, overload);
+      // A signature-only overload must not inherit the entry's arguments
+      if (!overload.arguments) merged.arguments = null;
+      return normalizeEntry(merged);
+    });
+  }
+
+  function isFunctionEntry(proc) {
+    // Use explicit 'kind' field if available, fallback to signature heuristic
+    return proc.kind === 'function' ||
+      (!proc.kind && !!proc.signature && proc.signature.indexOf('RETURN') !== -1);
+  }
+
+  function describeKind(proc) {
+    if (!isFunctionEntry(proc)) return 'procedure';
+    return proc.returnType ? 'function → ' + proc.returnType : 'function';
+  }
+
+  /** "**Deprecated** since 5.1 — use `APEX_STRING.SPLIT`", or null. */
+  function describeDeprecation(proc) {
+    var deprecated = proc.deprecated;
+    if (!deprecated) return null;
+    var text = '**Deprecated**' + (deprecated.since ? ' since ' + deprecated.since : '');
+    if (deprecated.replacement) text += ' — use `' + deprecated.replacement + '`';
+    if (deprecated.note) text += '. ' + deprecated.note;
+    return text;
+  }
+
+  /** Strike deprecated entries through in the suggestion list. */
+  function tagDeprecated(monaco, item, proc) {
+    var tags = monaco.languages.CompletionItemTag;
+    if (proc.deprecated && tags) item.tags = [tags.Deprecated];
+    return item;
+  }
+
+  // "1 of 4" suffix for overloaded entries
+  function describeOverload(index, count) {
+    return count > 1 ? ' (' + (index + 1) + ' of ' + count + ')' : '';
+  }
+
   // ── Build items from dictionaries ────────────
 
-  function buildKeywordItems(monaco, dict) {
+  function buildKeywordItems(monaco, dict, sqlFunctions) {
     if (!dict || !dict.keywords) return [];
     return dict.keywords.map(function (kw) {
-      return {
+      var item = {
         label:      kw.label,
         kind:       getKind(monaco, kw.category),
         detail:     kw.detail || kw.category,
@@ -59,9 +171,30 @@
         sortText:   '2_' + kw.label,
         filterText: kw.label
       };
+      var fn = sqlFunctions && sqlFunctions[kw.label.toUpperCase()];
+      if (fn) item.documentation = { value: describeSqlFunction(fn).join('\n\n') };
+      return item;
     });
   }
 
+  // ── SQL built-in functions ───────────────────
+
+  function buildSqlFunctionIndex(dict) {
+    var index = {};
+    if (!dict || !dict.functions) return index;
+    dict.functions.forEach(function (fn) { index[fn.name.toUpperCase()] = fn; });
+    return index;
+  }
+
+  /** Every signature variant of a SQL function, followed by its usage note. */
+  function describeSqlFunction(fn) {
+    var parts = (fn.signatures || []).map(function (sig) {
+      return '```plsql\n' + formatSignature(sig) + '\n```';
+    });
+    if (fn.description) parts.push(fn.description);
+    return parts;
+  }
+
   function buildSnippetItems(monaco, dict) {
     if (!dict || !dict.snippets) return [];
     return dict.snippets.map(function (sn) {
@@ -77,42 +210,39 @@
     });
   }
 
-  function buildApexItems(monaco, apiDict) {
+  function buildApexItems(monaco, apiDict, packageDetail) {
     if (!apiDict || !apiDict.packages) return [];
     var items = [];
     apiDict.packages.forEach(function (pkg) {
       items.push({
         label:      pkg.name,
         kind:       getKind(monaco, 'apex_pkg'),
-        detail:     'APEX Package',
+        detail:     packageDetail || 'APEX Package',
         insertText: pkg.name,
         sortText:   '3_' + pkg.name
       });
       if (!pkg.procedures) return;
       pkg.procedures.forEach(function (proc) {
-        // Use explicit 'kind' field if available, fallback to signature heuristic
-        var isFunc = proc.kind === 'function' ||
-          (!proc.kind && proc.signature && proc.signature.indexOf('RETURN') !== -1);
-        var kindDetail = isFunc
-          ? (proc.returnType ? 'function → ' + proc.returnType : 'function')
-          : 'procedure';
-        var detail = kindDetail;
-        // Format signature with line breaks for readability
-        var formattedSig = formatSignature(proc.signature);
-        // Full documentation with alias info and signature
-        var docParts = [];
-
-        /*docParts.push('*' + kindDetail + '*' );*/
-        if (formattedSig) docParts.push('```plsql\n' + formattedSig + '\n```');
-        docParts.push('\n\n');
-        /*if (proc.detail) docParts.push('alias for `' + proc.detail + '`');*/
-        items.push({
-          label:         proc.label,
-          kind:          getKind(monaco, isFunc ? 'apex_func' : 'apex_proc'),
-          detail:        detail,
-          insertText:    proc.label,
-          documentation: { value: docParts.join('\n\n') },
-          sortText:      '3_' + proc.label
+        var overloads = getOverloads(proc);
+        overloads.forEach(function (overload, i) {
+          var detail = describeKind(overload) + describeOverload(i, overloads.length);
+          // Format signature with line breaks for readability
+          var formattedSig = formatSignature(overload.signature);
+          // Full documentation with alias info and signature
+          var docParts = [];
+          var deprecation = describeDeprecation(overload);
+          if (deprecation) docParts.push(deprecation);
+          if (formattedSig) docParts.push('```plsql\n' + formattedSig + '\n```');
+          docParts.push('\n\n');
+          items.push(tagDeprecated(monaco, {
+            label:         proc.label,
+            kind:          getKind(monaco, isFunctionEntry(overload) ? 'apex_func' : 'apex_proc'),
+            detail:        detail,
+            insertText:    proc.label,
+            documentation: { value: docParts.join('\n\n') },
+            sortText:      '3_' + proc.label,
+            callEntry:     overload
+          }, overload));
         });
       });
     });
@@ -131,19 +261,34 @@
     });
   }
 
+  /**
+   * Variables visible at a line, falling back to every declaration
+   * when the scope-aware parser functions are not loaded.
+   */
+  function getVariablesAt(code, lineNumber) {
+    if (typeof window.__extractScopedVariables === 'function' &&
+        typeof window.__getVisibleVariables === 'function') {
+      return window.__getVisibleVariables(window.__extractScopedVariables(code), lineNumber);
+    }
+    return (typeof window.__extractVariables === 'function')
+      ? window.__extractVariables(code) : [];
+  }
+
   function buildLocalProgramData(monaco, code) {
     var items = [];
     var packageMap = {};
-    if (!code) return { items: items, packageMap: packageMap };
+    var signatures = {};
+    if (!code) return { items: items, packageMap: packageMap, signatures: signatures };
 
-    function addTopLevel(label, isFunc) {
+    function addTopLevel(label, isFunc, signature) {
       items.push({
         label: label,
         kind: isFunc ? monaco.languages.CompletionItemKind.Function
                      : monaco.languages.CompletionItemKind.Method,
         detail: isFunc ? 'function (local)' : 'procedure (local)',
         insertText: label,
-        sortText: '1_' + label
+        sortText: '1_' + label,
+        callEntry: { signature: signature }
       });
     }
 
@@ -161,14 +306,18 @@
       while ((mm = memberRe.exec(body)) !== null) {
         var isFunc = mm[1].toUpperCase() === 'FUNCTION';
         var member = mm[2];
-        addTopLevel(pkgName + '.' + member, isFunc);
+        var memberSig = readRoutineSignature(body, memberRe.lastIndex, pkgName + '.' + member, isFunc);
+        addSignature(signatures, pkgName + '.' + member, memberSig, 'local');
+        addSignature(signatures, member, memberSig, 'local');
+        addTopLevel(pkgName + '.' + member, isFunc, memberSig);
         packageMap[upper].push({
           label: member,
           kind: isFunc ? monaco.languages.CompletionItemKind.Function
                        : monaco.languages.CompletionItemKind.Method,
           detail: isFunc ? 'function (local)' : 'procedure (local)',
           insertText: member,
-          sortText: '1_' + member
+          sortText: '1_' + member,
+          callEntry: { signature: memberSig }
         });
       }
     }
@@ -177,54 +326,597 @@
     var standaloneRe = /CREATE\s+(?:OR\s+REPLACE\s+)?(PROCEDURE|FUNCTION)\s+((?:\w+\.)?\w+)/gi;
     var sm;
     while ((sm = standaloneRe.exec(code)) !== null) {
-      addTopLevel(sm[2], sm[1].toUpperCase() === 'FUNCTION');
+      var isStandaloneFunc = sm[1].toUpperCase() === 'FUNCTION';
+      var standaloneSig = readRoutineSignature(code, standaloneRe.lastIndex, sm[2], isStandaloneFunc);
+      addSignature(signatures, sm[2], standaloneSig, 'local');
+      addTopLevel(sm[2], isStandaloneFunc, standaloneSig);
     }
 
-    return { items: items, packageMap: packageMap };
+    return { items: items, packageMap: packageMap, signatures: signatures };
+  }
+
+  /**
+   * Read the parameter list and RETURN clause following a routine name
+   * and rebuild a dictionary-style signature string from them.
+   */
+  function readRoutineSignature(code, startIdx, qualifiedName, isFunc) {
+    var rest = code.substring(startIdx);
+    var sig = qualifiedName;
+    var open = rest.match(/^\s*\(/);
+    if (open) {
+      var openIdx = open[0].length - 1;
+      var closeIdx = window.__findClosingParen(rest, openIdx);
+      if (closeIdx === -1) return sig;
+      sig += '(' + rest.substring(openIdx + 1, closeIdx).replace(/\s+/g, ' ').trim() + ')';
+      rest = rest.substring(closeIdx + 1);
+    }
+    if (isFunc) {
+      var ret = rest.match(/^\s*RETURN\s+([\w$#.%]+)/i);
+      if (ret) sig += ' RETURN ' + ret[1].toUpperCase();
+    }
+    return sig;
   }
 
   // ── Package-dot lookup ───────────────────────
 
+  var PACKAGE_SECTIONS = ['procedures', 'constants', 'variables', 'types'];
+
+  /**
+   * APEX API packages (with their constants, variables and types from
+   * apex-declarations.json) followed by the Oracle built-in packages
+   * (DBMS_*, UTL_*, OWA_*, HTP), the custom packages parsed from package
+   * specs on the options page and the third-party dictionary packs enabled
+   * for the workspace, in the apex-api.json format.
+   * Packages found in several dictionaries are merged section by section.
+   */
+  function getPackageDictionary() {
+    var packages = [];
+    var byName = {};
+    var types = [];
+    [window.__apexApi, window.__apexDeclarations, window.__oraclePackages, window.__customPackages,
+      window.__dictionaryPacks].forEach(function (dict) {
+      if (!dict) return;
+      if (dict.types) types = types.concat(dict.types);
+      (dict.packages || []).forEach(function (pkg) {
+        var key = pkg.name.toUpperCase();
+        if (!byName[key]) {
+          byName[key] = Object.assign({}, pkg);
+          packages.push(byName[key]);
+          return;
+        }
+        PACKAGE_SECTIONS.forEach(function (section) {
+          if (pkg[section]) byName[key][section] = (byName[key][section] || []).concat(pkg[section]);
+        });
+      });
+    });
+    return { packages: packages, types: types };
+  }
+
   function buildPackageMap(monaco, apiDict) {
     var map = {};
     if (!apiDict || !apiDict.packages) return map;
     apiDict.packages.forEach(function (pkg) {
-      if (!pkg.procedures) return;
-      map[pkg.name.toUpperCase()] = pkg.procedures.map(function (proc) {
+      var key = pkg.name.toUpperCase();
+      var members = map[key] = map[key] || [];
+      DECLARATION_SECTIONS.forEach(function (section) {
+        (pkg[section] || []).forEach(function (decl) {
+          members.push(buildDeclarationItem(monaco, decl, section));
+        });
+      });
+      (pkg.procedures || []).forEach(function (proc) {
         var shortName = proc.label.indexOf('.') !== -1
           ? proc.label.split('.').pop()
           : proc.label;
-        // Use explicit 'kind' field if available, fallback to signature heuristic
-        var isFunc = proc.kind === 'function' ||
-          (!proc.kind && proc.signature && proc.signature.indexOf('RETURN') !== -1);
-
-        var kindDetail = isFunc
-          ? (proc.returnType ? 'function → ' + proc.returnType : 'function')
-          : 'procedure';
-        var detail = kindDetail;
-        // Format signature with line breaks for readability
-        var formattedSig = formatSignature(proc.signature);
-        // Full documentation with alias info and signature
-        var docParts = [];
-
-        /*docParts.push('*' + kindDetail + '*' + 'ok');*/
-        if (formattedSig) docParts.push('```plsql\n' + formattedSig + '\n```');
-        docParts.push('\n\n');
-        /*if (proc.detail) docParts.push('alias for `' + proc.detail + '`');*/
-        return {
-          label:         shortName,
-          kind:          isFunc ? monaco.languages.CompletionItemKind.Function
-                                : monaco.languages.CompletionItemKind.Method,
-          detail:        detail,
-          insertText:    shortName,
-          documentation: { value: docParts.join('\n\n') },
-          sortText:      '1_' + shortName
-        };
+        var overloads = getOverloads(proc);
+        overloads.forEach(function (overload, i) {
+          var detail = describeKind(overload) + describeOverload(i, overloads.length);
+          // Format signature with line breaks for readability
+          var formattedSig = formatSignature(overload.signature);
+          // Full documentation with alias info and signature
+          var docParts = [];
+          var deprecation = describeDeprecation(overload);
+          if (deprecation) docParts.push(deprecation);
+          if (formattedSig) docParts.push('```plsql\n' + formattedSig + '\n```');
+          if (overload.description) docParts.push(overload.description);
+          docParts.push('\n\n');
+          members.push(tagDeprecated(monaco, {
+            label:         shortName,
+            kind:          isFunctionEntry(overload) ? monaco.languages.CompletionItemKind.Function
+                                                     : monaco.languages.CompletionItemKind.Method,
+            detail:        detail,
+            insertText:    shortName,
+            documentation: { value: docParts.join('\n\n') },
+            sortText:      '1_' + shortName,
+            callEntry:     overload
+          }, overload));
+        });
       });
     });
     return map;
   }
 
+  // ── Package constants, variables and types ───
+
+  var DECLARATION_SECTIONS = ['constants', 'variables', 'types'];
+
+  function isRecordType(decl) {
+    return Array.isArray(decl.fields);
+  }
+
+  /** One-line description: "constant T_LOG_LEVEL := 4", "VARCHAR2", "record type"... */
+  function describeDeclaration(decl, section) {
+    if (section === 'constants') {
+      return 'constant' + (decl.type ? ' ' + decl.type : '') + (decl.value ? ' := ' + decl.value : '');
+    }
+    if (section === 'variables') return decl.type || 'variable';
+    if (isRecordType(decl)) return 'record type';
+    return 'type' + (decl.definition ? ' — ' + decl.definition : '');
+  }
+
+  /** Markdown parts: record types list their fields, then the description. */
+  function documentDeclaration(decl) {
+    var parts = [];
+    if (isRecordType(decl)) {
+      parts.push('```plsql\nTYPE ' + decl.name + ' IS RECORD (\n  ' +
+        decl.fields.map(function (field) {
+          return (field.name + ' ' + (field.type || '')).trim();
+        }).join(',\n  ') + '\n)\n```');
+    }
+    if (decl.description) parts.push(decl.description);
+    return parts;
+  }
+
+  function buildDeclarationItem(monaco, decl, section) {
+    var K = monaco.languages.CompletionItemKind;
+    var kind = section === 'constants' ? K.Constant
+      : section === 'variables' ? K.Variable
+      : isRecordType(decl) ? K.Struct : K.TypeParameter;
+    var docParts = documentDeclaration(decl);
+    return {
+      label:         decl.name,
+      kind:          kind,
+      detail:        describeDeclaration(decl, section),
+      insertText:    decl.name,
+      documentation: docParts.length ? { value: docParts.join('\n\n') } : undefined,
+      sortText:      '1_' + decl.name
+    };
+  }
+
+  /** Top-level schema types such as APEX_T_VARCHAR2. */
+  function buildTypeItems(monaco, types) {
+    return (types || []).map(function (decl) {
+      return Object.assign(buildDeclarationItem(monaco, decl, 'types'), { sortText: '3_' + decl.name });
+    });
+  }
+
+  /**
+   * Record types by qualified name ("APEX_PLUGIN.T_ITEM", "APEX_T_EXPORT_FILE"),
+   * for field completion on variables declared with them.
+   */
+  function buildRecordTypeIndex(apiDict) {
+    var index = {};
+    function add(name, decl) {
+      if (isRecordType(decl)) index[name.toUpperCase()] = decl;
+    }
+    (apiDict.types || []).forEach(function (decl) { add(decl.name, decl); });
+    (apiDict.packages || []).forEach(function (pkg) {
+      (pkg.types || []).forEach(function (decl) { add(pkg.name + '.' + decl.name, decl); });
+    });
+    return index;
+  }
+
+  /**
+   * Fields of a variable declared with a dictionary record type,
+   * in the shape returned by window.__getRecordFields.
+   */
+  function getDictionaryRecordFields(code, name, lineNumber, recordTypeIndex) {
+    var key = name.toUpperCase();
+    var variable = null;
+    getVariablesAt(code, lineNumber).forEach(function (v) {
+      if (v.name.toUpperCase() === key) variable = v;
+    });
+    var typeName = variable && variable.type.toUpperCase();
+    var decl = typeName && recordTypeIndex[typeName];
+    if (!decl) return [];
+    return decl.fields.map(function (field) {
+      return { name: field.name, type: field.type || null, source: 'record ' + typeName };
+    });
+  }
+
+  // ── Signature lookup ─────────────────────────
+
+  function addSignature(index, name, signature, source, dictEntry) {
+    if (!signature) return;
+    var key = name.toUpperCase();
+    if (!index[key]) index[key] = [];
+    var exists = index[key].some(function (entry) {
+      return entry.signature.toUpperCase() === signature.toUpperCase();
+    });
+    if (exists) return;
+    var entry = { signature: signature, source: source };
+    if (dictEntry && dictEntry.description) entry.description = dictEntry.description;
+    // Keep structured arguments so optional parameters stay known
+    if (dictEntry && dictEntry.arguments) {
+      entry.label = name;
+      entry.arguments = dictEntry.arguments;
+      entry.kind = dictEntry.kind;
+      entry.returnType = dictEntry.returnType;
+    }
+    index[key].push(entry);
+  }
+
+  function buildSignatureIndex(apiDict) {
+    var index = {};
+    if (!apiDict || !apiDict.packages) return index;
+    apiDict.packages.forEach(function (pkg) {
+      if (!pkg.procedures) return;
+      pkg.procedures.forEach(function (proc) {
+        getOverloads(proc).forEach(function (overload) {
+          addSignature(index, proc.label, overload.signature, 'apex', overload);
+        });
+      });
+    });
+    return index;
+  }
+
+  function addSqlFunctionSignatures(index, dict) {
+    if (!dict || !dict.functions) return index;
+    dict.functions.forEach(function (fn) {
+      (fn.signatures || []).forEach(function (sig) {
+        addSignature(index, fn.name, sig, 'sql', fn);
+      });
+    });
+    return index;
+  }
+
+  /** Package members (APEX and Oracle built-ins) and SQL built-in functions. */
+  function buildCallSignatureIndex() {
+    return addSqlFunctionSignatures(buildSignatureIndex(getPackageDictionary()), window.__sqlFunctions);
+  }
+
+  /**
+   * Signatures declared in the current code: routines found by
+   * buildLocalProgramData plus every header the variable parser sees
+   * (including routines nested in DECLARE sections).
+   */
+  function buildLocalSignatures(monaco, code, localProgramData) {
+    var signatures = (localProgramData || buildLocalProgramData(monaco, code)).signatures;
+    if (typeof window.__extractRoutines === 'function') {
+      window.__extractRoutines(code).forEach(function (routine) {
+        addSignature(signatures, routine.name, routine.signature, 'local');
+      });
+    }
+    return signatures;
+  }
+
+  function lookupSignatures(name, index, localIndex) {
+    var key = name.toUpperCase();
+    return (localIndex[key] || []).concat(index[key] || []);
+  }
+
+  // ── Named-notation call snippets ─────────────
+
+  function getSettings() {
+    return window.__apexSettings || {};
+  }
+
+  function escapeSnippet(text) {
+    return text.replace(/[$}\\]/g, '\\$&');
+  }
+
+  /**
+   * Build a named-notation call snippet from a signature, e.g.
+   * "SET_SESSION_STATE(p_name => ${1}, p_value => ${2});".
+   * mode 'required' leaves out parameters with a default,
+   * mode 'all' keeps them after the required ones.
+   * Returns null when there is nothing to fill in.
+   */
+  function buildCallSnippet(name, entry, mode) {
+    var parsed = parseEntry(entry);
+    if (!parsed || !parsed.params.length) return null;
+
+    var required = parsed.params.filter(function (p) { return !p.optional; });
+    var optional = mode === 'all'
+      ? parsed.params.filter(function (p) { return p.optional; })
+      : [];
+    var params = required.concat(optional);
+    if (!params.length) return null;
+
+    var args = params.map(function (p, i) {
+      return escapeSnippet(p.name.toLowerCase()) + ' => ${' + (i + 1) + '}';
+    });
+    var call = args.length > 3
+      ? '(\n  ' + args.join(',\n  ') + '\n)'
+      : '(' + args.join(', ') + ')';
+    return escapeSnippet(name) + call + (parsed.returnType ? '' : ';');
+  }
+
+  function finalizeItem(monaco, item, range, callSnippets) {
+    var result = Object.assign({}, item, { range: range });
+    if (callSnippets !== 'required' && callSnippets !== 'all') return result;
+    if (!item.callEntry) return result;
+
+    var snippet = buildCallSnippet(item.insertText, item.callEntry, callSnippets);
+    if (snippet) {
+      result.insertText = snippet;
+      result.insertTextRules = monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet;
+    }
+    return result;
+  }
+
+  // ── Parameter-name completion ────────────────
+
+  /**
+   * Whether a parameter list can accept the arguments of a call so far:
+   * every named argument exists and there are enough parameters for
+   * the positional ones.
+   */
+  function matchesCall(params, call) {
+    var names = params.map(function (param) { return param.name.toUpperCase(); });
+    var named = call.namedArgs.concat(call.currentName ? [call.currentName] : []);
+    var allKnown = named.every(function (name) { return names.indexOf(name) !== -1; });
+    var variadic = params.length > 0 && params[params.length - 1].variadic;
+    return allKnown && (variadic || call.argIndex - call.namedArgs.length <= params.length);
+  }
+
+  /**
+   * Inside an open call, offer "p_name =>" for each parameter that
+   * has not been supplied yet (by name or by position).
+   * Returns null when the cursor is not at the start of an argument
+   * of a call with a known signature.
+   */
+  function buildParameterItems(monaco, calls, signatureIndex, localSignatures) {
+    if (!calls.length) return null;
+    var call = calls[0];
+    if (!/^\s*[\w$#]*$/.test(call.currentArg)) return null;
+
+    // SQL functions take no named arguments
+    var entries = lookupSignatures(call.name, signatureIndex, localSignatures)
+      .filter(function (entry) { return entry.source !== 'sql'; });
+    if (!entries.length) return null;
+
+    var supplied = {};
+    call.namedArgs.forEach(function (name) { supplied[name] = true; });
+    var positional = call.argIndex - call.namedArgs.length;
+
+    var items = [];
+    var seen = {};
+    var parsedEntries = entries.map(parseEntry).filter(Boolean);
+    var matching = parsedEntries.filter(function (parsed) { return matchesCall(parsed.params, call); });
+    (matching.length ? matching : parsedEntries).forEach(function (parsed) {
+      parsed.params.forEach(function (param, i) {
+        var key = param.name.toUpperCase();
+        if (supplied[key] || seen[key] || i < positional) return;
+        seen[key] = true;
+        var name = param.name.toLowerCase();
+        items.push({
+          label:         name + ' =>',
+          kind:          monaco.languages.CompletionItemKind.Property,
+          detail:        (param.direction + ' ' + param.type).trim() + (param.optional ? ' (optional)' : ''),
+          documentation: param.defaultValue ? 'Default: ' + param.defaultValue : undefined,
+          insertText:    name + ' => ',
+          filterText:    name,
+          sortText:      '0_' + ('00' + items.length).slice(-3)
+        });
+      });
+    });
+    return items;
+  }
+
+  function buildFieldItems(monaco, fields, range) {
+    return fields.map(function (field, i) {
+      return {
+        label:      field.name,
+        kind:       monaco.languages.CompletionItemKind.Field,
+        detail:     field.type ? field.type + ' (' + field.source + ')' : field.source,
+        insertText: field.name,
+        sortText:   '0_' + ('00' + i).slice(-3),
+        range:      range
+      };
+    });
+  }
+
+  // ── Collection / object type methods ─────────
+
+  /**
+   * Index the type-method dictionary by type name, resolving "extends"
+   * so that e.g. JSON_OBJECT_T also lists the JSON_ELEMENT_T methods.
+   */
+  function buildTypeMethodIndex(dict) {
+    var byName = {};
+    var index = {};
+    if (!dict || !dict.types) return index;
+    dict.types.forEach(function (t) { byName[t.name.toUpperCase()] = t; });
+
+    function collect(name, seen) {
+      var type = byName[name];
+      if (!type || seen[name]) return [];
+      seen[name] = true;
+      var own = type.methods || [];
+      var ownLabels = own.map(function (method) { return method.label.toUpperCase(); });
+      var inherited = type['extends'] ? collect(type['extends'].toUpperCase(), seen) : [];
+      return own.concat(inherited.filter(function (method) {
+        return ownLabels.indexOf(method.label.toUpperCase()) === -1;
+      }));
+    }
+
+    Object.keys(byName).forEach(function (name) {
+      index[name] = { type: byName[name], methods: collect(name, {}) };
+    });
+    return index;
+  }
+
+  /**
+   * Methods for the variable before the dot, resolving local
+   * collection type declarations to their collection kind.
+   */
+  function getTypeMethods(code, name, lineNumber, typeMethodIndex) {
+    var key = name.toUpperCase();
+    var variable = null;
+    getVariablesAt(code, lineNumber).forEach(function (v) {
+      if (v.name.toUpperCase() === key) variable = v;
+    });
+    if (!variable) return null;
+
+    var typeName = variable.type.toUpperCase();
+    var localKinds = (typeof window.__extractCollectionTypes === 'function')
+      ? window.__extractCollectionTypes(code) : {};
+    return typeMethodIndex[localKinds[typeName] || typeName] || null;
+  }
+
+  function buildMethodItems(monaco, entry, range) {
+    return entry.methods.map(function (method, i) {
+      return {
+        label:         method.label,
+        kind:          monaco.languages.CompletionItemKind.Method,
+        detail:        method.signature,
+        documentation: method.detail + ' (' + entry.type.name + ')',
+        insertText:    method.label,
+        sortText:      '0_' + ('00' + i).slice(-3),
+        range:         range
+      };
+    });
+  }
+
+  // ── Attributes after "%" ─────────────────────
+
+  // Attributes that only exist on the implicit SQL cursor
+  var SQL_ONLY_ATTRIBUTES = ['%BULK_ROWCOUNT', '%BULK_EXCEPTIONS'];
+
+  /** Whether the end of the line text is inside a string literal (odd number of quotes). */
+  function isInsideString(before) {
+    return (before.match(/'/g) || []).length % 2 === 1;
+  }
+
+  /**
+   * Detect "name%" (optionally followed by a partial attribute) before the cursor.
+   * @returns {?{name:string, startColumn:number}} null when not in an attribute
+   */
+  function getAttributePrefix(model, position) {
+    var line = model.getLineContent(position.lineNumber);
+    var before = line.substring(0, position.column - 1);
+    // Ignore "%" inside string literals (LIKE patterns)
+    if (isInsideString(before)) return null;
+    var m = before.match(/([A-Za-z][\w$#]*(?:\.[A-Za-z][\w$#]*)?)%(\w*)$/);
+    if (!m) return null;
+    return { name: m[1].toUpperCase(), startColumn: position.column - m[2].length - 1 };
+  }
+
+  /**
+   * Pick the attributes that apply to the prefix: cursor attributes for
+   * SQL and declared cursors, %TYPE for variables and table.column,
+   * %TYPE / %ROWTYPE for anything else (tables, views).
+   */
+  function filterAttributes(attributes, prefix, variables) {
+    var kind = 'table';
+    if (prefix.name === 'SQL') {
+      kind = 'sql';
+    } else if (prefix.name.indexOf('.') !== -1) {
+      kind = 'column';
+    } else {
+      variables.forEach(function (v) {
+        if (v.name.toUpperCase() !== prefix.name) return;
+        var type = v.type.toUpperCase();
+        if (type === 'CURSOR') kind = 'cursor';
+        else if (/REF\s*CURSOR$/.test(type)) kind = 'refcursor';
+        else kind = 'variable';
+      });
+    }
+
+    return attributes.filter(function (kw) {
+      var label = kw.label.toUpperCase();
+      var isCursorAttr = kw.category === 'cursor_attr';
+      switch (kind) {
+        case 'sql':       return isCursorAttr;
+        case 'cursor':    return (isCursorAttr && SQL_ONLY_ATTRIBUTES.indexOf(label) === -1) ||
+                                 label === '%ROWTYPE';
+        case 'refcursor': return isCursorAttr && SQL_ONLY_ATTRIBUTES.indexOf(label) === -1;
+        case 'variable':
+        case 'column':    return label === '%TYPE';
+        default:          return !isCursorAttr;
+      }
+    });
+  }
+
+  // ── Bind variables after ":" ─────────────────
+
+  /**
+   * Detect ":" (optionally followed by a partial name) before the cursor,
+   * leaving ":=" and "::" alone.
+   * @returns {?{name:string, startColumn:number}}
+   */
+  function getBindPrefix(model, position) {
+    var line = model.getLineContent(position.lineNumber);
+    var before = line.substring(0, position.column - 1);
+    // Ignore ":" inside string literals (format masks such as 'HH24:MI')
+    if (isInsideString(before)) return null;
+    var m = before.match(/(^|[^\w$#:]):([A-Za-z][\w$#]*)?$/);
+    if (!m) return null;
+    var name = m[2] || '';
+    return { name: name.toUpperCase(), startColumn: position.column - name.length - 1 };
+  }
+
+  function getPageItems() {
+    return (typeof window.__getPageItems === 'function')
+      ? window.__getPageItems() : { pageId: null, items: [] };
+  }
+
+  /**
+   * Page Designer items first, then application items, APEX built-ins
+   * (:APP_USER, :REQUEST, ...) and finally binds already used in the
+   * editor that none of these know about.
+   */
+  function buildBindItems(monaco, pageItems, code, prefix, range) {
+    var seen = {};
+    var items = [];
+
+    pageItems.items.forEach(function (item) {
+      if (seen[item.name]) return;
+      seen[item.name] = true;
+      items.push({
+        label:         ':' + item.name,
+        kind:          monaco.languages.CompletionItemKind.Variable,
+        detail:        window.__describePageItem(item, pageItems.pageId) + (item.type ? ' · ' + item.type : ''),
+        documentation: item.label || undefined,
+        insertText:    ':' + item.name,
+        sortText:      (item.source === 'application' ? '1_' : '0_') + item.name,
+        range:         range
+      });
+    });
+
+    var builtins = (window.__substitutionStrings && window.__substitutionStrings.strings) || [];
+    builtins.forEach(function (entry) {
+      if (seen[entry.name] || !entry.syntax || entry.syntax.indexOf('bind') === -1) return;
+      seen[entry.name] = true;
+      items.push({
+        label:         ':' + entry.name,
+        kind:          monaco.languages.CompletionItemKind.Variable,
+        detail:        'APEX built-in',
+        documentation: entry.description,
+        insertText:    ':' + entry.name,
+        sortText:      '2_' + entry.name,
+        range:         range
+      });
+    });
+
+    var used = (typeof window.__extractBindVariables === 'function')
+      ? window.__extractBindVariables(code) : [];
+    used.forEach(function (name) {
+      // Skip the partial name being typed
+      if (seen[name] || name === prefix.name) return;
+      seen[name] = true;
+      items.push({
+        label:      ':' + name,
+        kind:       monaco.languages.CompletionItemKind.Variable,
+        detail:     'Bind variable (used in this editor)',
+        insertText: ':' + name,
+        sortText:   '3_' + name,
+        range:      range
+      });
+    });
+    return items;
+  }
+
   // ── Detect package prefix before cursor ──────
 
   function getPackagePrefix(model, position) {
@@ -239,6 +931,23 @@
     return null;
   }
 
+  // ── Text before cursor ───────────────────────
+
+  function getTextUntilPosition(model, position) {
+    if (typeof model.getValueInRange === 'function') {
+      return model.getValueInRange({
+        startLineNumber: 1,
+        startColumn:     1,
+        endLineNumber:   position.lineNumber,
+        endColumn:       position.column
+      });
+    }
+    var lines = model.getValue().split('\n').slice(0, position.lineNumber);
+    var last = lines.length - 1;
+    lines[last] = (lines[last] || '').substring(0, position.column - 1);
+    return lines.join('\n');
+  }
+
   // ── Range helper ─────────────────────────────
 
   function getRange(model, position) {
@@ -254,24 +963,66 @@
   // ── Create the provider ──────────────────────
 
   function createCompletionProvider(monaco) {
-    var sqlItems    = buildKeywordItems(monaco, window.__sqlKeywords);
-    var plsqlItems  = buildKeywordItems(monaco, window.__plsqlKeywords);
+    var sqlFunctions = buildSqlFunctionIndex(window.__sqlFunctions);
+    var sqlItems    = buildKeywordItems(monaco, window.__sqlKeywords, sqlFunctions);
+    var plsqlItems  = buildKeywordItems(monaco, window.__plsqlKeywords, sqlFunctions);
     var sqlSnippets = buildSnippetItems(monaco, window.__sqlKeywords);
     var plsqlSnips  = buildSnippetItems(monaco, window.__plsqlKeywords);
     var snippets    = sqlSnippets.concat(plsqlSnips);
-    var apexItems   = buildApexItems(monaco, window.__apexApi);
+    var apexItems   = buildApexItems(monaco, window.__apexApi)
+      .concat(buildApexItems(monaco, window.__customPackages, 'Custom Package'))
+      .concat(buildApexItems(monaco, window.__dictionaryPacks, 'Library Package'))
+      .concat(buildTypeItems(monaco, window.__apexDeclarations && window.__apexDeclarations.types));
     var staticItems = sqlItems.concat(plsqlItems).concat(snippets).concat(apexItems);
-    var packageMap  = buildPackageMap(monaco, window.__apexApi);
+    var packageMap  = buildPackageMap(monaco, getPackageDictionary());
+    var recordTypeIndex = buildRecordTypeIndex(getPackageDictionary());
+    var signatureIndex = buildCallSignatureIndex();
+    var typeMethodIndex = buildTypeMethodIndex(window.__typeMethods);
+    var attributeKeywords = ((window.__plsqlKeywords && window.__plsqlKeywords.keywords) || [])
+      .filter(function (kw) {
+        return kw.category === 'cursor_attr' || kw.category === 'type_attr';
+      });
 
 
     return {
-      triggerCharacters: ['.'],
+      triggerCharacters: ['.', '(', ',', '%', ':'],
 
-      provideCompletionItems: function (model, position) {
+      provideCompletionItems: function (model, position, context) {
         var range = getRange(model, position);
         var pkgPrefix = getPackagePrefix(model, position);
+        var callSnippets = getSettings().callSnippets;
+        var triggerChar = context && context.triggerCharacter;
 
         var code = model.getValue();
+
+        // After ":" → page items, application items and binds in use
+        var bindPrefix = getBindPrefix(model, position);
+        if (bindPrefix || triggerChar === ':') {
+          if (!bindPrefix) return { suggestions: [] };
+          var bindRange = Object.assign({}, range, { startColumn: bindPrefix.startColumn });
+          return {
+            suggestions: buildBindItems(monaco, getPageItems(), code, bindPrefix, bindRange)
+          };
+        }
+
+        // After "name%" → only the attributes that apply to name
+        var attrPrefix = getAttributePrefix(model, position);
+        if (attrPrefix || triggerChar === '%') {
+          var attrRange = Object.assign({}, range, {
+            startColumn: attrPrefix ? attrPrefix.startColumn : range.startColumn
+          });
+          var attrs = attrPrefix
+            ? buildKeywordItems(monaco, {
+                keywords: filterAttributes(attributeKeywords, attrPrefix,
+                  getVariablesAt(code, position.lineNumber))
+              })
+            : [];
+          return {
+            suggestions: attrs.map(function (item, i) {
+              return Object.assign({}, item, { sortText: '0_' + i, range: attrRange });
+            })
+          };
+        }
         var localProgramData = buildLocalProgramData(monaco, code);
         var mergedPackageMap = Object.assign({}, packageMap, localProgramData.packageMap);
 
@@ -279,27 +1030,338 @@
         if (pkgPrefix && mergedPackageMap[pkgPrefix]) {
           return {
             suggestions: mergedPackageMap[pkgPrefix].map(function (item) {
+              return finalizeItem(monaco, item, range, callSnippets);
+            })
+          };
+        }
+
+        // After "rec." → fields of a record variable visible here, declared
+        // locally or with a dictionary type such as APEX_PLUGIN.T_ITEM
+        if (pkgPrefix) {
+          var fields = (typeof window.__getRecordFields === 'function')
+            ? window.__getRecordFields(code, pkgPrefix, position.lineNumber) : [];
+          if (!fields.length) {
+            fields = getDictionaryRecordFields(code, pkgPrefix, position.lineNumber, recordTypeIndex);
+          }
+          if (fields.length) {
+            return { suggestions: buildFieldItems(monaco, fields, range) };
+          }
+        }
+
+        // After "v." → methods of a collection or object type variable
+        if (pkgPrefix) {
+          var typeMethods = getTypeMethods(code, pkgPrefix, position.lineNumber, typeMethodIndex);
+          if (typeMethods) {
+            return { suggestions: buildMethodItems(monaco, typeMethods, range) };
+          }
+        }
+
+        // Inside an open call → remaining parameter names first
+        var paramItems = null;
+        if (typeof window.__findCallContexts === 'function' &&
+            typeof window.__parseSignature === 'function') {
+          var calls = window.__findCallContexts(getTextUntilPosition(model, position));
+          paramItems = buildParameterItems(monaco, calls, signatureIndex,
+            buildLocalSignatures(monaco, code, localProgramData));
+        }
+        if (triggerChar === '(' || triggerChar === ',') {
+          return {
+            suggestions: (paramItems || []).map(function (item) {
               return Object.assign({}, item, { range: range });
             })
           };
         }
 
-        // General completion: static items + live variables
-        var vars = (typeof window.__extractVariables === 'function')
-          ? window.__extractVariables(code) : [];
-        var varItems = buildVariableItems(monaco, vars);
+        // General completion: static items + variables visible at the cursor
+        var varItems = buildVariableItems(monaco, getVariablesAt(code, position.lineNumber));
 
-        var all = varItems.concat(localProgramData.items).concat(staticItems);
+        var all = (paramItems || []).concat(varItems)
+          .concat(localProgramData.items).concat(staticItems);
         return {
           suggestions: all.map(function (item) {
-            return Object.assign({}, item, { range: range });
+            return finalizeItem(monaco, item, range, callSnippets);
           })
         };
       }
     };
   }
 
+  // ── Signature help ───────────────────────────
+
+  /**
+   * Build a Monaco SignatureInformation from a signature string.
+   * Parameter labels are [start, end] offsets into the rebuilt label.
+   */
+  function buildSignatureInformation(entry) {
+    var parsed = parseEntry(entry);
+    var label = parsed.name + '(';
+    var parameters = parsed.params.map(function (param, i) {
+      if (i > 0) label += ', ';
+      var start = label.length;
+      label += param.text;
+      return {
+        label:         [start, label.length],
+        documentation: param.defaultValue ? 'Default: ' + param.defaultValue
+                                          : (param.optional ? 'Optional' : undefined)
+      };
+    });
+    label += ')';
+    if (parsed.returnType) label += ' RETURN ' + parsed.returnType;
+    return {
+      label:         label,
+      documentation: entry.source === 'local' ? 'Declared in this editor' : entry.description,
+      parameters:    parameters,
+      params:        parsed.params
+    };
+  }
+
+  function getActiveParameter(info, call) {
+    if (call.currentName) {
+      for (var i = 0; i < info.params.length; i++) {
+        if (info.params[i].name.toUpperCase() === call.currentName) return i;
+      }
+    }
+    // Extra arguments of COALESCE, DECODE... map to the trailing "..."
+    var last = info.params.length - 1;
+    if (last >= 0 && info.params[last].variadic && call.argIndex > last) return last;
+    return call.argIndex;
+  }
+
+  function createSignatureHelpProvider(monaco) {
+    var signatureIndex = buildCallSignatureIndex();
+
+    return {
+      signatureHelpTriggerCharacters:   ['(', ','],
+      signatureHelpRetriggerCharacters: [')'],
+
+      provideSignatureHelp: function (model, position) {
+        if (typeof window.__findCallContexts !== 'function' ||
+            typeof window.__parseSignature !== 'function') {
+          return null;
+        }
+        var calls = window.__findCallContexts(getTextUntilPosition(model, position));
+        if (!calls.length) return null;
+
+        var localSignatures = buildLocalSignatures(monaco, model.getValue());
+
+        // Innermost call with a known signature wins
+        for (var c = 0; c < calls.length; c++) {
+          var entries = lookupSignatures(calls[c].name, signatureIndex, localSignatures);
+          if (!entries.length) continue;
+
+          var infos = entries.map(buildSignatureInformation);
+          var call = calls[c];
+          var active = 0;
+          for (var s = 0; s < infos.length; s++) {
+            if (matchesCall(infos[s].params, call)) { active = s; break; }
+          }
+          return {
+            value: {
+              signatures: infos.map(function (info, i) {
+                return {
+                  label:         info.label,
+                  documentation: info.documentation ||
+                    (infos.length > 1 ? 'Overload ' + (i + 1) + ' of ' + infos.length : undefined),
+                  parameters:    info.parameters
+                };
+              }),
+              activeSignature: active,
+              activeParameter: getActiveParameter(infos[active], call)
+            },
+            dispose: function () {}
+          };
+        }
+        return null;
+      }
+    };
+  }
+
+  // ── Hover ────────────────────────────────────
+
+  /**
+   * Find the (possibly package-qualified) identifier under the cursor.
+   * Hovering "GET_SESSION_STATE" in "apex_util.get_session_state(" gives
+   * "apex_util.get_session_state"; hovering "apex_util" gives "apex_util".
+   */
+  function getQualifiedWordAt(model, position) {
+    var line = model.getLineContent(position.lineNumber);
+    var idx = position.column - 1;
+    var isWordChar = function (ch) { return /[\w$#]/.test(ch); };
+    if (!isWordChar(line.charAt(idx))) {
+      if (idx > 0 && isWordChar(line.charAt(idx - 1))) idx--;
+      else return null;
+    }
+
+    var start = idx;
+    while (start > 0 && (isWordChar(line.charAt(start - 1)) || line.charAt(start - 1) === '.')) start--;
+    var end = idx;
+    while (end < line.length && isWordChar(line.charAt(end))) end++;
+    while (line.charAt(start) === '.') start++;
+
+    var wordStart = idx;
+    while (wordStart > 0 && isWordChar(line.charAt(wordStart - 1))) wordStart--;
+
+    return {
+      text: line.substring(start, end),
+      word: line.substring(wordStart, end),
+      range: {
+        startLineNumber: position.lineNumber,
+        endLineNumber:   position.lineNumber,
+        startColumn:     wordStart + 1,
+        endColumn:       end + 1
+      }
+    };
+  }
+
+  function buildKeywordIndex(dicts) {
+    var index = {};
+    dicts.forEach(function (dict) {
+      if (!dict || !dict.keywords) return;
+      dict.keywords.forEach(function (kw) {
+        var key = kw.label.toUpperCase();
+        if (!index[key]) index[key] = kw;
+      });
+    });
+    return index;
+  }
+
+  function buildApexIndex(apiDict) {
+    var index = { packages: {}, procedures: {}, declarations: {} };
+    if (!apiDict || !apiDict.packages) return index;
+    (apiDict.types || []).forEach(function (decl) {
+      index.declarations[decl.name.toUpperCase()] = { decl: decl, section: 'types' };
+    });
+    apiDict.packages.forEach(function (pkg) {
+      index.packages[pkg.name.toUpperCase()] = pkg;
+      DECLARATION_SECTIONS.forEach(function (section) {
+        (pkg[section] || []).forEach(function (decl) {
+          index.declarations[(pkg.name + '.' + decl.name).toUpperCase()] = { decl: decl, section: section };
+        });
+      });
+      if (!pkg.procedures) return;
+      pkg.procedures.forEach(function (proc) {
+        index.procedures[proc.label.toUpperCase()] = proc;
+      });
+    });
+    return index;
+  }
+
+  function describeApexProcedure(proc) {
+    var overloads = getOverloads(proc);
+    var parts = ['**' + proc.label + '** — ' + describeKind(overloads[0]) +
+      (overloads.length > 1 ? ' (' + overloads.length + ' overloads)' : '')];
+    overloads.forEach(function (overload, i) {
+      var formattedSig = formatSignature(overload.signature);
+      if (!formattedSig) return;
+      var heading = overloads.length > 1 ? (i + 1) + ' of ' + overloads.length + '\n' : '';
+      parts.push(heading + '```plsql\n' + formattedSig + '\n```');
+    });
+    if (proc.description) parts.push(proc.description);
+    var deprecation = describeDeprecation(proc);
+    if (deprecation) parts.push(deprecation);
+    if (proc.detail) parts.push('alias for `' + proc.detail + '`');
+    return parts;
+  }
+
+  function createHoverProvider(monaco) {
+    var keywordIndex = buildKeywordIndex([window.__sqlKeywords, window.__plsqlKeywords]);
+    var sqlFunctions = buildSqlFunctionIndex(window.__sqlFunctions);
+    var apexIndex = buildApexIndex(getPackageDictionary());
+
+    return {
+      provideHover: function (model, position) {
+        var target = getQualifiedWordAt(model, position);
+        if (!target) return null;
+        var qualified = target.text.toUpperCase();
+        var word = target.word.toUpperCase();
+        var code = model.getValue();
+        var parts = null;
+
+        // 1. Bind variables: page and application items, APEX built-ins
+        var line = model.getLineContent(position.lineNumber);
+        if (qualified === word && line.charAt(target.range.startColumn - 2) === ':') {
+          var pageItems = getPageItems();
+          pageItems.items.forEach(function (item) {
+            if (parts || item.name !== word) return;
+            parts = ['**:' + item.name + '** — ' + window.__describePageItem(item, pageItems.pageId)];
+            if (item.type) parts.push('Type: ' + item.type);
+            if (item.label) parts.push('Label: ' + item.label);
+          });
+          var builtins = (window.__substitutionStrings && window.__substitutionStrings.strings) || [];
+          builtins.forEach(function (entry) {
+            if (parts || entry.name !== word || entry.syntax.indexOf('bind') === -1) return;
+            parts = ['**:' + entry.name + '** — APEX built-in', entry.description];
+          });
+          if (parts) {
+            return {
+              range: Object.assign({}, target.range, { startColumn: target.range.startColumn - 1 }),
+              contents: parts.map(function (value) { return { value: value }; })
+            };
+          }
+        }
+
+        // 2. Local variables (only for unqualified names)
+        if (qualified === word) {
+          var vars = getVariablesAt(code, position.lineNumber);
+          for (var i = 0; i < vars.length && !parts; i++) {
+            if (vars[i].name.toUpperCase() === word) {
+              parts = [
+                '**' + vars[i].name + '** `' + vars[i].type + '`',
+                'Declared on line ' + vars[i].line
+              ];
+            }
+          }
+        }
+
+        // 3. Local routines
+        if (!parts) {
+          var local = buildLocalSignatures(monaco, code)[qualified];
+          if (local && local.length) {
+            parts = local.map(function (entry) {
+              return '```plsql\n' + formatSignature(entry.signature) + '\n```';
+            });
+            parts.push('Declared in this editor');
+          }
+        }
+
+        // 4. APEX API and Oracle built-in procedures and packages
+        if (!parts && apexIndex.procedures[qualified]) {
+          parts = describeApexProcedure(apexIndex.procedures[qualified]);
+        }
+        if (!parts && apexIndex.declarations[qualified]) {
+          var declaration = apexIndex.declarations[qualified];
+          parts = ['**' + qualified + '** — ' + describeDeclaration(declaration.decl, declaration.section)]
+            .concat(documentDeclaration(declaration.decl));
+        }
+        if (!parts && apexIndex.packages[qualified]) {
+          var pkg = apexIndex.packages[qualified];
+          parts = ['**' + pkg.name + '** — ' + (pkg.description || 'APEX Package'),
+            (pkg.procedures ? pkg.procedures.length : 0) + ' procedures and functions'];
+        }
+
+        // 5. SQL / PL/SQL keywords and SQL built-in function signatures
+        if (!parts && qualified === word && (keywordIndex[word] || sqlFunctions[word])) {
+          var kw = keywordIndex[word];
+          parts = [kw ? '**' + kw.label + '** — ' + (kw.detail || kw.category) : '**' + word + '**'];
+          if (sqlFunctions[word]) parts = parts.concat(describeSqlFunction(sqlFunctions[word]));
+        }
+
+        if (!parts) return null;
+        return {
+          range: target.range,
+          contents: parts.map(function (value) { return { value: value }; })
+        };
+      }
+    };
+  }
+
   // Expose to injected.js
   window.__createCompletionProvider = createCompletionProvider;
+  window.__createSignatureHelpProvider = createSignatureHelpProvider;
+  window.__createHoverProvider = createHoverProvider;
+  // Shared with diagnostics.js
+  window.__getPackageDictionary = getPackageDictionary;
+  window.__buildSignatureIndex = buildSignatureIndex;
+  window.__parseSignatureEntry = parseEntry;
 
 })();
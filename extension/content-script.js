@@ -18,6 +18,22 @@
 
   // console.log('[APEX Autocomplete] Content script loaded on', location.href);
 
+  var SETTINGS_KEY = 'settings';
+  var IMPORTED_API_KEY = 'importedApexApi';
+  var CUSTOM_PACKAGES_KEY = 'customPackages';
+  var PACKS_KEY = 'dictionaryPacks';
+
+  // Bundled dictionaries/apex-api-<version>.json, newest first
+  var APEX_VERSIONS = ['24.2'];
+
+  // APEX release detected by monaco-poller.js and the dictionary loaded for it
+  // ({version, detected, imported?})
+  var apexDictionary = null;
+
+  // Workspace the dictionary packs are enabled for ({key, name}): the host,
+  // plus the workspace detected by monaco-poller.js
+  var workspace = null;
+
   // ── helpers ──────────────────────────────────
 
   function injectScript(file) {
@@ -39,10 +55,117 @@
     return fetch(chrome.runtime.getURL(file))
       .then(function (r) { return r.json(); })
       .then(function (data) {
-        document.dispatchEvent(new CustomEvent('__apexDict', {
-          detail: { name: globalName, data: data }
-        }));
+        sendToPage(globalName, data);
+      });
+  }
+
+  /**
+   * Send the user settings stored by the popup to the page context.
+   */
+  function injectSettings() {
+    return new Promise(function (resolve) {
+      chrome.storage.local.get(SETTINGS_KEY, function (result) {
+        sendToPage('__apexSettings', (result && result[SETTINGS_KEY]) || {});
+        resolve();
+      });
+    });
+  }
+
+  function compareVersions(a, b) {
+    var pa = a.split('.').map(Number);
+    var pb = b.split('.').map(Number);
+    return (pa[0] - pb[0]) || (pa[1] - pb[1]);
+  }
+
+  /**
+   * Pick the bundled dictionary for the detected APEX release: the same
+   * release, else the newest older one. Without a detected release, the
+   * newest dictionary is used.
+   * @param {?string} detected e.g. "23.2"
+   * @returns {{version: string, detected: ?string}}
+   */
+  function pickApexDictionary(detected) {
+    var version = APEX_VERSIONS[0];
+    if (detected) {
+      version = APEX_VERSIONS[APEX_VERSIONS.length - 1];
+      for (var i = 0; i < APEX_VERSIONS.length; i++) {
+        if (compareVersions(APEX_VERSIONS[i], detected) <= 0) {
+          version = APEX_VERSIONS[i];
+          break;
+        }
+      }
+    }
+    return { version: version, detected: detected || null };
+  }
+
+  /**
+   * Send the APEX API dictionary imported from the options page, or the
+   * bundled dictionary of the detected release when none was imported.
+   */
+  function injectApexApi() {
+    return new Promise(function (resolve) {
+      chrome.storage.local.get(IMPORTED_API_KEY, function (result) {
+        resolve(result && result[IMPORTED_API_KEY]);
       });
+    }).then(function (imported) {
+      if (imported && imported.dictionary) {
+        apexDictionary.imported = { name: imported.name, importedAt: imported.importedAt };
+        sendToPage('__apexApi', imported.dictionary);
+        return;
+      }
+      return injectDictionary('dictionaries/apex-api-' + apexDictionary.version + '.json', '__apexApi');
+    });
+  }
+
+  /**
+   * Send the custom packages parsed from package specs on the options page.
+   */
+  function injectCustomPackages() {
+    return new Promise(function (resolve) {
+      chrome.storage.local.get(CUSTOM_PACKAGES_KEY, function (result) {
+        sendToPage('__customPackages', (result && result[CUSTOM_PACKAGES_KEY]) || { packages: [] });
+        resolve();
+      });
+    });
+  }
+
+  function detectWorkspace() {
+    var name = document.documentElement.getAttribute('data-apex-workspace');
+    return { key: location.host + (name ? '/' + name : ''), name: name || null };
+  }
+
+  /**
+   * Send the third-party dictionary packs (dictionaries/packs/<id>.json)
+   * enabled in the popup for the workspace, merged into one dictionary.
+   */
+  function injectDictionaryPacks() {
+    return new Promise(function (resolve) {
+      chrome.storage.local.get(PACKS_KEY, function (result) {
+        var enabled = (result && result[PACKS_KEY]) || {};
+        resolve(enabled[workspace.key] || []);
+      });
+    }).then(function (ids) {
+      return Promise.all(ids.map(function (id) {
+        return fetch(chrome.runtime.getURL('dictionaries/packs/' + id + '.json'))
+          .then(function (r) { return r.json(); })
+          .catch(function () {
+            // A pack removed from the extension is skipped
+            return { packages: [] };
+          });
+      }));
+    }).then(function (packs) {
+      sendToPage('__dictionaryPacks', {
+        packages: packs.reduce(function (all, pack) {
+          return all.concat(pack.packages || []);
+        }, [])
+      });
+    });
+  }
+
+  function sendToPage(globalName, data) {
+    document.dispatchEvent(new CustomEvent('__apexDict', {
+      detail: { name: globalName, data: data }
+    }));
   }
 
   // ── injection sequence ───────────────────────
@@ -52,23 +175,39 @@
       // Step 1: Inject the dictionary loader (listens for CustomEvents)
       await injectScript('dict-loader.js');
 
+      apexDictionary = pickApexDictionary(document.documentElement.getAttribute('data-apex-version'));
+      workspace = detectWorkspace();
+
       // Step 2: Send dictionaries via events
       await Promise.all([
         injectDictionary('dictionaries/sql-keywords.json', '__sqlKeywords'),
         injectDictionary('dictionaries/plsql-keywords.json', '__plsqlKeywords'),
-        injectDictionary('dictionaries/apex-api.json', '__apexApi'),
+        injectDictionary('dictionaries/sql-functions.json', '__sqlFunctions'),
+        injectApexApi(),
+        injectCustomPackages(),
+        injectDictionaryPacks(),
+        injectDictionary('dictionaries/apex-declarations.json', '__apexDeclarations'),
+        injectDictionary('dictionaries/oracle-packages.json', '__oraclePackages'),
+        injectDictionary('dictionaries/type-methods.json', '__typeMethods'),
+        injectDictionary('dictionaries/substitution-strings.json', '__substitutionStrings'),
+        injectSettings(),
       ]);
 
       // Step 3: Inject parser, completion provider, main hook
       await injectScript('parsers/variable-parser.js');
+      await injectScript('parsers/signature-parser.js');
+      await injectScript('page-items.js');
       await injectScript('completion-provider.js');
+      await injectScript('substitution-provider.js');
+      await injectScript('plsql-indenter.js');
+      await injectScript('lint-rules.js');
+      await injectScript('diagnostics.js');
       await injectScript('injected.js');
 
       // Step 4: Inject language switcher (for popup communication)
       await injectScript('language-switcher.js');
 
-      // Step 5: Inject PL/SQL indenter then formatter (order matters)
-      await injectScript('plsql-indenter.js');
+      // Step 5: Inject formatter (after the PL/SQL indenter it uses)
       await injectScript('formatter.js');
 
       // console.log('[APEX Autocomplete] All scripts injected');
@@ -115,9 +254,9 @@
         document.removeEventListener('__apexEditorsResult', handler);
         try {
           var editors = JSON.parse(e.detail);
-          sendResponse({ editors: editors });
+          sendResponse({ editors: editors, apexDictionary: apexDictionary, workspace: workspace });
         } catch (err) {
-          sendResponse({ editors: [] });
+          sendResponse({ editors: [], apexDictionary: apexDictionary, workspace: workspace });
         }
       };
       document.addEventListener('__apexEditorsResult', handler);
@@ -138,6 +277,14 @@
     }
   });
 
+  // ── Settings sync: popup → page context ─────
+
+  chrome.storage.onChanged.addListener(function (changes, area) {
+    if (area === 'local' && changes[SETTINGS_KEY]) {
+      sendToPage('__apexSettings', changes[SETTINGS_KEY].newValue || {});
+    }
+  });
+
   // ── entry point ──────────────────────────────
 
   if (document.readyState === 'loading') {
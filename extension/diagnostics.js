@@ -0,0 +1,1184 @@
+/**
+ * diagnostics.js
+ * Checks the code of PL/SQL editors and reports problems as model markers,
+ * with quick fixes offered through a code action provider.
+ *
+ * A check is created once per provider from the API dictionaries and is then
+ * called with the model text. It returns problems:
+ *   {code, message, severity, tags?, line, startColumn, endLine?, endColumn,
+ *    fixes?: [{title, text, range?}]}
+ * A fix replaces the problem range (or its own range) with `text`.
+ *
+ * Block structure checks and the best-practice rules of lint-rules.js
+ * reuse the tokenizer of plsql-indenter.js, which is injected before this
+ * file.
+ *
+ * Runs in the PAGE context (has access to window.monaco).
+ */
+
+(function () {
+  'use strict';
+
+  var OWNER = 'apex-autocomplete';
+
+  // ── Code scanning ────────────────────────────
+
+  function stripCode(code) {
+    return (typeof window.__stripStringsAndComments === 'function')
+      ? window.__stripStringsAndComments(code) : code;
+  }
+
+  /**
+   * Dotted names such as "apex_util.string_to_table" outside strings and
+   * comments, with their position.
+   * @param {string} code
+   * @returns {Array<{name:string, text:string, line:number, startColumn:number, endColumn:number}>}
+   */
+  function findQualifiedNames(code) {
+    var results = [];
+    stripCode(code || '').split('\n').forEach(function (text, i) {
+      var re = /[A-Za-z][\w$#]*(?:\.[A-Za-z][\w$#]*)+/g;
+      var m;
+      while ((m = re.exec(text)) !== null) {
+        if (m.index > 0 && /[\w$#]/.test(text.charAt(m.index - 1))) continue;
+        results.push({
+          name:        m[0].toUpperCase(),
+          text:        m[0],
+          line:        i + 1,
+          startColumn: m.index + 1,
+          endColumn:   m.index + m[0].length + 1
+        });
+      }
+    });
+    return results;
+  }
+
+  /** Write `replacement` in lower case when the code it replaces is. */
+  function matchCase(original, replacement) {
+    return original === original.toLowerCase() ? replacement.toLowerCase() : replacement;
+  }
+
+  // ── Deprecated APIs ──────────────────────────
+
+  function buildDeprecationIndex(dict) {
+    var index = {};
+    (dict.packages || []).forEach(function (pkg) {
+      (pkg.procedures || []).forEach(function (proc) {
+        if (proc.deprecated) index[proc.label.toUpperCase()] = proc;
+      });
+    });
+    return index;
+  }
+
+  /**
+   * Whether every overload of `label` has an overload of `replacement`
+   * with the same parameter names, so that swapping the name is enough.
+   */
+  function sameParameters(parameters, label, replacement) {
+    var names = function (overload) {
+      return overload.params.map(function (p) { return p.name.toUpperCase(); }).join(',');
+    };
+    var from = parameters[label.toUpperCase()];
+    var to = (parameters[replacement.toUpperCase()] || []).map(names);
+    return !!from && from.length > 0 && from.every(function (overload) {
+      return to.indexOf(names(overload)) !== -1;
+    });
+  }
+
+  function createDeprecationCheck(monaco, dict) {
+    var index = buildDeprecationIndex(dict);
+    var parameters = null;
+
+    return function (code) {
+      return findQualifiedNames(code).filter(function (ref) {
+        return index[ref.name];
+      }).map(function (ref) {
+        var proc = index[ref.name];
+        var deprecated = proc.deprecated === true ? {} : proc.deprecated;
+        var message = proc.label + ' is deprecated' +
+          (deprecated.since ? ' since ' + deprecated.since : '') +
+          (deprecated.replacement ? '. Use ' + deprecated.replacement + ' instead.' : '.');
+        var fixes = [];
+        if (deprecated.replacement) {
+          parameters = parameters || buildParameterIndex(dict);
+          fixes.push({
+            title: 'Replace with ' + deprecated.replacement +
+              (sameParameters(parameters, proc.label, deprecated.replacement) ? '' : ' (arguments must be adapted)'),
+            text:  matchCase(ref.text, deprecated.replacement)
+          });
+        }
+        return {
+          code:        'deprecated-api',
+          message:     message,
+          severity:    monaco.MarkerSeverity.Warning,
+          tags:        [monaco.MarkerTag.Deprecated],
+          line:        ref.line,
+          startColumn: ref.startColumn,
+          endColumn:   ref.endColumn,
+          fixes:       fixes
+        };
+      });
+    };
+  }
+
+  // ── Unknown APEX members ─────────────────────
+
+  var MAX_SUGGESTIONS = 3;
+
+  // Constants, globals and types (C_*, G_*, T_*) are only listed for a few
+  // packages in apex-declarations.json: unknown ones are not reported
+  var DECLARATION_NAME = /^[CGT]_/;
+
+  /** Levenshtein distance between two strings. */
+  function editDistance(a, b) {
+    var previous = [];
+    for (var j = 0; j <= b.length; j++) previous.push(j);
+    for (var i = 1; i <= a.length; i++) {
+      var current = [i];
+      for (j = 1; j <= b.length; j++) {
+        current.push(Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Member names of the APEX_* packages of the APEX API dictionary, from
+   * every section (procedures, constants, variables, types). Dictionary
+   * packs and custom packages are left out: a package such as
+   * APEX_UTIL_PKG may only be partly listed there.
+   */
+  function buildMemberIndex() {
+    var index = {};
+    [window.__apexApi, window.__apexDeclarations].forEach(function (source) {
+      ((source && source.packages) || []).forEach(function (pkg) {
+        var name = pkg.name.toUpperCase();
+        if (name.indexOf('APEX_') !== 0 || (!index[name] && !(pkg.procedures || []).length)) return;
+        var members = index[name] || (index[name] = []);
+        (pkg.procedures || []).forEach(function (proc) {
+          members.push(proc.label.substring(proc.label.indexOf('.') + 1).toUpperCase());
+        });
+        ['constants', 'variables', 'types'].forEach(function (section) {
+          (pkg[section] || []).forEach(function (decl) { members.push(decl.name.toUpperCase()); });
+        });
+      });
+    });
+    return index;
+  }
+
+  /** Closest names by edit distance, for names that look like typos of them. */
+  function suggestNames(names, name) {
+    var limit = Math.max(2, Math.floor(name.length / 3));
+    return names.map(function (candidate) {
+      return { name: candidate, distance: editDistance(name, candidate) };
+    }).filter(function (s) {
+      return s.distance <= limit;
+    }).sort(function (a, b) {
+      return (a.distance - b.distance) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+    }).slice(0, MAX_SUGGESTIONS).map(function (s) {
+      return s.name;
+    });
+  }
+
+  function createUnknownMemberCheck(monaco) {
+    var index = buildMemberIndex();
+
+    return function (code) {
+      var problems = [];
+      findQualifiedNames(code).forEach(function (ref) {
+        var parts = ref.name.split('.');
+        var members = index[parts[0]];
+        if (!members || members.indexOf(parts[1]) !== -1 || DECLARATION_NAME.test(parts[1])) return;
+
+        var start = ref.startColumn + parts[0].length + 1;
+        var written = ref.text.split('.')[1];
+        var suggestions = suggestNames(members, parts[1]);
+        problems.push({
+          code:        'unknown-api-member',
+          message:     parts[1] + ' is not a member of ' + parts[0] +
+                       (suggestions.length ? '. Did you mean ' + suggestions.join(', ') + '?' : '.'),
+          severity:    monaco.MarkerSeverity.Warning,
+          line:        ref.line,
+          startColumn: start,
+          endColumn:   start + written.length,
+          fixes:       suggestions.map(function (name) {
+            return { title: 'Change to ' + parts[0] + '.' + name, text: matchCase(written, name) };
+          })
+        });
+      });
+      return problems;
+    };
+  }
+
+  // ── Block structure ──────────────────────────
+
+  // Closing keyword expected for each kind of open block
+  var CLOSERS = {
+    BEGIN: 'END', CASE: 'END', PACKAGE: 'END', SUBPROGRAM: 'END', DECLARE: 'END',
+    IF: 'END IF', LOOP: 'END LOOP'
+  };
+
+  // Blocks a plain END can close (END IF / END LOOP / END CASE are specific)
+  var END_CLOSES = ['BEGIN', 'CASE', 'PACKAGE', 'SUBPROGRAM', 'DECLARE'];
+
+  var CREATE_WORDS = ['CREATE', 'REPLACE', 'EDITIONABLE', 'NONEDITIONABLE'];
+
+  /** Offset of the first character of each line. */
+  function getLineStarts(code) {
+    var lineStarts = [0];
+    for (var i = 0; i < code.length; i++) {
+      if (code.charAt(i) === '\n') lineStarts.push(i + 1);
+    }
+    return lineStarts;
+  }
+
+  /** Line and column (1-based) of each offset of the code. */
+  function createLocator(code) {
+    var lineStarts = getLineStarts(code);
+    return function (offset) {
+      var low = 0;
+      var high = lineStarts.length - 1;
+      while (low < high) {
+        var mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) low = mid;
+        else high = mid - 1;
+      }
+      return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+  }
+
+  /**
+   * Strings and comments the tokenizer of plsql-indenter.js ran to the end
+   * of the code, the string literals, and the code with all strings and
+   * comments blanked.
+   */
+  function scanLiterals(code) {
+    var tokens = window.__tokenizePlsql(code);
+    var unterminated = [];
+    var strings = [];
+    var stripped = '';
+    var offset = 0;
+    tokens.forEach(function (token) {
+      var value = token.value;
+      if (token.type === 'code') {
+        stripped += value;
+      } else {
+        stripped += value.replace(/[^\n]/g, ' ');
+        var kind = literalKind(value);
+        if (!isTerminated(kind, value)) unterminated.push({ kind: kind, offset: offset, value: value });
+        if (token.type === 'string') strings.push({ value: value, offset: offset, end: offset + value.length });
+      }
+      offset += value.length;
+    });
+    return { unterminated: unterminated, strings: strings, stripped: stripped };
+  }
+
+  function literalKind(value) {
+    if (value.substring(0, 2) === '--') return 'line';
+    if (value.substring(0, 2) === '/*') return 'comment';
+    return value.charAt(0) === "'" ? 'string' : 'q-quote';
+  }
+
+  function isTerminated(kind, value) {
+    if (kind === 'line') return true;
+    if (kind === 'comment') return value.length >= 4 && value.slice(-2) === '*/';
+    if (kind === 'string') return /^'(?:[^']|'')*'$/.test(value);
+    var open = value.charAt(2);
+    var close = ({ '[': ']', '{': '}', '<': '>', '(': ')' }[open] || open) + "'";
+    return value.length >= 5 && value.slice(-2) === close;
+  }
+
+  /** Words, parentheses and semicolons of code without strings and comments. */
+  function lexStructure(stripped) {
+    var tokens = [];
+    var re = /[A-Za-z][\w$#]*|[();]/g;
+    var m;
+    while ((m = re.exec(stripped)) !== null) {
+      if (/\w/.test(m[0]) && m.index > 0 && /[\w$#]/.test(stripped.charAt(m.index - 1))) continue;
+      tokens.push({ text: m[0].toUpperCase(), offset: m.index, end: m.index + m[0].length });
+    }
+    return tokens;
+  }
+
+  /**
+   * Whether the declaration at index `i` has a body (IS/AS before the first
+   * semicolon outside its parameter list).
+   */
+  function hasBody(tokens, i) {
+    var depth = 0;
+    for (var k = i + 1; k < tokens.length; k++) {
+      var text = tokens[k].text;
+      if (text === '(') depth++;
+      else if (text === ')') depth--;
+      else if (depth <= 0 && text === ';') return false;
+      else if (depth <= 0 && (text === 'IS' || text === 'AS')) {
+        var next = tokens[k + 1] && tokens[k + 1].text;
+        return next !== 'LANGUAGE' && next !== 'EXTERNAL';
+      }
+    }
+    return false;
+  }
+
+  /** Whether "CREATE PACKAGE [BODY] name ... IS" or "CREATE TYPE BODY name AS" starts at `i`. */
+  function opensPackage(tokens, i) {
+    var previous = tokens[i - 1] && tokens[i - 1].text;
+    if (CREATE_WORDS.indexOf(previous) === -1) return false;
+    if (tokens[i].text === 'TYPE' && !(tokens[i + 1] && tokens[i + 1].text === 'BODY')) return false;
+    return hasBody(tokens, i);
+  }
+
+  function createBlockCheck(monaco) {
+    function problem(code, message, locate, start, end) {
+      var from = locate(start);
+      var to = locate(end);
+      return {
+        code:        code,
+        message:     message,
+        severity:    monaco.MarkerSeverity.Error,
+        line:        from.line,
+        startColumn: from.column,
+        endLine:     to.line,
+        endColumn:   to.column
+      };
+    }
+
+    function checkLiterals(code, unterminated, locate) {
+      var messages = {
+        string:    'Unterminated string',
+        'q-quote': 'Unterminated q-quoted string',
+        comment:   'Unterminated comment'
+      };
+      return unterminated.map(function (literal) {
+        var lineEnd = code.indexOf('\n', literal.offset);
+        var end = lineEnd === -1 ? code.length : lineEnd;
+        return problem(literal.kind === 'comment' ? 'unterminated-comment' : 'unterminated-string',
+          messages[literal.kind], locate, literal.offset, Math.max(end, literal.offset + 1));
+      });
+    }
+
+    function checkBlocks(tokens, locate) {
+      var problems = [];
+      var blocks = [];
+      var parens = [];
+
+      function unclosed(block) {
+        problems.push(problem('unbalanced-block',
+          'Missing ' + CLOSERS[block.kind] + ' for this ' + block.word,
+          locate, block.offset, block.end));
+      }
+
+      // Close the innermost block of one of `kinds`, reporting the blocks
+      // left open inside it
+      function close(kinds, label, start, end) {
+        for (var b = blocks.length - 1; b >= 0; b--) {
+          if (kinds.indexOf(blocks[b].kind) === -1) continue;
+          blocks.splice(b + 1).forEach(unclosed);
+          blocks.pop();
+          return;
+        }
+        problems.push(problem('unbalanced-block',
+          label + ' without matching ' + (kinds.length === 1 ? kinds[0] : 'BEGIN'),
+          locate, start, end));
+      }
+
+      tokens.forEach(function (token, i) {
+        var text = token.text;
+        var previous = tokens[i - 1] && tokens[i - 1].text;
+        var next = tokens[i + 1];
+        var block = { word: text, offset: token.offset, end: token.end };
+
+        if (text === '(') {
+          parens.push(token);
+        } else if (text === ')') {
+          if (parens.length) parens.pop();
+          else problems.push(problem('unbalanced-parenthesis', 'Unmatched closing parenthesis', locate, token.offset, token.end));
+        } else if (text === 'END') {
+          var specific = next && ['IF', 'LOOP', 'CASE'].indexOf(next.text) !== -1;
+          if (specific) close([next.text], 'END ' + next.text, token.offset, next.end);
+          else close(END_CLOSES, 'END', token.offset, token.end);
+        } else if (previous === 'END' && ['IF', 'LOOP', 'CASE'].indexOf(text) !== -1) {
+          return;
+        } else if (text === 'IF' || text === 'LOOP' || text === 'CASE' || text === 'DECLARE') {
+          blocks.push(Object.assign(block, { kind: text }));
+        } else if (text === 'BEGIN') {
+          // The BEGIN of a subprogram, block or package body closes with its END
+          var top = blocks[blocks.length - 1];
+          if (top && (top.kind === 'SUBPROGRAM' || top.kind === 'DECLARE' || top.kind === 'PACKAGE')) blocks.pop();
+          blocks.push(Object.assign(block, { kind: 'BEGIN' }));
+        } else if ((text === 'PROCEDURE' || text === 'FUNCTION') && hasBody(tokens, i)) {
+          blocks.push(Object.assign(block, { kind: 'SUBPROGRAM' }));
+        } else if ((text === 'PACKAGE' || text === 'TYPE') && opensPackage(tokens, i)) {
+          blocks.push(Object.assign(block, { kind: 'PACKAGE' }));
+        }
+      });
+
+      blocks.forEach(unclosed);
+      parens.forEach(function (token) {
+        problems.push(problem('unbalanced-parenthesis', 'Missing closing parenthesis', locate, token.offset, token.end));
+      });
+      return problems;
+    }
+
+    return function (code) {
+      if (typeof window.__tokenizePlsql !== 'function' || !code) return [];
+      var locate = createLocator(code);
+      var scan = scanLiterals(code);
+      // Everything after an unterminated literal is swallowed by it: only
+      // report the literal, not the blocks it hides
+      if (scan.unterminated.length) return checkLiterals(code, scan.unterminated, locate);
+      return checkBlocks(lexStructure(scan.stripped), locate);
+    };
+  }
+
+  // ── Call arguments ───────────────────────────
+
+  /**
+   * Parameter lists of the dictionary routines by upper-case name, one per
+   * overload. Only lists built from structured `arguments` know which
+   * parameters are optional (`strict`): the signature strings of the bundled
+   * APEX dictionary carry no defaults.
+   */
+  function buildParameterIndex(dict) {
+    var index = {};
+    if (typeof window.__buildSignatureIndex !== 'function') return index;
+    var signatures = window.__buildSignatureIndex(dict);
+    Object.keys(signatures).forEach(function (key) {
+      index[key] = signatures[key].map(function (entry) {
+        return toOverload(window.__parseSignatureEntry(entry), !!entry.arguments);
+      }).filter(Boolean);
+    });
+    return index;
+  }
+
+  /** Routines declared in the code, whose defaults are always known. */
+  function buildLocalParameterIndex(code) {
+    var index = {};
+    if (typeof window.__extractRoutines !== 'function' || typeof window.__parseSignature !== 'function') {
+      return index;
+    }
+    window.__extractRoutines(code).forEach(function (routine) {
+      var overload = toOverload(window.__parseSignature(routine.signature), true);
+      if (!overload) return;
+      var key = routine.name.toUpperCase();
+      (index[key] || (index[key] = [])).push(overload);
+    });
+    return index;
+  }
+
+  function toOverload(parsed, strict) {
+    if (!parsed) return null;
+    // Variadic SQL-style lists cannot be counted
+    if (parsed.params.some(function (p) { return p.variadic; })) return null;
+    return { name: parsed.name, params: parsed.params, strict: strict };
+  }
+
+  /**
+   * Split the argument list between the parentheses at `open` and `close`
+   * on the commas of `stripped` (the code without strings and comments),
+   * keeping the offset and the parameter name of named arguments.
+   */
+  function splitCallArguments(code, stripped, open, close) {
+    var args = [];
+    var depth = 0;
+    var start = open + 1;
+
+    function push(end) {
+      var text = code.substring(start, end);
+      if (!text.trim()) return;
+      var named = /^(\s*)([A-Za-z][\w$#]*)\s*=>/.exec(text);
+      var leading = /^\s*/.exec(text)[0].length;
+      args.push({
+        offset:    start + leading,
+        end:       start + text.replace(/\s+$/, '').length,
+        name:      named ? named[2].toUpperCase() : null,
+        nameStart: named ? start + named[1].length : null,
+        nameEnd:   named ? start + named[1].length + named[2].length : null
+      });
+    }
+
+    for (var i = open + 1; i < close; i++) {
+      var ch = stripped.charAt(i);
+      if (ch === '(') depth++;
+      else if (ch === ')') depth--;
+      else if (ch === ',' && depth === 0) {
+        push(i);
+        start = i + 1;
+      }
+    }
+    push(close);
+    return args;
+  }
+
+  /**
+   * Calls of routines known to `isKnown`: "name(args)", or a qualified
+   * name without parentheses (a call without arguments). Routine headers
+   * and END labels are skipped.
+   */
+  function findCalls(code, isKnown) {
+    var stripped = stripCode(code);
+    var calls = [];
+    var re = /[A-Za-z][\w$#]*(?:\.[A-Za-z][\w$#]*)*/g;
+    var m;
+    while ((m = re.exec(stripped)) !== null) {
+      if (m.index > 0 && /[\w$#.:%]/.test(stripped.charAt(m.index - 1))) continue;
+      if (!isKnown(m[0].toUpperCase())) continue;
+      var before = /([A-Za-z]+)\s*$/.exec(stripped.substring(0, m.index));
+      if (before && /^(PROCEDURE|FUNCTION|END)$/i.test(before[1])) continue;
+
+      var after = m.index + m[0].length;
+      var open = after + /^\s*/.exec(stripped.substring(after))[0].length;
+      var call = { name: m[0].toUpperCase(), offset: m.index, end: after, args: [] };
+      if (stripped.charAt(open) === '(') {
+        var close = window.__findClosingParen(stripped, open);
+        if (close === -1) continue;
+        call.args = splitCallArguments(code, stripped, open, close);
+        re.lastIndex = open + 1;
+      } else if (m[0].indexOf('.') === -1 || stripped.charAt(open) === '%') {
+        continue;
+      }
+      calls.push(call);
+    }
+    return calls;
+  }
+
+  function createArgumentCheck(monaco, dict) {
+    var index = buildParameterIndex(dict);
+
+    function problem(code, message, locate, start, end, fixes) {
+      var from = locate(start);
+      var to = locate(end);
+      return {
+        code:        code,
+        message:     message,
+        severity:    monaco.MarkerSeverity.Warning,
+        line:        from.line,
+        startColumn: from.column,
+        endLine:     to.line,
+        endColumn:   to.column,
+        fixes:       fixes || []
+      };
+    }
+
+    /** Problems of the call against one overload. */
+    function checkOverload(code, call, overload, locate) {
+      var problems = [];
+      var names = overload.params.map(function (p) { return p.name.toUpperCase(); });
+      var positional = 0;
+      while (positional < call.args.length && !call.args[positional].name) positional++;
+
+      if (positional > names.length) {
+        problems.push(problem('too-many-arguments',
+          'Too many arguments for ' + overload.name + ': expected at most ' + names.length,
+          locate, call.args[names.length].offset, call.args[positional - 1].end));
+      }
+
+      call.args.forEach(function (arg) {
+        if (!arg.name || names.indexOf(arg.name) !== -1) return;
+        var written = code.substring(arg.nameStart, arg.nameEnd);
+        var suggestions = suggestNames(names, arg.name);
+        problems.push(problem('unknown-parameter',
+          overload.name + ' has no parameter ' + arg.name +
+            (suggestions.length ? '. Did you mean ' + suggestions.join(', ') + '?' : '.'),
+          locate, arg.nameStart, arg.nameEnd,
+          suggestions.map(function (name) {
+            return { title: 'Change to ' + name, text: matchCase(written, name) };
+          })));
+      });
+
+      if (overload.strict) {
+        var passed = call.args.map(function (arg) { return arg.name; });
+        var missing = overload.params.filter(function (p, i) {
+          return !p.optional && i >= positional && passed.indexOf(p.name.toUpperCase()) === -1;
+        }).map(function (p) { return p.name.toUpperCase(); });
+        if (missing.length) {
+          problems.push(problem('missing-parameter',
+            'Missing required parameter' + (missing.length > 1 ? 's ' : ' ') + missing.join(', ') +
+              ' for ' + overload.name,
+            locate, call.offset, call.end));
+        }
+      }
+      return problems;
+    }
+
+    return function (code) {
+      var local = buildLocalParameterIndex(code);
+      var calls = findCalls(code, function (name) { return local[name] || index[name]; });
+      if (!calls.length) return [];
+      var locate = createLocator(code);
+      var problems = [];
+
+      calls.forEach(function (call) {
+        // The call is valid when one overload accepts it; otherwise report
+        // the overload it comes closest to
+        var best = null;
+        (local[call.name] || index[call.name]).forEach(function (overload) {
+          var found = checkOverload(code, call, overload, locate);
+          if (!best || found.length < best.length) best = found;
+        });
+        problems = problems.concat(best || []);
+      });
+      return problems;
+    };
+  }
+
+  // ── Identifiers ──────────────────────────────
+
+  // Words of PL/SQL expressions that the keyword dictionaries do not list
+  var EXPRESSION_WORDS = [
+    'TRUE', 'FALSE', 'USER', 'UID', 'SQL', 'NEW', 'INTERVAL', 'YEAR', 'MONTH', 'DAY', 'HOUR',
+    'MINUTE', 'SECOND', 'TO', 'MULTISET', 'MEMBER', 'SUBMULTISET', 'EMPTY', 'A', 'OF', 'ESCAPE',
+    'LEVEL', 'PRIOR', 'INSERTING', 'UPDATING', 'DELETING'
+  ];
+
+  // Tokens after which a new statement starts
+  var STATEMENT_STARTS = ['', ';', 'BEGIN', 'THEN', 'ELSE', 'LOOP'];
+
+  /** The word or character before `offset`, skipping white space. */
+  function previousToken(text, offset) {
+    var i = offset - 1;
+    while (i >= 0 && /\s/.test(text.charAt(i))) i--;
+    if (i < 0) return { text: '', offset: 0 };
+    var end = i + 1;
+    while (i >= 0 && /[\w$#]/.test(text.charAt(i))) i--;
+    if (i + 1 === end) return { text: text.charAt(end - 1), offset: end - 1 };
+    return { text: text.substring(i + 1, end).toUpperCase(), offset: i + 1 };
+  }
+
+  function atStatementStart(text, offset) {
+    return STATEMENT_STARTS.indexOf(previousToken(text, offset).text) !== -1;
+  }
+
+  /**
+   * Offsets of `name` as a word between `from` and `to`, leaving out
+   * qualified names, bind variables and the names of named arguments.
+   */
+  function findOccurrences(stripped, name, from, to) {
+    var offsets = [];
+    var re = new RegExp('(^|[^\\w$#.:])(' + name.replace(/\$/g, '\\$') + ')(?![\\w$#])', 'gi');
+    re.lastIndex = Math.max(0, from - 1);
+    var m;
+    while ((m = re.exec(stripped)) !== null) {
+      var offset = m.index + m[1].length;
+      if (offset >= to) break;
+      if (offset < from || /^\s*=>/.test(stripped.substring(offset + name.length))) continue;
+      offsets.push(offset);
+    }
+    return offsets;
+  }
+
+  /**
+   * Offset of the BEGIN that ends the declarations of the block or
+   * subprogram whose DECLARE/PROCEDURE/FUNCTION token is at `from`,
+   * skipping the bodies of nested subprograms.
+   */
+  function findBodyStart(tokens, from) {
+    var nested = [];
+    var depth = 0;
+    for (var k = from + 1; k < tokens.length; k++) {
+      var text = tokens[k].text;
+      var top = nested[nested.length - 1];
+      if ((text === 'PROCEDURE' || text === 'FUNCTION') && hasBody(tokens, k)) {
+        nested.push({ depth: depth, begun: false });
+      } else if (text === 'BEGIN') {
+        if (!top) return tokens[k].offset;
+        top.begun = true;
+        depth++;
+      } else if ((text === 'IF' || text === 'LOOP' || text === 'CASE') && tokens[k - 1].text !== 'END') {
+        depth++;
+      } else if (text === 'END') {
+        depth--;
+        if (top && top.begun && depth === top.depth) nested.pop();
+      }
+    }
+    return Infinity;
+  }
+
+  /** Index of the token opening the scope (DECLARE or a subprogram definition). */
+  function findScopeToken(tokens, scope, locate) {
+    for (var k = 0; k < tokens.length; k++) {
+      var line = locate(tokens[k].offset).line;
+      if (line < scope.startLine) continue;
+      if (line > scope.startLine) return -1;
+      var text = tokens[k].text;
+      if (scope.kind === 'declare' && text === 'DECLARE') return k;
+      if (scope.kind === 'routine' && (text === 'PROCEDURE' || text === 'FUNCTION') && hasBody(tokens, k)) return k;
+    }
+    return -1;
+  }
+
+  /**
+   * Range of the declaration statement from `start` to its semicolon,
+   * widened to whole lines when the statement has its lines to itself.
+   */
+  function declarationRange(stripped, start, locate) {
+    var semicolon = stripped.indexOf(';', start);
+    if (semicolon === -1) return null;
+    var end = semicolon + 1;
+    var lineStart = stripped.lastIndexOf('\n', start - 1) + 1;
+    var lineEnd = stripped.indexOf('\n', end);
+    if (lineEnd === -1) lineEnd = stripped.length;
+    if (!stripped.substring(lineStart, start).trim() && !stripped.substring(end, lineEnd).trim()) {
+      start = lineStart;
+      end = Math.min(lineEnd + 1, stripped.length);
+    }
+    var from = locate(start);
+    var to = locate(end);
+    return { startLineNumber: from.line, startColumn: from.column, endLineNumber: to.line, endColumn: to.column };
+  }
+
+  /**
+   * Variables, cursors and exceptions declared in a block or subprogram,
+   * and parameters of subprogram definitions, that are never referenced.
+   * Package-level declarations may be used by other units and are not
+   * checked.
+   */
+  function createUnusedCheck(monaco) {
+    var KINDS = { CURSOR: 'cursor', EXCEPTION: 'exception' };
+
+    return function (code) {
+      if (typeof window.__extractScopedVariables !== 'function' || !code) return [];
+      var stripped = stripCode(code);
+      var lineStarts = getLineStarts(code);
+      var locate = createLocator(code);
+      var tokens = lexStructure(stripped);
+      var bodyStarts = {};
+      var parameters = {};
+      window.__extractRoutines(code).forEach(function (routine) {
+        routine.params.forEach(function (p) {
+          parameters[routine.line + ':' + p.name.toUpperCase()] = true;
+        });
+      });
+
+      function bodyStart(scope) {
+        var key = scope.kind + ':' + scope.startLine;
+        if (!(key in bodyStarts)) {
+          var k = findScopeToken(tokens, scope, locate);
+          bodyStarts[key] = k === -1 ? -1 : findBodyStart(tokens, k);
+        }
+        return bodyStarts[key];
+      }
+
+      var problems = [];
+      window.__extractScopedVariables(code).forEach(function (v) {
+        var scope = v.scope;
+        if (scope.kind !== 'routine' && scope.kind !== 'declare') return;
+        if (v.type === 'RECORD (loop)' || /^TYPE \(/.test(v.type)) return;
+
+        var from = lineStarts[scope.startLine - 1];
+        var to = scope.endLine < lineStarts.length ? lineStarts[scope.endLine] : code.length;
+        var occurrences = findOccurrences(stripped, v.name, from, to);
+        var lineEnd = v.line < lineStarts.length ? lineStarts[v.line] : code.length;
+        var declared = occurrences.filter(function (offset) {
+          return offset >= lineStarts[v.line - 1] && offset < lineEnd;
+        })[0];
+        if (declared === undefined || occurrences.length > 1) return;
+
+        var parameter = parameters[v.line + ':' + v.name.toUpperCase()];
+        var previous = previousToken(stripped, declared);
+        if (parameter) {
+          // Parameters of forward declarations have no body to use them in
+          if (scope.kind !== 'routine' || scope.startLine !== v.line) return;
+        } else {
+          // Only statements of the declaration section, not lines of the body
+          // that merely look like declarations
+          var statementStart = v.type === 'CURSOR'
+            ? previous.text === 'CURSOR'
+            : ['', ';', 'IS', 'AS', 'DECLARE'].indexOf(previous.text) !== -1;
+          var start = bodyStart(scope);
+          if (!statementStart || start === -1 || declared > start) return;
+        }
+
+        var kind = parameter ? 'parameter' : (KINDS[v.type] || 'variable');
+        var at = locate(declared);
+        var range = parameter ? null
+          : declarationRange(stripped, v.type === 'CURSOR' ? previous.offset : declared, locate);
+        problems.push({
+          code:        'unused-declaration',
+          message:     kind.charAt(0).toUpperCase() + kind.slice(1) + ' ' + v.name +
+            (parameter ? ' is never used' : ' is declared but never used'),
+          severity:    parameter ? monaco.MarkerSeverity.Info : monaco.MarkerSeverity.Warning,
+          tags:        [monaco.MarkerTag.Unnecessary],
+          line:        at.line,
+          startColumn: at.column,
+          endColumn:   at.column + v.name.length,
+          fixes:       range ? [{ title: 'Remove unused ' + kind + ' ' + v.name, text: '', range: range }] : []
+        });
+      });
+      return problems;
+    };
+  }
+
+  /** Upper-case names that are never undeclared variables. */
+  function buildKnownNames(dict) {
+    var known = {};
+    [window.__sqlKeywords, window.__plsqlKeywords].forEach(function (source) {
+      ((source && source.keywords) || []).forEach(function (keyword) {
+        keyword.label.split(/[^\w$#]+/).forEach(function (word) {
+          if (word) known[word.toUpperCase()] = true;
+        });
+      });
+    });
+    ((window.__sqlFunctions && window.__sqlFunctions.functions) || []).forEach(function (fn) {
+      known[fn.name.toUpperCase()] = true;
+    });
+    (dict.packages || []).forEach(function (pkg) { known[pkg.name.toUpperCase()] = true; });
+    EXPRESSION_WORDS.forEach(function (word) { known[word] = true; });
+    return known;
+  }
+
+  /**
+   * Stretches of code holding expressions: the right-hand side of ":=",
+   * IF/ELSIF and WHILE conditions, EXIT/CONTINUE WHEN conditions and
+   * RETURN values.
+   */
+  function findExpressions(stripped) {
+    var expressions = [];
+    var re = /:=|[A-Za-z][\w$#]*/g;
+    var m;
+    while ((m = re.exec(stripped)) !== null) {
+      var word = m[0].toUpperCase();
+      if (word !== ':=' && m.index > 0 && /[\w$#.%]/.test(stripped.charAt(m.index - 1))) continue;
+      var previous = previousToken(stripped, m.index).text;
+      var until = ';';
+      if (word === 'IF' || word === 'ELSIF') {
+        if (previous === 'END') continue;
+        until = 'THEN';
+      } else if (word === 'WHILE') {
+        until = 'LOOP';
+      } else if (word === 'WHEN') {
+        if (previous !== 'EXIT' && previous !== 'CONTINUE') continue;
+      } else if (word === 'RETURN') {
+        if (!atStatementStart(stripped, m.index)) continue;
+      } else if (word !== ':=') {
+        continue;
+      }
+      var start = m.index + m[0].length;
+      expressions.push({ operator: word, offset: m.index, start: start, end: findExpressionEnd(stripped, start, until) });
+    }
+    return expressions;
+  }
+
+  function findExpressionEnd(stripped, from, until) {
+    var re = until === ';' ? /;/g : new RegExp('(^|[^\\w$#])' + until + '(?![\\w$#])|;', 'gi');
+    re.lastIndex = from;
+    var m = re.exec(stripped);
+    return m ? m.index + (m[1] || '').length : stripped.length;
+  }
+
+  /** Simple names read in an expression (not qualified, called or attributed). */
+  function findReferences(stripped, expression) {
+    var references = [];
+    var re = /[A-Za-z][\w$#]*/g;
+    re.lastIndex = expression.start;
+    var m;
+    while ((m = re.exec(stripped)) !== null && m.index < expression.end) {
+      if (m.index > 0 && /[\w$#.:%"]/.test(stripped.charAt(m.index - 1))) continue;
+      var after = stripped.substring(m.index + m[0].length, m.index + m[0].length + 40);
+      if (/^\s*(?:[.(%"]|=>)/.test(after)) continue;
+      references.push({ name: m[0], offset: m.index });
+    }
+    return references;
+  }
+
+  /**
+   * Guess the type of a variable from the expression assigned to it, or
+   * from the condition it makes up on its own.
+   */
+  function guessType(code, expression) {
+    var text = expression ? code.substring(expression.start, expression.end).trim() : '';
+    if (expression && expression.operator !== ':=') {
+      return /^(?:NOT\s+)?[A-Za-z][\w$#]*$/i.test(text) ? 'BOOLEAN' : 'VARCHAR2(4000)';
+    }
+    if (/^[-+]?(?:\d|TO_NUMBER\b|LENGTH\b|INSTR\b|COUNT\b)/i.test(text) || /[-+*\/]\s*\d/.test(text)) return 'NUMBER';
+    if (/^(?:TRUE|FALSE)$/i.test(text)) return 'BOOLEAN';
+    if (/^(?:SYSDATE|TO_DATE|TRUNC\s*\(\s*SYSDATE)\b/i.test(text)) return 'DATE';
+    if (/^(?:SYSTIMESTAMP|LOCALTIMESTAMP|CURRENT_TIMESTAMP|TO_TIMESTAMP)\b/i.test(text)) return 'TIMESTAMP';
+    return 'VARCHAR2(4000)';
+  }
+
+  /**
+   * Assignment targets and names read in expressions that no visible
+   * declaration, local subprogram or dictionary entry accounts for.
+   * A name that is only read may be a schema function called without
+   * parentheses, which the editor cannot see: those are reported as info.
+   */
+  function createUndeclaredCheck(monaco, dict) {
+    // Without the keyword lists every keyword would look undeclared
+    if (!window.__sqlKeywords || !window.__plsqlKeywords ||
+        typeof window.__extractScopedVariables !== 'function') {
+      return function () { return []; };
+    }
+    var known = buildKnownNames(dict);
+
+    /** Edit declaring `name`, in the innermost DECLARE section or subprogram around `line`. */
+    function declareFix(code, stripped, tokens, locate, line, name, type) {
+      var lines = code.split('\n');
+      var scope = null;
+      (window.__extractScopes(code) || []).forEach(function (s) {
+        if ((s.kind === 'routine' || s.kind === 'declare') && s.startLine <= line && line <= s.endLine &&
+            (!scope || s.depth > scope.depth)) {
+          scope = s;
+        }
+      });
+
+      var declaration = name + ' ' + matchCase(name, type) + ';';
+      var insertLine;
+      var text;
+      if (scope) {
+        var k = findScopeToken(tokens, scope, locate);
+        if (k === -1) return null;
+        // Declarations follow DECLARE, or the IS/AS of the subprogram header
+        var depth = 0;
+        for (var j = k; scope.kind === 'routine' && j < tokens.length; j++) {
+          if (tokens[j].text === '(') depth++;
+          else if (tokens[j].text === ')') depth--;
+          else if (!depth && (tokens[j].text === 'IS' || tokens[j].text === 'AS')) break;
+        }
+        var headerLine = locate(tokens[Math.min(j, tokens.length - 1)].offset).line;
+        if (headerLine >= lines.length) return null;
+        insertLine = headerLine + 1;
+        text = /^\s*/.exec(lines[scope.startLine - 1])[0] + '  ' + declaration + '\n';
+      } else {
+        // An anonymous block without DECLARE (such as a page process) gets one
+        if (!tokens.length || tokens[0].text !== 'BEGIN') return null;
+        insertLine = locate(tokens[0].offset).line;
+        var indent = /^\s*/.exec(lines[insertLine - 1])[0];
+        text = indent + matchCase(code.substr(tokens[0].offset, 5), 'DECLARE') + '\n' +
+          indent + '  ' + declaration + '\n';
+      }
+      return {
+        title: 'Declare ' + name,
+        text:  text,
+        range: { startLineNumber: insertLine, startColumn: 1, endLineNumber: insertLine, endColumn: 1 }
+      };
+    }
+
+    return function (code) {
+      if (!code) return [];
+      var stripped = stripCode(code);
+      // Package bodies and type bodies see declarations that are not in
+      // the editor (the specification, the type attributes)
+      var bodyOnly = /\bTYPE\s+BODY\b/i.test(stripped) ||
+        (/\bPACKAGE\s+BODY\b/i.test(stripped) && !/\bPACKAGE\s+(?!BODY\b)[A-Za-z]/i.test(stripped));
+      if (bodyOnly) return [];
+
+      var locate = createLocator(code);
+      var tokens = lexStructure(stripped);
+      var variables = window.__extractScopedVariables(code);
+      var local = {};
+      var re = /\b(?:PROCEDURE|FUNCTION)\s+([A-Za-z][\w$#]*)|<<\s*([A-Za-z][\w$#]*)\s*>>/gi;
+      var m;
+      while ((m = re.exec(stripped)) !== null) local[(m[1] || m[2]).toUpperCase()] = true;
+
+      var references = [];
+      var typedBy = {};
+      findExpressions(stripped).forEach(function (expression) {
+        if (expression.operator === ':=') {
+          var target = previousToken(stripped, expression.offset);
+          if (/^[A-Z]/.test(target.text) && atStatementStart(stripped, target.offset) &&
+              !/[.:]/.test(stripped.charAt(target.offset - 1))) {
+            var name = stripped.substring(target.offset, target.offset + target.text.length);
+            references.push({ name: name, offset: target.offset });
+            typedBy[target.offset] = expression;
+          }
+        }
+        findReferences(stripped, expression).forEach(function (ref) {
+          if (expression.operator !== ':=' && expression.operator !== 'RETURN') typedBy[ref.offset] = expression;
+          ref.read = true;
+          references.push(ref);
+        });
+      });
+
+      var visibleByLine = {};
+      var problems = [];
+      var seen = {};
+      references.forEach(function (ref) {
+        var key = ref.name.toUpperCase();
+        if (seen[ref.offset] || known[key] || local[key]) return;
+        seen[ref.offset] = true;
+        var at = locate(ref.offset);
+        if (!visibleByLine[at.line]) {
+          visibleByLine[at.line] = {};
+          window.__getVisibleVariables(variables, at.line).forEach(function (v) {
+            visibleByLine[at.line][v.name.toUpperCase()] = true;
+          });
+        }
+        if (visibleByLine[at.line][key]) return;
+
+        var fix = declareFix(code, stripped, tokens, locate, at.line, ref.name, guessType(code, typedBy[ref.offset]));
+        problems.push({
+          code:        'undeclared-identifier',
+          message:     ref.name + ' is not declared' + (ref.read ? ', unless it is a schema function' : ''),
+          severity:    ref.read ? monaco.MarkerSeverity.Info : monaco.MarkerSeverity.Warning,
+          line:        at.line,
+          startColumn: at.column,
+          endColumn:   at.column + ref.name.length,
+          fixes:       fix ? [fix] : []
+        });
+      });
+      return problems;
+    };
+  }
+
+  // ── Lint rules ───────────────────────────────
+
+  // Marker severity of each configurable rule severity ('off' runs nothing)
+  var RULE_SEVERITIES = { info: 'Info', warning: 'Warning', error: 'Error' };
+
+  /** Severity of a rule of lint-rules.js: the popup setting, else its default. */
+  function ruleSeverity(rule) {
+    var configured = ((window.__apexSettings || {}).lintRules || {})[rule.id];
+    return configured || rule.severity;
+  }
+
+  /**
+   * Run the enabled rules of lint-rules.js (window.__lintRules). Settings
+   * are read on every run, so a change applies from the next edit.
+   */
+  function createLintCheck(monaco) {
+    return function (code) {
+      var rules = window.__lintRules || [];
+      if (!rules.length || typeof window.__tokenizePlsql !== 'function' || !code) return [];
+      var scan = scanLiterals(code);
+      // The block check reports the literal; the rest of the code is unreliable
+      if (scan.unterminated.length) return [];
+
+      var locate = createLocator(code);
+      var variables = null;
+      var context = {
+        code:             code,
+        stripped:         scan.stripped,
+        tokens:           lexStructure(scan.stripped),
+        strings:          scan.strings,
+        pageDesigner:     !!(window.pe && window.pe.COMP_TYPE),
+        atStatementStart: function (offset) {
+          return atStatementStart(scan.stripped, offset);
+        },
+        variablesAt:      function (offset) {
+          if (typeof window.__extractScopedVariables !== 'function') return [];
+          variables = variables || window.__extractScopedVariables(code);
+          return window.__getVisibleVariables(variables, locate(offset).line);
+        }
+      };
+
+      var problems = [];
+      rules.forEach(function (rule) {
+        var severity = RULE_SEVERITIES[ruleSeverity(rule)];
+        if (!severity) return;
+        try {
+          rule.check(context).forEach(function (found) {
+            var from = locate(found.start);
+            var to = locate(found.end);
+            problems.push({
+              code:        rule.id,
+              message:     found.message,
+              severity:    monaco.MarkerSeverity[severity],
+              line:        from.line,
+              startColumn: from.column,
+              endLine:     to.line,
+              endColumn:   to.column,
+              fixes:       found.fixes || []
+            });
+          });
+        } catch (e) {
+          // A failing rule must not hide the problems found by the others
+        }
+      });
+      return problems;
+    };
+  }
+
+  // ── Provider ─────────────────────────────────
+
+  var CHECKS = [
+    createDeprecationCheck, createUnknownMemberCheck, createArgumentCheck, createBlockCheck,
+    createUnusedCheck, createUndeclaredCheck, createLintCheck
+  ];
+
+  function toRange(problem) {
+    return {
+      startLineNumber: problem.line,
+      startColumn:     problem.startColumn,
+      endLineNumber:   problem.endLine || problem.line,
+      endColumn:       problem.endColumn
+    };
+  }
+
+  function createDiagnostics(monaco) {
+    var dict = (typeof window.__getPackageDictionary === 'function')
+      ? window.__getPackageDictionary() : { packages: [] };
+    var checks = CHECKS.map(function (factory) { return factory(monaco, dict); });
+    var problemsByModel = new WeakMap();
+
+    function setMarkers(model, problems) {
+      problemsByModel.set(model, problems);
+      monaco.editor.setModelMarkers(model, OWNER, problems.map(function (problem) {
+        return Object.assign(toRange(problem), {
+          code:     problem.code,
+          message:  problem.message,
+          severity: problem.severity,
+          tags:     problem.tags,
+          source:   'APEX Autocomplete'
+        });
+      }));
+    }
+
+    return {
+      /** Run every check on the model and replace its markers. */
+      validate: function (model) {
+        var code = model.getValue();
+        var problems = [];
+        checks.forEach(function (check) {
+          try {
+            problems = problems.concat(check(code) || []);
+          } catch (e) {
+            // A failing check must not hide the problems found by the others
+          }
+        });
+        setMarkers(model, problems);
+        return problems;
+      },
+
+      clear: function (model) {
+        setMarkers(model, []);
+      },
+
+      provideCodeActions: function (model, range, context) {
+        var problems = problemsByModel.get(model) || [];
+        var actions = [];
+        ((context && context.markers) || []).forEach(function (marker) {
+          problems.forEach(function (problem) {
+            if (problem.code !== marker.code || problem.line !== marker.startLineNumber ||
+                problem.startColumn !== marker.startColumn) {
+              return;
+            }
+            (problem.fixes || []).forEach(function (fix, i) {
+              actions.push({
+                title:       fix.title,
+                kind:        'quickfix',
+                diagnostics: [marker],
+                isPreferred: i === 0,
+                edit: {
+                  edits: [{
+                    resource: model.uri,
+                    textEdit: { range: fix.range || toRange(problem), text: fix.text },
+                    versionId: undefined
+                  }]
+                }
+              });
+            });
+          });
+        });
+        return { actions: actions, dispose: function () {} };
+      }
+    };
+  }
+
+  // Expose to injected.js
+  window.__createDiagnostics = createDiagnostics;
+
+})();
@@ -3,13 +3,199 @@
  * Runs in the page context (MAIN world).
  * Listens for dictionary data sent from the content script via CustomEvents,
  * and exposes them as window globals for the completion provider.
+ * API dictionaries are validated on load: malformed entries are dropped
+ * (and listed in window.__dictionaryErrors) instead of breaking the providers.
  */
 (function () {
     'use strict';
 
+    var DIRECTIONS = ['IN', 'OUT', 'IN OUT', 'IN/OUT'];
+    var KINDS = ['procedure', 'function'];
+    var DECLARATION_SECTIONS = ['constants', 'variables', 'types'];
+
+    // ── API dictionary schema ────────────────────
+
+    function isString(value) {
+        return typeof value === 'string' && value.length > 0;
+    }
+
+    /**
+     * Check one structured argument:
+     * {name, type, direction?, default?, optional?, position?}.
+     * @returns {?string} error message, or null when valid
+     */
+    function validateArgument(arg) {
+        if (!arg || typeof arg !== 'object') return 'argument is not an object';
+        if (!isString(arg.name)) return 'argument without a name';
+        if (arg.type !== undefined && typeof arg.type !== 'string') {
+            return 'argument ' + arg.name + ': type must be a string';
+        }
+        if (arg.direction !== undefined &&
+            DIRECTIONS.indexOf(String(arg.direction).toUpperCase()) === -1) {
+            return 'argument ' + arg.name + ': unknown direction "' + arg.direction + '"';
+        }
+        if (arg['default'] !== undefined && arg['default'] !== null && typeof arg['default'] !== 'string') {
+            return 'argument ' + arg.name + ': default must be a string or null';
+        }
+        if (arg.optional !== undefined && typeof arg.optional !== 'boolean') {
+            return 'argument ' + arg.name + ': optional must be a boolean';
+        }
+        if (arg.position !== undefined && typeof arg.position !== 'number') {
+            return 'argument ' + arg.name + ': position must be a number';
+        }
+        return null;
+    }
+
+    /**
+     * Check a procedure or one of its overloads. Either a signature string
+     * (older dictionaries) or an arguments array must be present.
+     * @returns {?string} error message, or null when valid
+     */
+    function validateSignatureFields(entry, requireSignature) {
+        if (entry.kind !== undefined && KINDS.indexOf(entry.kind) === -1) {
+            return 'unknown kind "' + entry.kind + '"';
+        }
+        if (entry.signature !== undefined && typeof entry.signature !== 'string') {
+            return 'signature must be a string';
+        }
+        if (entry.arguments !== undefined && entry.arguments !== null) {
+            if (!Array.isArray(entry.arguments)) return 'arguments must be an array';
+            for (var i = 0; i < entry.arguments.length; i++) {
+                var error = validateArgument(entry.arguments[i]);
+                if (error) return error;
+            }
+        } else if (requireSignature && !isString(entry.signature)) {
+            return 'needs a signature or an arguments array';
+        }
+        return null;
+    }
+
+    /**
+     * Check a deprecation note: true, or {since?, replacement?, note?}.
+     * @returns {?string} error message, or null when valid
+     */
+    function validateDeprecation(deprecated) {
+        if (deprecated === undefined || deprecated === true || deprecated === false) return null;
+        if (!deprecated || typeof deprecated !== 'object') return 'deprecated must be true or an object';
+        var keys = ['since', 'replacement', 'note'];
+        for (var i = 0; i < keys.length; i++) {
+            var value = deprecated[keys[i]];
+            if (value !== undefined && typeof value !== 'string') return 'deprecated.' + keys[i] + ' must be a string';
+        }
+        return null;
+    }
+
+    function validateProcedure(proc) {
+        if (!proc || typeof proc !== 'object') return 'procedure is not an object';
+        if (!isString(proc.label)) return 'procedure without a label';
+        var deprecationError = validateDeprecation(proc.deprecated);
+        if (deprecationError) return proc.label + ': ' + deprecationError;
+        var hasOverloads = Array.isArray(proc.overloads) && proc.overloads.length > 0;
+        var error = validateSignatureFields(proc, !hasOverloads);
+        if (error) return proc.label + ': ' + error;
+        if (proc.overloads !== undefined && proc.overloads !== null && !Array.isArray(proc.overloads)) {
+            return proc.label + ': overloads must be an array';
+        }
+        for (var i = 0; hasOverloads && i < proc.overloads.length; i++) {
+            var overload = proc.overloads[i];
+            if (!overload || typeof overload !== 'object') {
+                return proc.label + ': overload ' + (i + 1) + ' is not an object';
+            }
+            error = validateSignatureFields(overload, true);
+            if (error) return proc.label + ' (overload ' + (i + 1) + '): ' + error;
+        }
+        return null;
+    }
+
+    /**
+     * Check a constant, variable or type: {name, type?, value?, definition?,
+     * fields?: [{name, type?}]}.
+     * @returns {?string} error message, or null when valid
+     */
+    function validateDeclaration(decl) {
+        if (!decl || typeof decl !== 'object') return 'declaration is not an object';
+        if (!isString(decl.name)) return 'declaration without a name';
+        if (decl.fields !== undefined) {
+            if (!Array.isArray(decl.fields)) return decl.name + ': fields must be an array';
+            for (var i = 0; i < decl.fields.length; i++) {
+                if (!decl.fields[i] || !isString(decl.fields[i].name)) {
+                    return decl.name + ': field ' + (i + 1) + ' without a name';
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Keep the valid entries of a section, reporting the others.
+     */
+    function filterSection(entries, validate, prefix, errors) {
+        return (Array.isArray(entries) ? entries : []).filter(function (entry) {
+            var error = validate(entry);
+            if (error) errors.push(prefix + error);
+            return !error;
+        });
+    }
+
+    /**
+     * Validate an API dictionary ({packages: [{name, procedures, constants,
+     * variables, types}], types?}).
+     * Invalid packages and entries are left out of the returned copy.
+     * @param {*} dict
+     * @returns {{dict: {packages: Array}, errors: string[]}}
+     */
+    function validateApiDictionary(dict) {
+        var errors = [];
+        if (!dict || !Array.isArray(dict.packages)) {
+            return { dict: { packages: [] }, errors: ['dictionary has no packages array'] };
+        }
+        var packages = [];
+        dict.packages.forEach(function (pkg, p) {
+            if (!pkg || !isString(pkg.name)) {
+                errors.push('packages[' + p + ']: package without a name');
+                return;
+            }
+            var prefix = pkg.name + ': ';
+            var copy = Object.assign({}, pkg, {
+                procedures: filterSection(pkg.procedures, validateProcedure, prefix, errors)
+            });
+            DECLARATION_SECTIONS.forEach(function (section) {
+                if (pkg[section] !== undefined) {
+                    copy[section] = filterSection(pkg[section], validateDeclaration, prefix, errors);
+                }
+            });
+            packages.push(copy);
+        });
+        var result = Object.assign({}, dict, { packages: packages });
+        if (dict.types !== undefined) {
+            result.types = filterSection(dict.types, validateDeclaration, 'types: ', errors);
+        }
+        return { dict: result, errors: errors };
+    }
+
+    // Globals holding API dictionaries → validated before being exposed
+    var VALIDATED = {
+        __apexApi:          validateApiDictionary,
+        __apexDeclarations: validateApiDictionary,
+        __oraclePackages:   validateApiDictionary,
+        __customPackages:   validateApiDictionary,
+        __dictionaryPacks:  validateApiDictionary
+    };
+
+    // Entries skipped by the validation, by dictionary (for debugging)
+    window.__dictionaryErrors = {};
+
     document.addEventListener('__apexDict', function (e) {
         var name = e.detail.name;
         var data = e.detail.data;
+        if (VALIDATED[name]) {
+            var result = VALIDATED[name](data);
+            if (result.errors.length) window.__dictionaryErrors[name] = result.errors;
+            else delete window.__dictionaryErrors[name];
+            data = result.dict;
+        }
         window[name] = data;
     });
+
+    window.__validateApiDictionary = validateApiDictionary;
 })();
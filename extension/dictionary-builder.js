@@ -0,0 +1,225 @@
+/**
+ * dictionary-builder.js
+ * Builds the APEX API dictionary (apex-api-<version>.json format) from the
+ * CSV export of scripts/query.sql, like scripts/generate_apex_api.py does,
+ * so a dictionary matching the exact patch level of an instance can be
+ * imported from the options page.
+ *
+ * Runs in the extension pages (options page).
+ */
+
+(function () {
+  'use strict';
+
+  var REQUIRED_COLUMNS = ['PACKAGE_NAME', 'ALIAS', 'PROCEDURE_NAME'];
+
+  // ── CSV ──────────────────────────────────────
+
+  /**
+   * Parse CSV text (quoted fields, "" escapes, CRLF or LF line ends) into
+   * objects keyed by the upper-cased header names.
+   * @param {string} text
+   * @returns {{columns: string[], rows: Object[]}}
+   */
+  function parseCsv(text) {
+    var records = [];
+    var record = [];
+    var field = '';
+    var quoted = false;
+    text = String(text || '').replace(/^\uFEFF/, '');
+
+    for (var i = 0; i < text.length; i++) {
+      var ch = text.charAt(i);
+      if (quoted) {
+        if (ch === '"' && text.charAt(i + 1) === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        record.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text.charAt(i + 1) === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field || record.length) {
+      record.push(field);
+      records.push(record);
+    }
+
+    var columns = (records.shift() || []).map(function (name) {
+      return name.trim().toUpperCase();
+    });
+    var rows = records.filter(function (values) {
+      return values.length > 1 || values[0];
+    }).map(function (values) {
+      var row = {};
+      columns.forEach(function (name, c) { row[name] = values[c] || ''; });
+      return row;
+    });
+    return { columns: columns, rows: rows };
+  }
+
+  // ── Dictionary ───────────────────────────────
+
+  /** "LABEL(ARG IN TYPE, ...) RETURN TYPE" from the arguments. */
+  function buildSignature(label, kind, returnType, args) {
+    var sorted = sortByPosition(args);
+    var signature = label;
+    if (sorted.length) {
+      signature += '(' + sorted.map(function (a) {
+        return a.name + ' ' + a.direction + ' ' + a.type + (a['default'] ? ' DEFAULT ' + a['default'] : '');
+      }).join(', ') + ')';
+    }
+    if (kind === 'function' && returnType) signature += ' RETURN ' + returnType;
+    return signature;
+  }
+
+  function sortByPosition(args) {
+    return args.slice().sort(function (a, b) { return a.position - b.position; });
+  }
+
+  function toKind(subprogramType) {
+    return subprogramType ? subprogramType.toLowerCase() : 'procedure';
+  }
+
+  /**
+   * Group the CSV rows by package, procedure and overload, and emit the
+   * dictionary. Exports without OVERLOAD merge overloads into one signature;
+   * exports with DEFAULTED also get structured `arguments`.
+   * @param {string} text CSV export of query.sql
+   * @param {{allowed?: string[], deprecated?: Object}} [options]
+   *   allowed: aliases to keep (all when omitted);
+   *   deprecated: deprecation notes by label (apex-deprecated.json)
+   * @returns {{packages: Array}}
+   */
+  function buildApexDictionary(text, options) {
+    options = options || {};
+    var csv = parseCsv(text);
+    var missing = REQUIRED_COLUMNS.filter(function (name) {
+      return csv.columns.indexOf(name) === -1;
+    });
+    if (missing.length) {
+      throw new Error('Not a query.sql export: missing column(s) ' + missing.join(', '));
+    }
+
+    var structured = csv.columns.indexOf('DEFAULTED') !== -1;
+    var allowed = options.allowed ? options.allowed.map(function (a) { return a.toUpperCase(); }) : null;
+    var deprecated = options.deprecated || {};
+    var packages = {};
+    var packageOrder = [];
+
+    csv.rows.forEach(function (row) {
+      var alias = row.ALIAS;
+      if (!alias || (allowed && allowed.indexOf(alias.toUpperCase()) === -1)) return;
+
+      if (!packages[alias]) {
+        packages[alias] = { name: alias, procedures: {}, order: [] };
+        packageOrder.push(alias);
+      }
+      var pkg = packages[alias];
+      var procName = row.PROCEDURE_NAME;
+      var returnType = row.RETURN_TYPE || null;
+
+      if (!pkg.procedures[procName]) {
+        pkg.procedures[procName] = {
+          label: alias + '.' + procName,
+          detail: row.PACKAGE_NAME + '.' + procName,
+          kind: toKind(row.SUBPROGRAM_TYPE),
+          returnType: returnType,
+          arguments: [],
+          overloads: {},
+          overloadOrder: []
+        };
+        pkg.order.push(procName);
+      }
+      var proc = pkg.procedures[procName];
+
+      var overloadKey = row.OVERLOAD || '0';
+      if (!proc.overloads[overloadKey]) {
+        proc.overloads[overloadKey] = { kind: toKind(row.SUBPROGRAM_TYPE), returnType: returnType, arguments: [] };
+        proc.overloadOrder.push(overloadKey);
+      }
+
+      if (!row.ARGUMENT_NAME) return;
+      var argument = {
+        name: row.ARGUMENT_NAME,
+        type: row.DATA_TYPE || '',
+        direction: row.IN_OUT || 'IN',
+        position: parseInt(row.POSITION, 10) || 0
+      };
+      if (structured) {
+        if (row.DEFAULT_VALUE) argument['default'] = row.DEFAULT_VALUE;
+        argument.optional = row.DEFAULTED === 'Y';
+      }
+      // The export repeats arguments (one row per overload combination)
+      [proc.arguments, proc.overloads[overloadKey].arguments].forEach(function (args) {
+        var exists = args.some(function (a) {
+          return a.name === argument.name && a.position === argument.position;
+        });
+        if (!exists) args.push(argument);
+      });
+    });
+
+    return {
+      packages: packageOrder.map(function (alias) {
+        var pkg = packages[alias];
+        return {
+          name: pkg.name,
+          procedures: pkg.order.map(function (procName) {
+            return buildProcedure(pkg.procedures[procName], structured, deprecated);
+          })
+        };
+      })
+    };
+  }
+
+  function buildProcedure(proc, structured, deprecated) {
+    var overloads = proc.overloadOrder.map(function (key) {
+      var o = proc.overloads[key];
+      var entry = {
+        kind: o.kind,
+        returnType: o.returnType,
+        signature: buildSignature(proc.label, o.kind, o.returnType, o.arguments)
+      };
+      if (structured) entry.arguments = sortByPosition(o.arguments);
+      return entry;
+    });
+
+    var entry = {
+      label: proc.label,
+      detail: proc.detail,
+      kind: proc.kind,
+      signature: overloads.length > 1
+        ? overloads[0].signature
+        : buildSignature(proc.label, proc.kind, proc.returnType, proc.arguments)
+    };
+    if (proc.kind === 'function' && proc.returnType) entry.returnType = proc.returnType;
+    if (structured) {
+      entry.arguments = overloads.length > 1 ? overloads[0].arguments : sortByPosition(proc.arguments);
+    }
+    if (overloads.length > 1) {
+      overloads.forEach(function (o) {
+        if (o.kind !== 'function' || !o.returnType) delete o.returnType;
+      });
+      entry.overloads = overloads;
+    }
+    if (deprecated[proc.label]) entry.deprecated = deprecated[proc.label];
+    return entry;
+  }
+
+  window.__parseCsv = parseCsv;
+  window.__buildApexDictionary = buildApexDictionary;
+})();
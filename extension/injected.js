@@ -2,7 +2,9 @@
  * injected.js
  * Runs in the PAGE context (MAIN world).
  * Has direct access to window.monaco.
- * Registers the completion provider and configures editors.
+ * Registers the completion, signature help and hover providers (plus the
+ * substitution string provider for HTML editors) and configures editors.
+ * PL/SQL editors are also validated by diagnostics.js (markers and quick fixes).
  */
 
 (function () {
@@ -15,6 +17,8 @@
   var configuredEditors = new WeakSet();
   var disposables = [];
   var hasLoggedMonacoWait = false;
+  var diagnostics = null;
+  var VALIDATE_DELAY = 500;
 
   // ── Language detection ───────────────────────
 
@@ -80,15 +84,8 @@
     var filteredProvider = {
       triggerCharacters: provider.triggerCharacters,
       provideCompletionItems: function (model, position, context, token) {
-        // Find the editor for this model and check language
-        var editors = getEditors();
-        for (var i = 0; i < editors.length; i++) {
-          if (editors[i].getModel() === model) {
-            if (!isPlsqlEditor(editors[i])) {
-              return { suggestions: [] };
-            }
-            break;
-          }
+        if (!isPlsqlModel(model)) {
+          return { suggestions: [] };
         }
         return provider.provideCompletionItems(model, position, context, token);
       }
@@ -97,6 +94,7 @@
     // Register for known language IDs
     var targets = ['plsql', 'sql', 'oracle', 'oraclesql', 'plaintext'];
     var registered = getRegisteredLanguages();
+    var languages = [];
     var count = 0;
 
     targets.forEach(function (lang) {
@@ -105,6 +103,7 @@
         try {
           var d = monaco.languages.registerCompletionItemProvider(lang, filteredProvider);
           disposables.push(d);
+          languages.push(lang);
           count++;
           // console.log(LOG, 'Registered for "' + lang + '"');
         } catch (e) {}
@@ -117,6 +116,7 @@
       try {
         var d = monaco.languages.registerCompletionItemProvider('plaintext', filteredProvider);
         disposables.push(d);
+        languages.push('plaintext');
         // console.log(LOG, 'Registered for "plaintext" (fallback)');
         count++;
       } catch (e) {
@@ -124,9 +124,146 @@
       }
     }
 
+    registerSignatureHelpProvider(languages);
+    registerHoverProvider(languages);
+    registerSubstitutionProvider();
+    registerDiagnostics(languages);
+
     return count > 0;
   }
 
+  // ── Register signature help provider ─────────
+
+  function registerSignatureHelpProvider(languages) {
+    if (!window.__createSignatureHelpProvider ||
+        typeof monaco.languages.registerSignatureHelpProvider !== 'function') {
+      return false;
+    }
+
+    var provider = window.__createSignatureHelpProvider(window.monaco);
+    var filteredProvider = {
+      signatureHelpTriggerCharacters: provider.signatureHelpTriggerCharacters,
+      signatureHelpRetriggerCharacters: provider.signatureHelpRetriggerCharacters,
+      provideSignatureHelp: function (model, position, token, context) {
+        if (!isPlsqlModel(model)) return null;
+        return provider.provideSignatureHelp(model, position, token, context);
+      }
+    };
+
+    languages.forEach(function (lang) {
+      try {
+        disposables.push(monaco.languages.registerSignatureHelpProvider(lang, filteredProvider));
+      } catch (e) {}
+    });
+    return true;
+  }
+
+  // ── Register hover provider ──────────────────
+
+  function registerHoverProvider(languages) {
+    if (!window.__createHoverProvider ||
+        typeof monaco.languages.registerHoverProvider !== 'function') {
+      return false;
+    }
+
+    var provider = window.__createHoverProvider(window.monaco);
+    var filteredProvider = {
+      provideHover: function (model, position, token) {
+        if (!isPlsqlModel(model)) return null;
+        return provider.provideHover(model, position, token);
+      }
+    };
+
+    languages.forEach(function (lang) {
+      try {
+        disposables.push(monaco.languages.registerHoverProvider(lang, filteredProvider));
+      } catch (e) {}
+    });
+    return true;
+  }
+
+  // ── Register substitution string provider ────
+
+  function registerSubstitutionProvider() {
+    if (!window.__createSubstitutionProvider) return false;
+
+    var provider = window.__createSubstitutionProvider(window.monaco);
+    var registered = getRegisteredLanguages();
+    // Not 'plaintext': APEX uses it as the fallback for SQL editors and
+    // isPlsqlEditor treats it as PL/SQL, so text editors are not covered
+    ['html', 'markdown'].forEach(function (lang) {
+      if (registered.indexOf(lang) === -1) return;
+      try {
+        disposables.push(monaco.languages.registerCompletionItemProvider(lang, provider));
+        if (typeof monaco.languages.registerHoverProvider === 'function') {
+          disposables.push(monaco.languages.registerHoverProvider(lang, provider));
+        }
+      } catch (e) {}
+    });
+    return true;
+  }
+
+  // ── Register diagnostics ─────────────────────
+
+  function registerDiagnostics(languages) {
+    if (!window.__createDiagnostics || !monaco.editor ||
+        typeof monaco.editor.setModelMarkers !== 'function') {
+      return false;
+    }
+
+    diagnostics = window.__createDiagnostics(window.monaco);
+    if (typeof monaco.languages.registerCodeActionProvider !== 'function') return true;
+
+    var filteredProvider = {
+      provideCodeActions: function (model, range, context, token) {
+        if (!isPlsqlModel(model)) return { actions: [], dispose: function () {} };
+        return diagnostics.provideCodeActions(model, range, context, token);
+      }
+    };
+    languages.forEach(function (lang) {
+      try {
+        disposables.push(monaco.languages.registerCodeActionProvider(lang, filteredProvider));
+      } catch (e) {}
+    });
+    return true;
+  }
+
+  // Validate now, after each edit (debounced) and when the model changes
+  function watchDiagnostics(editor) {
+    if (!diagnostics) return;
+    var timer = null;
+
+    function run() {
+      timer = null;
+      var model = editor.getModel();
+      if (!model) return;
+      if (isPlsqlEditor(editor)) diagnostics.validate(model);
+      else diagnostics.clear(model);
+    }
+
+    run();
+    if (typeof editor.onDidChangeModelContent === 'function') {
+      editor.onDidChangeModelContent(function () {
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(run, VALIDATE_DELAY);
+      });
+    }
+    if (typeof editor.onDidChangeModel === 'function') {
+      editor.onDidChangeModel(run);
+    }
+  }
+
+  // Find the editor for this model and check its language
+  function isPlsqlModel(model) {
+    var editors = getEditors();
+    for (var i = 0; i < editors.length; i++) {
+      if (editors[i].getModel() === model) {
+        return isPlsqlEditor(editors[i]);
+      }
+    }
+    return true;
+  }
+
   // ── Find editors ─────────────────────────────
 
   function getEditors() {
@@ -181,6 +318,7 @@
         // This avoids offset tooltips in APEX layouts that use transformed
         // containers (dialogs, split panes, sticky regions).
         fixedOverflowWidgets: true,
+        parameterHints: { enabled: true },
         suggest: {
           showKeywords: true,
           showSnippets: true,
@@ -197,6 +335,8 @@
     } catch (e) {
       // Ignore editor option update failures.
     }
+
+    watchDiagnostics(editor);
   }
 
   // ── Init ─────────────────────────────────────
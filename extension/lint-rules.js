@@ -0,0 +1,244 @@
+/**
+ * lint-rules.js
+ * PL/SQL best-practice rules run by diagnostics.js. Each rule can be
+ * switched off or given another severity in the popup (`lintRules` in the
+ * settings, by rule id).
+ *
+ * A rule is {id, title, severity, check}; `check(context)` returns
+ * problems {message, start, end, fixes?: [{title, text}]} as offsets in the
+ * code (a fix replaces the problem range). The context carries:
+ *   code, stripped (strings and comments blanked), tokens (words,
+ *   parentheses and semicolons of `stripped`: {text, offset, end}),
+ *   strings ({value, offset, end}), pageDesigner (editing a page
+ *   component), atStatementStart(offset) (whether a statement starts
+ *   there) and variablesAt(offset) (declarations visible there).
+ *
+ * Runs in the PAGE context, and in the popup for the list of rules.
+ */
+
+(function () {
+  'use strict';
+
+  var DATE_WORDS = ['SYSDATE', 'SYSTIMESTAMP', 'CURRENT_DATE', 'CURRENT_TIMESTAMP', 'LOCALTIMESTAMP'];
+
+  var AGGREGATES = ['COUNT', 'SUM', 'MIN', 'MAX', 'AVG'];
+
+  // Calls that log an error: Logger, APEX_DEBUG and APEX_ERROR members
+  var LOGGING_CALL = /(?:^|[^\w$#.])(?:LOGGER|APEX_DEBUG|APEX_ERROR)\s*\.\s*[A-Za-z]/i;
+
+  // ── Blocks ───────────────────────────────────
+
+  /**
+   * BEGIN ... END blocks with their exception handlers. Token indexes:
+   * `begin`, `exception` (-1 without an exception section), `end`; each
+   * handler has the exception `names` and the `body` tokens after THEN.
+   */
+  function findBlocks(tokens) {
+    var blocks = [];
+    var stack = [];
+
+    tokens.forEach(function (token, i) {
+      var text = token.text;
+      var previous = i > 0 ? tokens[i - 1].text : '';
+      var top = stack[stack.length - 1];
+      if (text === 'BEGIN') {
+        stack.push({ kind: 'BEGIN', begin: i, exception: -1, end: tokens.length, handlers: [] });
+      } else if ((text === 'IF' || text === 'LOOP' || text === 'CASE') && previous !== 'END') {
+        stack.push({ kind: text });
+      } else if (text === 'END') {
+        var block = stack.pop();
+        if (block && block.kind === 'BEGIN') {
+          block.end = i;
+          blocks.push(block);
+        }
+      } else if (text === 'EXCEPTION' && top && top.kind === 'BEGIN' &&
+                 tokens[i + 1] && tokens[i + 1].text === 'WHEN') {
+        top.exception = i;
+      } else if (text === 'WHEN' && top && top.kind === 'BEGIN' && top.exception !== -1) {
+        top.handlers.push({ when: i });
+      }
+    });
+    stack.forEach(function (block) {
+      if (block.kind === 'BEGIN') blocks.push(block);
+    });
+
+    blocks.forEach(function (block) {
+      block.handlers.forEach(function (handler, h) {
+        var then = handler.when + 1;
+        while (then < block.end && tokens[then].text !== 'THEN') then++;
+        var next = block.handlers[h + 1] ? block.handlers[h + 1].when : block.end;
+        handler.then = then;
+        handler.names = tokens.slice(handler.when + 1, then).map(function (t) { return t.text; })
+          .filter(function (name) { return name !== 'OR'; });
+        handler.body = tokens.slice(then + 1, next);
+      });
+    });
+    return blocks;
+  }
+
+  function othersHandlers(context) {
+    var handlers = [];
+    findBlocks(context.tokens).forEach(function (block) {
+      block.handlers.forEach(function (handler) {
+        if (handler.names.indexOf('OTHERS') !== -1) handlers.push(handler);
+      });
+    });
+    return handlers;
+  }
+
+  function isNullBody(handler) {
+    return handler.body.length === 2 && handler.body[0].text === 'NULL' && handler.body[1].text === ';';
+  }
+
+  // ── Rules ────────────────────────────────────
+
+  function checkWhenOthersNull(context) {
+    var tokens = context.tokens;
+    return othersHandlers(context).filter(isNullBody).map(function (handler) {
+      return {
+        message: 'WHEN OTHERS THEN NULL silently discards every error',
+        start:   tokens[handler.when].offset,
+        end:     handler.body[0].end
+      };
+    });
+  }
+
+  function checkWhenOthersReraise(context) {
+    var tokens = context.tokens;
+    return othersHandlers(context).filter(function (handler) {
+      if (isNullBody(handler)) return false;
+      var raises = handler.body.some(function (token) {
+        return token.text === 'RAISE' || token.text === 'RAISE_APPLICATION_ERROR';
+      });
+      var body = handler.body.length
+        ? context.stripped.substring(handler.body[0].offset, handler.body[handler.body.length - 1].end) : '';
+      return !raises && !LOGGING_CALL.test(body);
+    }).map(function (handler) {
+      return {
+        message: 'WHEN OTHERS neither re-raises nor logs the error',
+        start:   tokens[handler.when].offset,
+        end:     tokens[handler.then - 1].end
+      };
+    });
+  }
+
+  function checkPageProcessCommit(context) {
+    var tokens = context.tokens;
+    // Stored units and autonomous transactions own their transaction
+    if (!context.pageDesigner || !tokens.length || tokens[0].text === 'CREATE' ||
+        /\bAUTONOMOUS_TRANSACTION\b/i.test(context.stripped)) {
+      return [];
+    }
+    var problems = [];
+    tokens.forEach(function (token, i) {
+      if (token.text !== 'COMMIT' && token.text !== 'ROLLBACK') return;
+      if (!context.atStatementStart(token.offset) || (tokens[i + 1] && tokens[i + 1].text === 'TO')) return;
+      problems.push({
+        message: token.text + ' in a page process ends the transaction APEX commits or rolls back for the page',
+        start:   token.offset,
+        end:     token.end
+      });
+    });
+    return problems;
+  }
+
+  /** The INTO of a SELECT INTO statement starting at `i`, or -1. */
+  function findSelectInto(tokens, i) {
+    var depth = 0;
+    for (var k = i + 1; k < tokens.length; k++) {
+      var text = tokens[k].text;
+      if (text === '(') depth++;
+      else if (text === ')') depth--;
+      else if (text === ';' || (depth === 0 && text === 'FROM')) return -1;
+      else if (depth === 0 && text === 'INTO') return tokens[k - 1].text === 'COLLECT' ? -1 : k;
+    }
+    return -1;
+  }
+
+  /** Whether the query always returns a row: an aggregate without GROUP BY, or DUAL. */
+  function alwaysReturnsRow(tokens, select, into) {
+    var words = [];
+    for (var k = into; k < tokens.length && tokens[k].text !== ';'; k++) words.push(tokens[k].text);
+    var from = words.indexOf('FROM');
+    if (from !== -1 && words[from + 1] === 'DUAL' && words.indexOf('WHERE') === -1) return true;
+    return AGGREGATES.indexOf(tokens[select + 1].text) !== -1 && words.indexOf('GROUP') === -1;
+  }
+
+  function checkSelectInto(context) {
+    var tokens = context.tokens;
+    var blocks = null;
+    var problems = [];
+    tokens.forEach(function (token, i) {
+      if (token.text !== 'SELECT' || !context.atStatementStart(token.offset)) return;
+      var into = findSelectInto(tokens, i);
+      if (into === -1 || alwaysReturnsRow(tokens, i, into)) return;
+
+      // The error propagates to the handlers of the enclosing blocks
+      blocks = blocks || findBlocks(tokens);
+      var handled = blocks.some(function (block) {
+        var last = block.exception === -1 ? block.end : block.exception;
+        return block.begin < i && i < last && block.handlers.some(function (handler) {
+          return handler.names.indexOf('NO_DATA_FOUND') !== -1 || handler.names.indexOf('OTHERS') !== -1;
+        });
+      });
+      if (handled) return;
+      problems.push({
+        message: 'SELECT INTO without a NO_DATA_FOUND handler fails when no row is found',
+        start:   token.offset,
+        end:     tokens[into].end
+      });
+    });
+    return problems;
+  }
+
+  function isDateOperand(context, word, offset, assignment) {
+    var name = word.toUpperCase();
+    if (DATE_WORDS.indexOf(name) !== -1) return true;
+    // "l_day DATE := '...'" declares a DATE
+    if (assignment && (name === 'DATE' || name === 'TIMESTAMP')) return true;
+    return context.variablesAt(offset).some(function (v) {
+      return v.name.toUpperCase() === name && /^(DATE|TIMESTAMP)\b/.test(v.type);
+    });
+  }
+
+  function checkDateString(context) {
+    var stripped = context.stripped;
+    var problems = [];
+    context.strings.forEach(function (literal) {
+      var before = stripped.substring(Math.max(0, literal.offset - 200), literal.offset);
+      var after = stripped.substring(literal.end, literal.end + 200);
+      // "date_expr <op> 'text'", "TRUNC(date_expr) <op> 'text'" or "'text' <op> date_expr"
+      var left = /(?:^|[^\w$#.])(?:TRUNC\s*\(\s*)?([A-Za-z][\w$#]*)\s*\)?\s*(<=|>=|<>|!=|=|<|>|:=|\bBETWEEN)\s*$/i.exec(before);
+      var right = /^\s*(<=|>=|<>|!=|=|<|>)\s*([A-Za-z][\w$#]*)(?![\w$#.(])/.exec(after);
+      var operand = left ? left[1] : (right ? right[2] : null);
+      var assignment = !!left && left[2] === ':=';
+      if (!operand || !isDateOperand(context, operand, literal.offset, assignment)) return;
+
+      var iso = /^'(\d{4}-\d{2}-\d{2})'$/.exec(literal.value);
+      problems.push({
+        message: (assignment ? 'Assigning the string ' + literal.value + ' to a DATE'
+          : 'Comparing a DATE with the string ' + literal.value) +
+          ' relies on NLS_DATE_FORMAT; use TO_DATE with a format or a DATE literal',
+        start: literal.offset,
+        end:   literal.end,
+        fixes: iso ? [{
+          title: 'Use a DATE literal',
+          text:  (operand === operand.toLowerCase() ? 'date ' : 'DATE ') + literal.value
+        }] : []
+      });
+    });
+    return problems;
+  }
+
+  window.__lintRules = [
+    { id: 'when-others-null', title: 'WHEN OTHERS THEN NULL', severity: 'warning', check: checkWhenOthersNull },
+    { id: 'when-others-reraise', title: 'WHEN OTHERS without re-raise or logging', severity: 'warning',
+      check: checkWhenOthersReraise },
+    { id: 'page-process-commit', title: 'COMMIT/ROLLBACK in page processes', severity: 'warning',
+      check: checkPageProcessCommit },
+    { id: 'select-into-no-data-found', title: 'SELECT INTO without NO_DATA_FOUND handler', severity: 'info',
+      check: checkSelectInto },
+    { id: 'implicit-date-conversion', title: 'DATE compared with a string', severity: 'warning',
+      check: checkDateString }
+  ];
+})();
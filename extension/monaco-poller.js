@@ -2,14 +2,59 @@
  * monaco-poller.js
  * Runs in the page context (MAIN world).
  * Polls for window.monaco and signals readiness via a DOM attribute.
+ * The APEX release and workspace of the page are signalled the same way, so
+ * the content script can load the matching API dictionary and the dictionary
+ * packs enabled for the workspace.
  */
 (function () {
   'use strict';
+
+  // Paths of the scripts APEX serves itself (builder and runtime libraries)
+  var APEX_SCRIPT_PATH = /\/(?:apex_ui|libraries\/apex)\//;
+
+  /**
+   * "24.2" from apex.env, or from the "?v=24.2.0" suffix APEX adds to the
+   * URLs of its own scripts (builder pages). Other scripts are ignored, their
+   * "?v=" is not an APEX release.
+   * @returns {?string}
+   */
+  function detectApexVersion() {
+    var env = window.apex && window.apex.env;
+    var version = env && (env.APEX_VERSION || env.APEX_BASE_VERSION);
+    if (!version && typeof document.querySelectorAll === 'function') {
+      var scripts = document.querySelectorAll('script[src]');
+      for (var i = 0; i < scripts.length && !version; i++) {
+        var src = scripts[i].getAttribute('src') || '';
+        var v = APEX_SCRIPT_PATH.test(src) && /[?&]v=(\d+\.\d+)/.exec(src);
+        if (v) version = v[1];
+      }
+    }
+    var m = /^(\d+)\.(\d+)/.exec(String(version || ''));
+    return m ? m[1] + '.' + m[2] : null;
+  }
+
+  /**
+   * Workspace of the page, from apex.env.WORKSPACE_FILES: the path prefix of
+   * friendly URLs ("…/r/<workspace>/files/…") or the security group id of
+   * legacy ones ("…?p_security_group_id=123…").
+   * @returns {?string}
+   */
+  function detectWorkspace() {
+    var env = window.apex && window.apex.env;
+    var files = String((env && env.WORKSPACE_FILES) || '');
+    var m = /\/r\/([^/?]+)\/files\//.exec(files) || /[?&]p_security_group_id=(\d+)/.exec(files);
+    return m ? decodeURIComponent(m[1]).toUpperCase() : null;
+  }
+
   var attempts = 0;
   var iv = setInterval(function () {
     attempts++;
     if (window.monaco && window.monaco.editor) {
       clearInterval(iv);
+      var version = detectApexVersion();
+      if (version) document.documentElement.setAttribute('data-apex-version', version);
+      var workspace = detectWorkspace();
+      if (workspace) document.documentElement.setAttribute('data-apex-workspace', workspace);
       document.documentElement.setAttribute('data-apex-monaco-ready', '1');
     }
     if (attempts > 120) { // 60 seconds max
@@ -0,0 +1,224 @@
+/**
+ * options.js
+ * Options page logic.
+ * Imports the CSV export of scripts/query.sql as the APEX API dictionary:
+ * dictionary-builder.js converts it, and the result is stored in
+ * chrome.storage.local, where content-script.js picks it up instead of the
+ * bundled dictionary.
+ * Also keeps the custom packages parsed from pasted or uploaded package
+ * specifications (parsers/spec-parser.js).
+ */
+
+(function () {
+    'use strict';
+
+    var IMPORTED_API_KEY = 'importedApexApi';
+    var CUSTOM_PACKAGES_KEY = 'customPackages';
+
+    var fileInput = document.getElementById('csv-file');
+    var publicOnly = document.getElementById('public-only');
+    var statusEl = document.getElementById('import-status');
+    var removeButton = document.getElementById('remove-import');
+    var specText = document.getElementById('spec-text');
+    var specFiles = document.getElementById('spec-files');
+    var addSpecButton = document.getElementById('add-spec');
+    var customStatusEl = document.getElementById('custom-status');
+    var customListEl = document.getElementById('custom-packages');
+    var clearCustomButton = document.getElementById('clear-custom');
+
+    // ── Import ──────────────────────────────────
+
+    function loadJson(file) {
+        return fetch(chrome.runtime.getURL(file)).then(function (r) { return r.json(); });
+    }
+
+    /**
+     * Build the dictionary from a CSV file and store it.
+     * @param {File} file
+     * @returns {Promise}
+     */
+    function importCsv(file) {
+        showStatus(statusEl, 'Importing ' + file.name + '…');
+        return Promise.all([
+            file.text(),
+            publicOnly.checked ? loadJson('dictionaries/apex-public-plsql-api.json') : null,
+            loadJson('dictionaries/apex-deprecated.json')
+        ]).then(function (results) {
+            var dictionary = window.__buildApexDictionary(results[0], {
+                allowed: results[1],
+                deprecated: results[2]
+            });
+            if (!dictionary.packages.length) {
+                throw new Error('no APEX package found in ' + file.name);
+            }
+            var imported = {
+                name: file.name,
+                importedAt: new Date().toISOString(),
+                packages: dictionary.packages.length,
+                procedures: countProcedures(dictionary),
+                dictionary: dictionary
+            };
+            return store(IMPORTED_API_KEY, imported).then(function () {
+                renderImport(imported);
+            });
+        }).catch(function (err) {
+            showStatus(statusEl, 'Import failed: ' + err.message, 'error');
+        });
+    }
+
+    function store(key, value) {
+        return new Promise(function (resolve, reject) {
+            var update = {};
+            update[key] = value;
+            chrome.storage.local.set(update, function () {
+                if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+                else resolve();
+            });
+        });
+    }
+
+    function countProcedures(dictionary) {
+        return dictionary.packages.reduce(function (sum, pkg) {
+            return sum + pkg.procedures.length;
+        }, 0);
+    }
+
+    function removeImport() {
+        chrome.storage.local.remove(IMPORTED_API_KEY, function () {
+            renderImport(null);
+        });
+    }
+
+    // ── Status ──────────────────────────────────
+
+    function renderImport(imported) {
+        removeButton.disabled = !imported;
+        if (!imported) {
+            showStatus(statusEl, 'Using the bundled dictionaries.');
+            return;
+        }
+        showStatus(statusEl, 'Using ' + imported.name + ': ' + imported.packages + ' packages, ' +
+            imported.procedures + ' procedures and functions, imported ' +
+            new Date(imported.importedAt).toLocaleString() + '. Reload your APEX pages to use it.', 'ok');
+    }
+
+    function showStatus(el, text, type) {
+        el.textContent = text;
+        el.className = 'import-status' + (type ? ' ' + type : '');
+    }
+
+    // ── Custom packages ─────────────────────────
+
+    function loadCustomPackages() {
+        return new Promise(function (resolve) {
+            chrome.storage.local.get(CUSTOM_PACKAGES_KEY, function (result) {
+                resolve((result && result[CUSTOM_PACKAGES_KEY]) || { packages: [] });
+            });
+        });
+    }
+
+    /**
+     * Parse package specifications and store their packages, replacing
+     * stored packages with the same name.
+     * @param {Array<{text: string, name: string}>} sources
+     * @returns {Promise}
+     */
+    function addSpecs(sources) {
+        var parsed = [];
+        sources.forEach(function (source) {
+            parsed = parsed.concat(window.__parsePackageSpecs(source.text, source.name).packages);
+        });
+        if (!parsed.length) {
+            showStatus(customStatusEl, 'No package specification found.', 'error');
+            return Promise.resolve();
+        }
+        return loadCustomPackages().then(function (dict) {
+            var names = parsed.map(function (pkg) { return pkg.name; });
+            var packages = dict.packages.filter(function (pkg) {
+                return names.indexOf(pkg.name) === -1;
+            }).concat(parsed);
+            return saveCustomPackages({ packages: packages }).then(function () {
+                showStatus(customStatusEl, 'Added ' + names.join(', ') + '. Reload your APEX pages to use them.', 'ok');
+            });
+        }).catch(function (err) {
+            showStatus(customStatusEl, 'Could not save the packages: ' + err.message, 'error');
+        });
+    }
+
+    function saveCustomPackages(dict) {
+        return store(CUSTOM_PACKAGES_KEY, dict).then(function () {
+            renderCustomPackages(dict);
+        });
+    }
+
+    function removeCustomPackage(name) {
+        return loadCustomPackages().then(function (dict) {
+            return saveCustomPackages({
+                packages: dict.packages.filter(function (pkg) { return pkg.name !== name; })
+            });
+        });
+    }
+
+    function renderCustomPackages(dict) {
+        customListEl.innerHTML = '';
+        clearCustomButton.disabled = !dict.packages.length;
+        dict.packages.forEach(function (pkg) {
+            var item = document.createElement('li');
+            var label = document.createElement('span');
+            label.textContent = pkg.name + ' — ' + countMembers(pkg) + ' members';
+            if (pkg.source) {
+                var source = document.createElement('span');
+                source.className = 'package-source';
+                source.textContent = ' (' + pkg.source + ')';
+                label.appendChild(source);
+            }
+            var remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', function () { removeCustomPackage(pkg.name); });
+            item.appendChild(label);
+            item.appendChild(remove);
+            customListEl.appendChild(item);
+        });
+    }
+
+    function countMembers(pkg) {
+        return ['procedures', 'constants', 'variables', 'types'].reduce(function (sum, section) {
+            return sum + (pkg[section] || []).length;
+        }, 0);
+    }
+
+    // ── Init ────────────────────────────────────
+
+    chrome.storage.local.get(IMPORTED_API_KEY, function (result) {
+        renderImport((result && result[IMPORTED_API_KEY]) || null);
+    });
+
+    fileInput.addEventListener('change', function () {
+        if (this.files && this.files[0]) importCsv(this.files[0]);
+        this.value = '';
+    });
+
+    removeButton.addEventListener('click', removeImport);
+
+    loadCustomPackages().then(renderCustomPackages);
+
+    addSpecButton.addEventListener('click', function () {
+        if (!specText.value.trim()) return;
+        addSpecs([{ text: specText.value, name: null }]).then(function () {
+            specText.value = '';
+        });
+    });
+
+    specFiles.addEventListener('change', function () {
+        var files = Array.prototype.slice.call(this.files || []);
+        this.value = '';
+        Promise.all(files.map(function (file) {
+            return file.text().then(function (text) { return { text: text, name: file.name }; });
+        })).then(addSpecs);
+    });
+
+    clearCustomButton.addEventListener('click', function () {
+        saveCustomPackages({ packages: [] });
+    });
+})();
@@ -0,0 +1,83 @@
+/**
+ * page-items.js
+ * Reads the page items and application items of the page open in the
+ * APEX Page Designer (window.pe) for bind variable completion and hover.
+ * The model is read on every call, so switching pages is picked up as
+ * soon as the Page Designer has loaded the new page.
+ *
+ * Runs in the PAGE context.
+ */
+
+(function () {
+  'use strict';
+
+  // ── Page Designer model ──────────────────────
+
+  function getModel() {
+    var pe = window.pe;
+    if (!pe || !pe.COMP_TYPE || typeof pe.getComponents !== 'function') return null;
+    return pe;
+  }
+
+  function getCurrentPageId(pe) {
+    try {
+      return typeof pe.getCurrentPageId === 'function' ? pe.getCurrentPageId() : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function getPropertyValue(comp, propertyId, display) {
+    if (!propertyId || typeof comp.getProperty !== 'function') return null;
+    var prop = comp.getProperty(propertyId);
+    if (!prop) return null;
+    if (display && typeof prop.getDisplayValue === 'function') return prop.getDisplayValue() || null;
+    return typeof prop.getValue === 'function' ? prop.getValue() || null : null;
+  }
+
+  function readComponents(pe, typeId, source) {
+    if (!typeId) return [];
+    var components;
+    try {
+      components = pe.getComponents(typeId) || [];
+    } catch (e) {
+      return [];
+    }
+    var props = pe.PROP || {};
+    return components.map(function (comp) {
+      var name = typeof comp.getDisplayTitle === 'function' ? comp.getDisplayTitle() : null;
+      if (!name || !/^[A-Za-z][\w$#]*$/.test(name)) return null;
+      return {
+        name:   name.toUpperCase(),
+        type:   getPropertyValue(comp, props.ITEM_TYPE, true),
+        label:  getPropertyValue(comp, props.ITEM_LABEL || props.LABEL, false),
+        source: source
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Items of the page currently open in the Page Designer, followed by
+   * the application items when the model exposes them.
+   * @returns {{pageId:?string, items:Array<{name:string, type:?string, label:?string, source:string}>}}
+   */
+  function getPageItems() {
+    var pe = getModel();
+    if (!pe) return { pageId: null, items: [] };
+    return {
+      pageId: getCurrentPageId(pe),
+      items:  readComponents(pe, pe.COMP_TYPE.PAGE_ITEM, 'page')
+        .concat(readComponents(pe, pe.COMP_TYPE.APP_ITEM, 'application'))
+    };
+  }
+
+  /** "Page 10 item", "Page item" or "Application item", for completion details and hovers. */
+  function describePageItem(item, pageId) {
+    if (item.source === 'application') return 'Application item';
+    return pageId !== null && pageId !== undefined ? 'Page ' + pageId + ' item' : 'Page item';
+  }
+
+  window.__getPageItems = getPageItems;
+  window.__describePageItem = describePageItem;
+
+})();
@@ -0,0 +1,178 @@
+/**
+ * parsers/signature-parser.js
+ * Parses routine signature strings (as stored in the API dictionaries)
+ * and locates the open call surrounding the cursor. Argument lists are
+ * split by parsers/variable-parser.js, which is injected before this file.
+ *
+ * Runs in the PAGE context.
+ */
+
+(function () {
+  'use strict';
+
+  // ── Signature parsing ────────────────────────
+
+  /**
+   * Parse one parameter declaration, e.g. "P_NAME IN VARCHAR2 DEFAULT NULL".
+   * A trailing "..." (SQL functions such as COALESCE) marks the previous
+   * arguments as repeatable.
+   * @param {string} text
+   * @returns {{name:string, direction:string, type:string, defaultValue:?string, optional:boolean, variadic:?boolean, text:string}}
+   */
+  function parseParameter(text) {
+    if (text === '...') {
+      return { name: text, direction: 'IN', type: '', defaultValue: null, optional: true, variadic: true, text: text };
+    }
+    var m = text.match(
+      /^(\w+)\s+(?:(IN\s+OUT|IN|OUT)\s+)?(?:NOCOPY\s+)?([\s\S]*?)(?:\s+DEFAULT\s+([\s\S]+)|\s*:=\s*([\s\S]+))?$/i
+    );
+    if (!m) {
+      return { name: text, direction: 'IN', type: '', defaultValue: null, optional: false, text: text };
+    }
+    var defaultValue = m[4] || m[5] || null;
+    return {
+      name:         m[1],
+      direction:    (m[2] || 'IN').toUpperCase().replace(/\s+/, ' '),
+      type:         m[3].trim(),
+      defaultValue: defaultValue ? defaultValue.trim() : null,
+      optional:     !!defaultValue,
+      text:         text
+    };
+  }
+
+  /**
+   * Parse a signature string such as
+   * "APEX_UTIL.GET_SESSION_STATE(P_ITEM IN VARCHAR2) RETURN VARCHAR2".
+   * @param {string} sig
+   * @returns {?{name:string, params:Array, returnType:?string}}
+   */
+  function parseSignature(sig) {
+    if (!sig) return null;
+    var open = sig.indexOf('(');
+    var name;
+    var paramText = '';
+    var rest;
+
+    if (open === -1) {
+      var bare = sig.match(/^(.*?)\s+RETURN\s+(.+)$/i);
+      name = bare ? bare[1] : sig;
+      rest = bare ? ' RETURN ' + bare[2] : '';
+    } else {
+      var depth = 0;
+      var close = -1;
+      for (var i = open; i < sig.length; i++) {
+        if (sig.charAt(i) === '(') depth++;
+        if (sig.charAt(i) === ')') {
+          depth--;
+          if (depth === 0) { close = i; break; }
+        }
+      }
+      if (close === -1) close = sig.length;
+      name = sig.substring(0, open);
+      paramText = sig.substring(open + 1, close);
+      rest = sig.substring(close + 1);
+    }
+
+    var ret = rest.match(/^\s*RETURN\s+(.+)$/i);
+    return {
+      name:       name.trim(),
+      params:     window.__splitArguments(paramText).map(parseParameter),
+      returnType: ret ? ret[1].trim() : null
+    };
+  }
+
+  // ── Open call detection ──────────────────────
+
+  /**
+   * Find the calls whose argument list is still open at the end of `text`
+   * (typically the model content up to the cursor), innermost first.
+   * Strings and comments are skipped; a semicolon closes any pending call.
+   * @param {string} text
+   * @returns {Array<{name:string, argIndex:number, namedArgs:string[], currentName:?string, currentArg:string}>}
+   */
+  function findCallContexts(text) {
+    if (!text) return [];
+    var stack = [];
+    var len = text.length;
+    var i = 0;
+
+    while (i < len) {
+      var ch = text.charAt(i);
+      var next = text.charAt(i + 1);
+
+      // Cursor inside a comment → no call context
+      if (ch === '-' && next === '-') {
+        var nl = text.indexOf('\n', i);
+        if (nl === -1) return [];
+        i = nl + 1;
+        continue;
+      }
+      if (ch === '/' && next === '*') {
+        var endComment = text.indexOf('*/', i + 2);
+        if (endComment === -1) return [];
+        i = endComment + 2;
+        continue;
+      }
+
+      // q-quote: q'[...]'
+      if ((ch === 'q' || ch === 'Q') && next === "'" && !/[\w$#]/.test(text.charAt(i - 1))) {
+        var delim = text.charAt(i + 2);
+        var closers = { '[': ']', '{': '}', '<': '>', '(': ')' };
+        var qEnd = text.indexOf((closers[delim] || delim) + "'", i + 3);
+        if (qEnd === -1) break;
+        i = qEnd + 2;
+        continue;
+      }
+
+      // Quoted string ('' is an escaped quote)
+      if (ch === "'") {
+        var j = i + 1;
+        while (j < len && !(text.charAt(j) === "'" && text.charAt(j + 1) !== "'")) {
+          j += text.charAt(j) === "'" ? 2 : 1;
+        }
+        if (j >= len) break;
+        i = j + 1;
+        continue;
+      }
+
+      if (ch === '(') {
+        stack.push({ open: i, argStart: i + 1, args: [] });
+      } else if (ch === ')') {
+        stack.pop();
+      } else if (ch === ',' && stack.length) {
+        var top = stack[stack.length - 1];
+        top.args.push(text.substring(top.argStart, i));
+        top.argStart = i + 1;
+      } else if (ch === ';') {
+        stack = [];
+      }
+      i++;
+    }
+
+    var contexts = [];
+    for (var s = stack.length - 1; s >= 0; s--) {
+      var frame = stack[s];
+      var callee = text.substring(0, frame.open)
+        .match(/([A-Za-z][\w$#]*(?:\.[A-Za-z][\w$#]*)*)\s*$/);
+      if (!callee) continue;
+      var currentArg = text.substring(frame.argStart);
+      contexts.push({
+        name:        callee[1],
+        argIndex:    frame.args.length,
+        namedArgs:   frame.args.map(getNamedArgument).filter(Boolean),
+        currentName: getNamedArgument(currentArg),
+        currentArg:  currentArg
+      });
+    }
+    return contexts;
+  }
+
+  function getNamedArgument(argText) {
+    var m = argText.match(/^\s*([A-Za-z][\w$#]*)\s*=>/);
+    return m ? m[1].toUpperCase() : null;
+  }
+
+  window.__parseSignature = parseSignature;
+  window.__findCallContexts = findCallContexts;
+
+})();
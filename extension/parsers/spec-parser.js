@@ -0,0 +1,321 @@
+/**
+ * parsers/spec-parser.js
+ * Parses PL/SQL package specifications (.pks files, "CREATE OR REPLACE
+ * PACKAGE ... END;") into the apex-api.json dictionary format: procedures
+ * and functions with signatures, structured arguments and overloads, plus
+ * public constants, variables and types. The comment right above a
+ * declaration becomes its description.
+ *
+ * Uses the parenthesis matching of parsers/variable-parser.js, which is
+ * loaded before this file.
+ *
+ * Runs in the extension pages (options page).
+ */
+
+(function () {
+  'use strict';
+
+  // ── Text scanning ────────────────────────────
+
+  /**
+   * Two copies of the code with the same length and line breaks:
+   * `code` without comments, and `masked` without comments nor string
+   * contents (safe to search for keywords and separators).
+   */
+  function maskCode(text) {
+    var code = '';
+    var masked = '';
+    var i = 0;
+
+    function blank(s) { return s.replace(/[^\n]/g, ' '); }
+
+    // Keep the delimiters of a literal, blank its contents
+    function blankLiteral(s, openLength) {
+      if (s.length <= openLength) return s;
+      return s.substring(0, openLength) + blank(s.substring(openLength, s.length - 1)) + s.charAt(s.length - 1);
+    }
+
+    while (i < text.length) {
+      var ch = text.charAt(i);
+      var next = text.charAt(i + 1);
+      var end;
+      if (ch === '-' && next === '-') {
+        end = text.indexOf('\n', i);
+        if (end === -1) end = text.length;
+        code += blank(text.substring(i, end));
+        masked += blank(text.substring(i, end));
+        i = end;
+      } else if (ch === '/' && next === '*') {
+        end = text.indexOf('*/', i + 2);
+        end = end === -1 ? text.length : end + 2;
+        code += blank(text.substring(i, end));
+        masked += blank(text.substring(i, end));
+        i = end;
+      } else if (/[qQ]/.test(ch) && next === "'" && !/[\w$#]/.test(text.charAt(i - 1) || '')) {
+        var open = text.charAt(i + 2);
+        var close = { '[': ']', '{': '}', '(': ')', '<': '>' }[open] || open;
+        end = text.indexOf(close + "'", i + 3);
+        end = end === -1 ? text.length : end + 2;
+        code += text.substring(i, end);
+        masked += blankLiteral(text.substring(i, end), 3);
+        i = end;
+      } else if (ch === "'") {
+        end = i + 1;
+        while (end < text.length) {
+          if (text.charAt(end) === "'" && text.charAt(end + 1) === "'") end += 2;
+          else if (text.charAt(end) === "'") break;
+          else end++;
+        }
+        end = Math.min(end + 1, text.length);
+        code += text.substring(i, end);
+        masked += blankLiteral(text.substring(i, end), 1);
+        i = end;
+      } else {
+        code += ch;
+        masked += ch;
+        i++;
+      }
+    }
+    return { code: code, masked: masked };
+  }
+
+  /** Split on `separator` outside parentheses, keeping the offsets. */
+  function splitTopLevel(masked, start, end, separator) {
+    var parts = [];
+    var depth = 0;
+    var from = start;
+    for (var i = start; i < end; i++) {
+      var ch = masked.charAt(i);
+      if (ch === '(') depth++;
+      else if (ch === ')' && depth > 0) depth--;
+      else if (ch === separator && depth === 0) {
+        parts.push({ start: from, end: i });
+        from = i + 1;
+      }
+    }
+    parts.push({ start: from, end: end });
+    return parts;
+  }
+
+  function squash(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  function unquote(name) {
+    return name.replace(/"/g, '').toUpperCase();
+  }
+
+  /** Text of the comments in text[start, end), without comment markers. */
+  function readComments(text, start, end) {
+    var lines = [];
+    var re = /--(.*)|\/\*([\s\S]*?)\*\//g;
+    var source = text.substring(start, end);
+    var m;
+    while ((m = re.exec(source)) !== null) {
+      (m[1] !== undefined ? m[1] : m[2]).split('\n').forEach(function (line) {
+        line = line.replace(/^\s*\*+/, '').trim();
+        if (line) lines.push(line);
+      });
+    }
+    return lines.join(' ');
+  }
+
+  // ── Declarations ─────────────────────────────
+
+  var NAME = '"?[A-Za-z][\\w$#]*"?';
+
+  /**
+   * "p_name IN OUT NOCOPY VARCHAR2 DEFAULT NULL" → structured argument.
+   */
+  function parseArgument(text, position) {
+    var m = new RegExp('^(' + NAME + ')\\s+(?:(IN\\s+OUT|IN|OUT)\\s+)?(?:NOCOPY\\s+)?([\\s\\S]+?)' +
+      '(?:\\s*(?::=|\\bDEFAULT\\b)\\s*([\\s\\S]+))?$', 'i').exec(squash(text));
+    if (!m) return null;
+    var argument = {
+      name: m[1].replace(/"/g, ''),
+      type: m[3],
+      direction: (m[2] || 'IN').toUpperCase().replace(/\s+/, ' '),
+      position: position
+    };
+    if (m[4] !== undefined) argument['default'] = m[4];
+    argument.optional = m[4] !== undefined;
+    return argument;
+  }
+
+  function buildSignature(label, kind, returnType, args) {
+    var signature = label;
+    if (args.length) {
+      signature += '(' + args.map(function (a) {
+        return a.name + ' ' + a.direction + ' ' + a.type + (a['default'] !== undefined ? ' DEFAULT ' + a['default'] : '');
+      }).join(', ') + ')';
+    }
+    if (kind === 'function' && returnType) signature += ' RETURN ' + returnType;
+    return signature;
+  }
+
+  function parseRoutine(pkgName, decl) {
+    var head = new RegExp('^\\s*(PROCEDURE|FUNCTION)\\s+(' + NAME + ')', 'i').exec(decl.masked);
+    var kind = head[1].toLowerCase();
+    var label = pkgName + '.' + unquote(head[2]);
+    var rest = head[0].length;
+    var args = [];
+
+    var open = /^\s*\(/.exec(decl.masked.substring(rest));
+    if (open) {
+      var openIdx = rest + open[0].length - 1;
+      var closeIdx = window.__findClosingParen(decl.masked, openIdx);
+      if (closeIdx === -1) return null;
+      splitTopLevel(decl.masked, openIdx + 1, closeIdx, ',').forEach(function (part) {
+        var argument = parseArgument(decl.code.substring(part.start, part.end), args.length + 1);
+        if (argument) args.push(argument);
+      });
+      rest = closeIdx + 1;
+    }
+
+    var ret = kind === 'function'
+      ? /^\s*RETURN\s+([\w$#.%]+(?:\s*\([^)]*\))?)/i.exec(decl.code.substring(rest))
+      : null;
+    var returnType = ret ? squash(ret[1]).toUpperCase() : null;
+
+    var entry = { label: label, kind: kind };
+    if (returnType) entry.returnType = returnType;
+    entry.signature = buildSignature(label, kind, returnType, args);
+    entry.arguments = args;
+    if (decl.description) entry.description = decl.description;
+    return entry;
+  }
+
+  function parseRecordFields(decl, openIdx) {
+    var closeIdx = window.__findClosingParen(decl.masked, openIdx);
+    if (closeIdx === -1) return [];
+    return splitTopLevel(decl.masked, openIdx + 1, closeIdx, ',').map(function (part) {
+      var m = new RegExp('^(' + NAME + ')\\s+([\\s\\S]+?)(?:\\s+NOT\\s+NULL)?(?:\\s*(?::=|\\bDEFAULT\\b)[\\s\\S]*)?$', 'i')
+        .exec(squash(decl.code.substring(part.start, part.end)));
+      return m ? { name: m[1].replace(/"/g, ''), type: m[2] } : null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Add one spec declaration (without its ";") to the package.
+   */
+  function addDeclaration(pkg, decl) {
+    var text = squash(decl.code);
+    var m;
+    if (/^(PROCEDURE|FUNCTION)\s/i.test(text)) {
+      var routine = parseRoutine(pkg.name, decl);
+      if (routine) pkg.procedures.push(routine);
+      return;
+    }
+    if (/^(PRAGMA|CURSOR)\s/i.test(text)) return;
+
+    var entry;
+    if ((m = new RegExp('^(?:SUB)?TYPE\\s+(' + NAME + ')\\s+IS\\s+([\\s\\S]+)$', 'i').exec(text))) {
+      entry = { name: unquote(m[1]) };
+      var record = /^\s*(?:SUB)?TYPE\s+\S+\s+IS\s+RECORD\s*\(/i.exec(decl.masked);
+      if (record) entry.fields = parseRecordFields(decl, record[0].length - 1);
+      else entry.definition = m[2];
+      pkg.types.push(entry);
+    } else if ((m = new RegExp('^(' + NAME + ')\\s+CONSTANT\\s+([\\s\\S]+?)(?:\\s+NOT\\s+NULL)?\\s*(?::=|\\bDEFAULT\\b)\\s*([\\s\\S]+)$', 'i').exec(text))) {
+      entry = { name: unquote(m[1]), type: m[2], value: m[3] };
+      pkg.constants.push(entry);
+    } else if ((m = new RegExp('^(' + NAME + ')\\s+([\\s\\S]+?)(?:\\s+NOT\\s+NULL)?(?:\\s*(?::=|\\bDEFAULT\\b)[\\s\\S]*)?$', 'i').exec(text))) {
+      if (/^EXCEPTION$/i.test(m[2])) return;
+      entry = { name: unquote(m[1]), type: m[2] };
+      pkg.variables.push(entry);
+    } else {
+      return;
+    }
+    if (decl.description) entry.description = decl.description;
+  }
+
+  /** Merge procedures declared more than once into overloads. */
+  function groupOverloads(procedures) {
+    var byLabel = {};
+    var result = [];
+    procedures.forEach(function (proc) {
+      var first = byLabel[proc.label];
+      if (!first) {
+        byLabel[proc.label] = proc;
+        result.push(proc);
+        return;
+      }
+      if (!first.overloads) first.overloads = [toOverload(first)];
+      first.overloads.push(toOverload(proc));
+    });
+    return result;
+  }
+
+  function toOverload(proc) {
+    var overload = { kind: proc.kind };
+    if (proc.returnType) overload.returnType = proc.returnType;
+    overload.signature = proc.signature;
+    overload.arguments = proc.arguments;
+    if (proc.description) overload.description = proc.description;
+    return overload;
+  }
+
+  // ── Packages ─────────────────────────────────
+
+  /**
+   * Parse every package specification in the text. Package bodies are
+   * skipped.
+   * @param {string} text
+   * @param {string} [source] file name, kept on each package
+   * @returns {{packages: Array}}
+   */
+  function parsePackageSpecs(text, source) {
+    var scan = maskCode(String(text || ''));
+    var masked = scan.masked;
+    var packages = [];
+    var pkgRe = new RegExp('\\b(?:CREATE\\s+(?:OR\\s+REPLACE\\s+)?(?:(?:NON)?EDITIONABLE\\s+)?)?PACKAGE\\s+' +
+      '(?!BODY\\b)((?:' + NAME + '\\s*\\.\\s*)?' + NAME + ')', 'gi');
+    var pm;
+
+    while ((pm = pkgRe.exec(masked)) !== null) {
+      var name = unquote(pm[1].split('.').pop().trim());
+      var isRe = /\b(IS|AS)\b/gi;
+      isRe.lastIndex = pkgRe.lastIndex;
+      var is = isRe.exec(masked);
+      if (!is) break;
+      var endRe = /\bEND\b\s*("?[\w$#]+"?)?\s*;/gi;
+      endRe.lastIndex = isRe.lastIndex;
+      var end = endRe.exec(masked);
+      var bodyEnd = end ? end.index : masked.length;
+
+      var pkg = { name: name, procedures: [], constants: [], variables: [], types: [] };
+      var description = readComments(text, pm.index, is.index) ||
+        readComments(text, lastNewlineBefore(text, pm.index), pm.index);
+      pkg.description = description || 'Custom package' + (source ? ' (' + source + ')' : '');
+
+      splitTopLevel(masked, isRe.lastIndex, bodyEnd, ';').forEach(function (part) {
+        var start = part.start + /^\s*/.exec(masked.substring(part.start, part.end))[0].length;
+        if (start >= part.end) return;
+        // Comments on the line of the previous ";" belong to the previous declaration
+        var newline = text.indexOf('\n', part.start);
+        addDeclaration(pkg, {
+          code:        scan.code.substring(start, part.end),
+          masked:      masked.substring(start, part.end),
+          description: newline !== -1 && newline < start ? readComments(text, newline, start) : ''
+        });
+      });
+
+      pkg.procedures = groupOverloads(pkg.procedures);
+      ['constants', 'variables', 'types'].forEach(function (section) {
+        if (!pkg[section].length) delete pkg[section];
+      });
+      if (source) pkg.source = source;
+      packages.push(pkg);
+      pkgRe.lastIndex = end ? endRe.lastIndex : masked.length;
+    }
+    return { packages: packages };
+  }
+
+  // Comments on the lines just above "CREATE PACKAGE"
+  function lastNewlineBefore(text, index) {
+    var before = text.substring(0, index);
+    var m = /(?:[ \t]*(?:--[^\n]*|\/\*[\s\S]*?\*\/)[ \t]*\n)+[ \t]*$/.exec(before);
+    return m ? m.index : index;
+  }
+
+  window.__parsePackageSpecs = parsePackageSpecs;
+})();
@@ -1,7 +1,10 @@
 /**
  * parsers/variable-parser.js
  * Extracts declared variables, cursors, parameters, and loop variables
- * from PL/SQL code for autocomplete suggestions.
+ * from PL/SQL code for autocomplete suggestions, along with the
+ * procedure/function headers that declare parameter lists, the
+ * fields of local record types, cursors and cursor FOR loops, the
+ * kind of local collection types and the bind variables in use.
  *
  * Runs in the PAGE context.
  */
@@ -22,7 +25,9 @@
     'ROLLBACK':1,'SAVEPOINT':1,'BULK':1,'COLLECT':1,'FORALL':1,'CASE':1,
     'WITH':1,'ON':1,'JOIN':1,'LEFT':1,'RIGHT':1,'INNER':1,'OUTER':1,
     'CROSS':1,'UNION':1,'MINUS':1,'INTERSECT':1,'ORDER':1,'GROUP':1,
-    'HAVING':1,'DISTINCT':1,'ALL':1,'EXISTS':1,'BETWEEN':1,'LIKE':1
+    'HAVING':1,'DISTINCT':1,'ALL':1,'EXISTS':1,'BETWEEN':1,'LIKE':1,
+    // Method headers of object type bodies
+    'MEMBER':1,'STATIC':1,'CONSTRUCTOR':1,'MAP':1,'OVERRIDING':1,'FINAL':1
   };
 
   function isReserved(word) {
@@ -30,40 +35,22 @@
   }
 
   /**
-   * Extract declared variables from PL/SQL code.
-   * @param {string} code
-   * @returns {Array<{name:string, type:string, line:number}>}
+   * Split a parameter/argument list on top-level commas,
+   * ignoring commas nested in parentheses or string literals.
+   * @param {string} text
+   * @returns {string[]}
    */
-  function extractVariables(code) {
-    if (!code) return [];
-
-    var variables = [];
-    var seen = {};
-    var lines = code.split('\n');
-
-    function add(name, type, lineNum) {
-      var key = name.toUpperCase();
-      if (!seen[key] && !isReserved(name)) {
-        seen[key] = true;
-        variables.push({ name: name, type: type, line: lineNum });
-      }
-    }
-
-    function normalizeType(typeRaw) {
-      if (!typeRaw) return 'UNKNOWN';
-      var cleaned = typeRaw
-        .replace(/\s+(DEFAULT|:=).*/i, '')
-        .replace(/\s+NOT\s+NULL.*/i, '')
-        .trim();
-      return cleaned.toUpperCase();
-    }
+  function splitArguments(text) {
+    var result = [];
+    var current = '';
+    var depth = 0;
+    var inString = false;
+    if (!text) return result;
 
-    function splitParams(paramsText) {
-      var result = [];
-      var current = '';
-      var depth = 0;
-      for (var i = 0; i < paramsText.length; i++) {
-        var ch = paramsText.charAt(i);
+    for (var i = 0; i < text.length; i++) {
+      var ch = text.charAt(i);
+      if (ch === "'") inString = !inString;
+      if (!inString) {
         if (ch === '(') depth++;
         if (ch === ')' && depth > 0) depth--;
         if (ch === ',' && depth === 0) {
@@ -71,24 +58,19 @@
           current = '';
           continue;
         }
-        current += ch;
       }
-      if (current.trim()) result.push(current.trim());
-      return result;
-    }
-
-    function extractParameterListParams(paramText, startLineNum) {
-      var params = splitParams(paramText);
-      params.forEach(function (p) {
-        var m = p.match(/^(\w+)\s+(?:(IN\s+OUT|IN|OUT)\s+)?(.+)$/i);
-        if (!m || isReserved(m[1])) return;
-        add(m[1], normalizeType(m[3]), startLineNum);
-      });
+      current += ch;
     }
+    if (current.trim()) result.push(current.trim());
+    return result;
+  }
 
-    // Extract procedure/function parameters from full headers (single or multiline).
-    // Supports both "p IN NUMBER" and "p NUMBER" forms.
-    var routineStartRe = /\b(?:PROCEDURE|FUNCTION)\s+\w+\s*\(/gi;
+  /**
+   * Walk every "PROCEDURE|FUNCTION name (...)" header in the code and
+   * call `callback` with its name, kind, parsed parameters and line.
+   */
+  function scanRoutineHeaders(code, callback) {
+    var routineStartRe = /\b(PROCEDURE|FUNCTION)\s+([\w$#]+)\s*\(/gi;
     var rm;
     while ((rm = routineStartRe.exec(code)) !== null) {
       var openIdx = code.indexOf('(', rm.index);
@@ -109,12 +91,82 @@
       }
       if (closeIdx === -1) continue;
 
-      var paramText = code.substring(openIdx + 1, closeIdx);
-      var lineNum = code.substring(0, rm.index).split('\n').length;
-      extractParameterListParams(paramText, lineNum);
+      var params = [];
+      splitArguments(code.substring(openIdx + 1, closeIdx)).forEach(function (p) {
+        var m = p.match(/^([\w$#]+)\s+(?:(IN\s+OUT|IN|OUT)\s+)?(.+)$/i);
+        if (!m || isReserved(m[1])) return;
+        params.push({
+          name:      m[1],
+          direction: (m[2] || 'IN').toUpperCase().replace(/\s+/, ' '),
+          type:      m[3],
+          text:      p.replace(/\s+/g, ' ')
+        });
+      });
+
+      var ret = rm[1].toUpperCase() === 'FUNCTION'
+        ? code.substring(closeIdx + 1).match(/^\s*RETURN\s+([\w$#.%]+)/i)
+        : null;
+
+      callback({
+        name:       rm[2],
+        kind:       rm[1].toLowerCase(),
+        params:     params,
+        returnType: ret ? ret[1].toUpperCase() : null,
+        line:       code.substring(0, rm.index).split('\n').length
+      });
 
       routineStartRe.lastIndex = closeIdx + 1;
     }
+  }
+
+  /**
+   * Extract procedure/function headers that declare a parameter list,
+   * including routines nested in DECLARE sections and package bodies.
+   * @param {string} code
+   * @returns {Array<{name:string, kind:string, params:Array, returnType:?string, line:number, signature:string}>}
+   */
+  function extractRoutines(code) {
+    if (!code) return [];
+    var routines = [];
+    scanRoutineHeaders(code, function (header) {
+      header.signature = header.name + '(' +
+        header.params.map(function (p) { return p.text; }).join(', ') + ')' +
+        (header.returnType ? ' RETURN ' + header.returnType : '');
+      routines.push(header);
+    });
+    return routines;
+  }
+
+  /**
+   * Collect every declaration in the code, in discovery order,
+   * without removing names declared more than once.
+   */
+  function collectDeclarations(code) {
+    var variables = [];
+    var lines = code.split('\n');
+
+    function add(name, type, lineNum) {
+      if (!isReserved(name)) {
+        variables.push({ name: name, type: type, line: lineNum });
+      }
+    }
+
+    function normalizeType(typeRaw) {
+      if (!typeRaw) return 'UNKNOWN';
+      var cleaned = typeRaw
+        .replace(/\s+(DEFAULT|:=).*/i, '')
+        .replace(/\s+NOT\s+NULL.*/i, '')
+        .trim();
+      return cleaned.toUpperCase();
+    }
+
+    // Extract procedure/function parameters from full headers (single or multiline).
+    // Supports both "p IN NUMBER" and "p NUMBER" forms.
+    scanRoutineHeaders(code, function (header) {
+      header.params.forEach(function (p) {
+        add(p.name, normalizeType(p.type), header.line);
+      });
+    });
 
     for (var i = 0; i < lines.length; i++) {
       var raw = lines[i];
@@ -127,41 +179,463 @@
 
       // 1. variable_name CONSTANT? TYPE[(size)] [:= | DEFAULT | ;]
       m = line.match(
-        /^(\w+)\s+(?:CONSTANT\s+)?([A-Z][\w$#]*(?:\.[A-Z][\w$#]*)?(?:%TYPE|%ROWTYPE)?)(\s*\([^)]*\))?(?:\s+NOT\s+NULL)?\s*(;|:=|DEFAULT)/i
+        /^([\w$#]+)\s+(?:CONSTANT\s+)?([A-Z][\w$#]*(?:\.[A-Z][\w$#]*)?(?:%TYPE|%ROWTYPE)?)(\s*\([^)]*\))?(?:\s+NOT\s+NULL)?\s*(;|:=|DEFAULT)/i
       );
       if (m) { add(m[1], normalizeType((m[2] || '') + (m[3] || '')), lineNum); continue; }
 
       // 2. variable_name table.column%TYPE
-      m = line.match(/^(\w+)\s+(\w+\.\w+)%TYPE\s*(;|:=|DEFAULT)/i);
+      m = line.match(/^([\w$#]+)\s+(\w+\.\w+)%TYPE\s*(;|:=|DEFAULT)/i);
       if (m) { add(m[1], m[2] + '%TYPE', lineNum); continue; }
 
       // 3. variable_name table%ROWTYPE
-      m = line.match(/^(\w+)\s+(\w+)%ROWTYPE\s*(;|:=)/i);
+      m = line.match(/^([\w$#]+)\s+(\w+)%ROWTYPE\s*(;|:=)/i);
       if (m) { add(m[1], m[2] + '%ROWTYPE', lineNum); continue; }
 
       // 4. CURSOR cursor_name IS
-      m = line.match(/^CURSOR\s+(\w+)\s+IS/i);
+      m = line.match(/^CURSOR\s+([\w$#]+)\s+IS/i);
       if (m) { add(m[1], 'CURSOR', lineNum); continue; }
 
       // 5. FOR rec IN ...
-      m = line.match(/^FOR\s+(\w+)\s+IN\s/i);
+      m = line.match(/^FOR\s+([\w$#]+)\s+IN\s/i);
       if (m) { add(m[1], 'RECORD (loop)', lineNum); continue; }
 
       // 6. param_name IN/OUT/IN OUT TYPE
-      m = line.match(/^\s*(\w+)\s+(?:(IN\s+OUT|IN|OUT)\s+)?([^,;:=]+(?:\([^)]*\))?(?:%TYPE|%ROWTYPE)?)/i);
+      m = line.match(/^\s*([\w$#]+)\s+(?:(IN\s+OUT|IN|OUT)\s+)?([^,;:=]+(?:\([^)]*\))?(?:%TYPE|%ROWTYPE)?)/i);
       if (m && !isReserved(m[1])) {
         add(m[1], normalizeType(m[3]), lineNum);
         continue;
       }
 
       // 7. TYPE type_name IS RECORD|TABLE OF|VARRAY
-      m = line.match(/^TYPE\s+(\w+)\s+IS\s+(RECORD|TABLE\s+OF|VARRAY)/i);
+      m = line.match(/^TYPE\s+([\w$#]+)\s+IS\s+(RECORD|TABLE\s+OF|VARRAY)/i);
       if (m) { add(m[1], 'TYPE (' + m[2].toUpperCase() + ')', lineNum); continue; }
     }
 
     return variables;
   }
 
+  /**
+   * Extract declared variables from PL/SQL code.
+   * @param {string} code
+   * @returns {Array<{name:string, type:string, line:number}>}
+   */
+  function extractVariables(code) {
+    if (!code) return [];
+    var seen = {};
+    return collectDeclarations(code).filter(function (v) {
+      var key = v.name.toUpperCase();
+      if (seen[key]) return false;
+      seen[key] = true;
+      return true;
+    });
+  }
+
+  // ── Block scopes ─────────────────────────────
+
+  /**
+   * Blank out strings and comments, keeping line breaks so that
+   * offsets still map to the same line numbers.
+   */
+  function stripStringsAndComments(code) {
+    return code.replace(
+      /--[^\n]*|\/\*[\s\S]*?\*\/|[qQ]'\[[\s\S]*?\]'|[qQ]'\{[\s\S]*?\}'|[qQ]'<[\s\S]*?>'|[qQ]'\([\s\S]*?\)'|'(?:[^']|'')*'/g,
+      function (match) { return match.replace(/[^\n]/g, ' '); }
+    );
+  }
+
+  var SCOPE_KINDS = { 'package': 1, routine: 1, declare: 1, 'for': 1 };
+
+  /**
+   * Find the line ranges of packages, routine definitions, DECLARE blocks
+   * and cursor FOR loops. Each scope carries its nesting depth so inner
+   * scopes can be told apart from the blocks that enclose them.
+   * @param {string} code
+   * @returns {Array<{kind:string, startLine:number, endLine:number, depth:number, name:?string, body:boolean}>}
+   */
+  function extractScopes(code) {
+    if (!code) return [];
+    var stripped = stripStringsAndComments(code);
+    var lastLine = code.split('\n').length;
+    var tokens = [];
+    var tokenRe = /[A-Za-z][\w$#]*(?:\.[A-Za-z][\w$#]*)*|[();]/g;
+    var line = 1;
+    var lastIdx = 0;
+    var tm;
+    while ((tm = tokenRe.exec(stripped)) !== null) {
+      line += stripped.substring(lastIdx, tm.index).split('\n').length - 1;
+      lastIdx = tm.index;
+      tokens.push({ word: tm[0].toUpperCase(), line: line });
+    }
+
+    var scopes = [];
+    var stack = [];
+
+    function open(kind, startLine, name) {
+      var entry = { kind: kind, startLine: startLine, depth: stack.length + 1, name: name || null, body: false };
+      stack.push(entry);
+      return entry;
+    }
+
+    function close(endLine) {
+      var entry = stack.pop();
+      if (entry && SCOPE_KINDS[entry.kind]) {
+        scopes.push({
+          kind: entry.kind, startLine: entry.startLine, endLine: endLine,
+          depth: entry.depth, name: entry.name, body: entry.body
+        });
+      }
+      return entry;
+    }
+
+    function closeUntil(kinds, endLine) {
+      while (stack.length) {
+        if (kinds.indexOf(close(endLine).kind) !== -1) return;
+      }
+    }
+
+    // PROCEDURE/FUNCTION followed by IS/AS is a definition; followed by ';' a declaration
+    function isDefinition(from) {
+      var depth = 0;
+      for (var j = from; j < tokens.length; j++) {
+        var w = tokens[j].word;
+        if (w === '(') depth++;
+        else if (w === ')') depth--;
+        else if (depth === 0 && w === ';') return false;
+        else if (depth === 0 && (w === 'IS' || w === 'AS')) return true;
+      }
+      return false;
+    }
+
+    for (var i = 0; i < tokens.length; i++) {
+      var t = tokens[i];
+      var prev = i > 0 ? tokens[i - 1].word : '';
+      var next = i + 1 < tokens.length ? tokens[i + 1].word : '';
+      var top = stack[stack.length - 1];
+
+      switch (t.word) {
+        case 'PACKAGE':
+          var isBody = next === 'BODY';
+          var nameTok = tokens[i + (isBody ? 2 : 1)];
+          var pkgName = nameTok ? nameTok.word.split('.').pop() : null;
+          open('package', t.line, pkgName).body = isBody;
+          break;
+        case 'PROCEDURE':
+        case 'FUNCTION':
+          if (isDefinition(i + 1)) open('routine', t.line, next.split('.').pop());
+          break;
+        case 'DECLARE':
+          open('declare', t.line);
+          break;
+        case 'BEGIN':
+          if (top && top.kind !== 'for' && SCOPE_KINDS[top.kind] && !top.hasBegin) {
+            top.hasBegin = true;
+          } else {
+            open('block', t.line);
+          }
+          break;
+        case 'IF':
+        case 'CASE':
+          if (prev !== 'END') open(t.word.toLowerCase(), t.line);
+          break;
+        case 'FOR':
+          if (tokens[i + 2] && tokens[i + 2].word === 'IN') open('for', t.line);
+          break;
+        case 'LOOP':
+          if (prev === 'END') break;
+          if (top && top.kind === 'for' && !top.hasLoop) top.hasLoop = true;
+          else open('loop', t.line);
+          break;
+        case 'END':
+          if (next === 'IF') closeUntil(['if'], t.line);
+          else if (next === 'LOOP') closeUntil(['loop', 'for'], t.line);
+          else if (next === 'CASE') closeUntil(['case'], t.line);
+          else if (stack.length) close(t.line);
+          break;
+      }
+    }
+    while (stack.length) close(lastLine);
+
+    // Package spec globals are also visible in the body of the same package
+    scopes.forEach(function (spec) {
+      if (spec.kind !== 'package' || spec.body) return;
+      spec.bodies = scopes.filter(function (s) {
+        return s.kind === 'package' && s.body && s.name === spec.name;
+      }).map(function (s) {
+        return { startLine: s.startLine, endLine: s.endLine };
+      });
+    });
+
+    return scopes;
+  }
+
+  /**
+   * Extract declarations together with the innermost scope that contains
+   * them. Names declared twice in the same scope are kept once; the same
+   * name in different scopes is kept for each scope (for shadowing).
+   * Declarations outside any block get a 'global' scope spanning the code.
+   * @param {string} code
+   * @returns {Array<{name:string, type:string, line:number, scope:Object}>}
+   */
+  function extractScopedVariables(code) {
+    if (!code) return [];
+    var scopes = extractScopes(code);
+    var globalScope = {
+      kind: 'global', startLine: 1, endLine: code.split('\n').length,
+      depth: 0, name: null, body: false
+    };
+    var seen = {};
+    var result = [];
+
+    collectDeclarations(code).forEach(function (v) {
+      var scope = globalScope;
+      scopes.forEach(function (s) {
+        if (s.startLine <= v.line && v.line <= s.endLine && s.depth > scope.depth) scope = s;
+      });
+      var key = scopes.indexOf(scope) + ':' + v.name.toUpperCase();
+      if (seen[key]) return;
+      seen[key] = true;
+      result.push({ name: v.name, type: v.type, line: v.line, scope: scope });
+    });
+    return result;
+  }
+
+  function isVisibleAt(scope, lineNumber) {
+    if (scope.startLine <= lineNumber && lineNumber <= scope.endLine) return true;
+    return (scope.bodies || []).some(function (range) {
+      return range.startLine <= lineNumber && lineNumber <= range.endLine;
+    });
+  }
+
+  /**
+   * Keep the scoped variables visible at a line, resolving shadowing
+   * in favour of the innermost declaration.
+   * @param {Array} variables - result of extractScopedVariables
+   * @param {number} lineNumber
+   * @returns {Array<{name:string, type:string, line:number, scope:Object}>}
+   */
+  function getVisibleVariables(variables, lineNumber) {
+    var byName = {};
+    var order = [];
+    variables.forEach(function (v) {
+      if (!isVisibleAt(v.scope, lineNumber)) return;
+      var key = v.name.toUpperCase();
+      if (!byName[key]) order.push(key);
+      if (!byName[key] || v.scope.depth > byName[key].scope.depth) byName[key] = v;
+    });
+    return order.map(function (key) { return byName[key]; });
+  }
+
+  // ── Record fields ────────────────────────────
+
+  /**
+   * Index of the parenthesis closing the one at `openIdx`, or -1.
+   * Expects code without strings and comments (see stripStringsAndComments).
+   */
+  function findClosingParen(text, openIdx) {
+    var depth = 0;
+    for (var i = openIdx; i < text.length; i++) {
+      if (text.charAt(i) === '(') depth++;
+      if (text.charAt(i) === ')') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Column names of a select list, read from the text right after SELECT.
+   * Uses the alias when there is one, the column name for plain (or
+   * table-qualified) columns, and skips "*" and unaliased expressions.
+   */
+  function parseSelectList(text) {
+    var depth = 0;
+    var end = text.length;
+    var fromRe = /\bFROM\b|[()]/gi;
+    var fm;
+    while ((fm = fromRe.exec(text)) !== null) {
+      if (fm[0] === '(') depth++;
+      else if (fm[0] === ')') {
+        if (depth === 0) { end = fm.index; break; }
+        depth--;
+      } else if (depth === 0) { end = fm.index; break; }
+    }
+
+    var columns = [];
+    splitArguments(text.substring(0, end)).forEach(function (item) {
+      item = item.replace(/^(?:DISTINCT|UNIQUE|ALL)\s+/i, '').trim();
+      var m = item.match(/^[A-Za-z][\w$#]*(?:\.[A-Za-z][\w$#]*)*$/);
+      if (m) { columns.push(item.split('.').pop()); return; }
+      m = item.match(/^[\s\S]*?[\w$#)"]\s+(?:AS\s+)?("[^"]+"|[A-Za-z][\w$#]*)$/i);
+      if (m) columns.push(m[1]);
+    });
+    return columns;
+  }
+
+  /**
+   * Fields of local "TYPE t IS RECORD (...)" declarations, by type name.
+   * @param {string} code
+   * @returns {Object<string, Array<{name:string, type:string}>>}
+   */
+  function extractRecordTypes(code) {
+    var types = {};
+    if (!code) return types;
+    var stripped = stripStringsAndComments(code);
+    var re = /\bTYPE\s+(\w+)\s+IS\s+RECORD\s*\(/gi;
+    var m;
+    while ((m = re.exec(stripped)) !== null) {
+      var openIdx = m.index + m[0].length - 1;
+      var closeIdx = findClosingParen(stripped, openIdx);
+      if (closeIdx === -1) continue;
+      types[m[1].toUpperCase()] = splitArguments(stripped.substring(openIdx + 1, closeIdx))
+        .map(function (field) {
+          var fm = field.match(/^(\w+)\s+([\s\S]+)$/);
+          if (!fm) return null;
+          var type = fm[2]
+            .replace(/\s+(DEFAULT|:=)[\s\S]*/i, '')
+            .replace(/\s+NOT\s+NULL[\s\S]*/i, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+          return { name: fm[1], type: type.toUpperCase() };
+        })
+        .filter(Boolean);
+      re.lastIndex = closeIdx;
+    }
+    return types;
+  }
+
+  /**
+   * Kind of local collection types ("TYPE t IS TABLE OF ... [INDEX BY ...]",
+   * "TYPE t IS VARRAY(n) OF ..."), by type name.
+   * @param {string} code
+   * @returns {Object<string, string>} NESTED_TABLE, ASSOCIATIVE_ARRAY or VARRAY
+   */
+  function extractCollectionTypes(code) {
+    var types = {};
+    if (!code) return types;
+    var stripped = stripStringsAndComments(code);
+    var re = /\bTYPE\s+(\w+)\s+IS\s+(TABLE\s+OF|VARRAY|VARYING\s+ARRAY)\b([^;]*)/gi;
+    var m;
+    while ((m = re.exec(stripped)) !== null) {
+      var kind = 'VARRAY';
+      if (/^TABLE/i.test(m[2])) {
+        kind = /\bINDEX\s+BY\b/i.test(m[3]) ? 'ASSOCIATIVE_ARRAY' : 'NESTED_TABLE';
+      }
+      types[m[1].toUpperCase()] = kind;
+    }
+    return types;
+  }
+
+  /**
+   * Select-list columns of local "CURSOR c IS SELECT ..." declarations.
+   * @param {string} code
+   * @returns {Object<string, string[]>}
+   */
+  function extractCursorColumns(code) {
+    var cursors = {};
+    if (!code) return cursors;
+    var stripped = stripStringsAndComments(code);
+    var re = /\bCURSOR\s+(\w+)\b/gi;
+    var m;
+    while ((m = re.exec(stripped)) !== null) {
+      var rest = stripped.substring(re.lastIndex);
+      var isIdx = rest.search(/\bIS\b/i);
+      if (isIdx === -1) continue;
+      var query = rest.substring(isIdx + 2).match(/^\s*\(?\s*SELECT\b/i);
+      if (!query) continue;
+      cursors[m[1].toUpperCase()] = parseSelectList(rest.substring(isIdx + 2 + query[0].length));
+    }
+    return cursors;
+  }
+
+  /**
+   * Resolve the fields of a record variable visible at a line:
+   * fields of a local RECORD type, columns of a local cursor (for
+   * c%ROWTYPE and cursor FOR loops) or of an inline FOR ... IN (SELECT ...).
+   * @param {string} code
+   * @param {string} name - variable name before the dot
+   * @param {number} lineNumber
+   * @returns {Array<{name:string, type:?string, source:string}>}
+   */
+  function getRecordFields(code, name, lineNumber) {
+    if (!code || !name) return [];
+    var key = name.toUpperCase();
+    var variable = null;
+    getVisibleVariables(extractScopedVariables(code), lineNumber).forEach(function (v) {
+      if (v.name.toUpperCase() === key) variable = v;
+    });
+    if (!variable) return [];
+
+    var type = variable.type.toUpperCase();
+    var cursors = extractCursorColumns(code);
+
+    function fromCursor(cursorName) {
+      var columns = cursors[cursorName.toUpperCase()];
+      if (!columns) return [];
+      return columns.map(function (col) {
+        return { name: col, type: null, source: 'cursor ' + cursorName };
+      });
+    }
+
+    // Cursor FOR loop: look at what follows IN on the declaring line onwards
+    if (type === 'RECORD (LOOP)') {
+      var stripped = stripStringsAndComments(code);
+      var lines = stripped.split('\n');
+      var fromLine = lines.slice(variable.line - 1).join('\n');
+      var loopRe = new RegExp('\\bFOR\\s+' + variable.name.replace(/\$/g, '\\$') + '\\s+IN\\s+(\\(\\s*SELECT\\b|\\w+)', 'i');
+      var lm = fromLine.match(loopRe);
+      if (!lm) return [];
+      if (/^\(/.test(lm[1])) {
+        return parseSelectList(fromLine.substring(lm.index + lm[0].length)).map(function (col) {
+          return { name: col, type: null, source: 'query' };
+        });
+      }
+      return fromCursor(lm[1]);
+    }
+
+    var rowtype = type.match(/^(\w+)%ROWTYPE$/);
+    if (rowtype) return fromCursor(rowtype[1]);
+
+    var recordType = extractRecordTypes(code)[type];
+    if (recordType) {
+      return recordType.map(function (field) {
+        return { name: field.name, type: field.type, source: 'record ' + variable.type };
+      });
+    }
+    return [];
+  }
+
+  // ── Bind variables ───────────────────────────
+
+  /**
+   * Bind variables (":NAME") used in the code, in order of first use.
+   * String literals are skipped so date masks such as 'HH24:MI' are ignored.
+   * @param {string} code
+   * @returns {string[]} upper-cased names without the colon
+   */
+  function extractBindVariables(code) {
+    var names = [];
+    if (!code) return names;
+    var re = /(^|[^\w$#:]):([A-Za-z][\w$#]*)/g;
+    var stripped = stripStringsAndComments(code);
+    var m;
+    while ((m = re.exec(stripped)) !== null) {
+      var name = m[2].toUpperCase();
+      if (names.indexOf(name) === -1) names.push(name);
+    }
+    return names;
+  }
+
   window.__extractVariables = extractVariables;
+  window.__extractRoutines = extractRoutines;
+  window.__extractScopedVariables = extractScopedVariables;
+  window.__getVisibleVariables = getVisibleVariables;
+  window.__extractScopes = extractScopes;
+  window.__getRecordFields = getRecordFields;
+  window.__extractCollectionTypes = extractCollectionTypes;
+  window.__extractBindVariables = extractBindVariables;
+  window.__stripStringsAndComments = stripStringsAndComments;
+  window.__findClosingParen = findClosingParen;
+  window.__splitArguments = splitArguments;
 
 })();
@@ -2,7 +2,9 @@
  * popup.js
  * Extension popup logic.
  * Communicates with the content script to detect Monaco editors
- * and let the user switch their language.
+ * and let the user switch their language. Also edits the settings
+ * stored in chrome.storage.local, and the dictionary packs enabled for
+ * the workspace of the page.
  */
 
 (function () {
@@ -37,6 +39,8 @@
                     showEmpty();
                     return;
                 }
+                renderApexVersion(response.apexDictionary);
+                renderPacks(response.workspace);
                 renderEditors(response.editors || []);
             });
         });
@@ -99,6 +103,24 @@
         });
     }
 
+    // ── APEX dictionary version ─────────────────
+
+    function renderApexVersion(dictionary) {
+        var versionEl = document.getElementById('apex-version');
+        if (!versionEl || !dictionary) return;
+
+        var text = 'APEX ' + dictionary.version + ' API dictionary';
+        if (dictionary.imported) {
+            text = 'Imported API dictionary (' + dictionary.imported.name + ')';
+        } else if (!dictionary.detected) {
+            text += ' (APEX version not detected)';
+        } else if (dictionary.detected !== dictionary.version) {
+            text += ' (page runs APEX ' + dictionary.detected + ', import its dictionary on the options page)';
+        }
+        versionEl.textContent = text;
+        versionEl.style.display = 'block';
+    }
+
     // ── Send language change to content script ──
 
     function setEditorLanguage(editorIndex, languageId) {
@@ -112,6 +134,151 @@
         });
     }
 
+    // ── Settings ────────────────────────────────
+
+    var SETTINGS_KEY = 'settings';
+
+    function initSettings() {
+        var callSnippets = document.getElementById('call-snippets');
+        if (!callSnippets) return;
+
+        chrome.storage.local.get(SETTINGS_KEY, function (result) {
+            var settings = (result && result[SETTINGS_KEY]) || {};
+            callSnippets.value = settings.callSnippets || 'none';
+        });
+
+        callSnippets.addEventListener('change', function () {
+            saveSetting('callSnippets', this.value);
+            showToast('Setting saved');
+        });
+    }
+
+    // Settings are read by the content script and forwarded to the page
+    function saveSetting(name, value) {
+        chrome.storage.local.get(SETTINGS_KEY, function (result) {
+            var settings = (result && result[SETTINGS_KEY]) || {};
+            settings[name] = value;
+            var update = {};
+            update[SETTINGS_KEY] = settings;
+            chrome.storage.local.set(update);
+        });
+    }
+
+    // ── Lint rules ──────────────────────────────
+
+    var LINT_SEVERITIES = [
+        { value: 'off', label: 'Off' },
+        { value: 'info', label: 'Info' },
+        { value: 'warning', label: 'Warning' },
+        { value: 'error', label: 'Error' }
+    ];
+
+    /**
+     * List the rules of lint-rules.js with a severity select each; the
+     * choices are kept by rule id in the `lintRules` setting.
+     */
+    function renderLintRules() {
+        var list = document.getElementById('lint-rules');
+        if (!list || !window.__lintRules) return;
+
+        chrome.storage.local.get(SETTINGS_KEY, function (result) {
+            var configured = ((result && result[SETTINGS_KEY]) || {}).lintRules || {};
+            list.innerHTML = '';
+            window.__lintRules.forEach(function (rule) {
+                var row = document.createElement('div');
+                row.className = 'lint-row';
+                var label = document.createElement('label');
+                label.htmlFor = 'lint-' + rule.id;
+                label.textContent = rule.title;
+                var select = document.createElement('select');
+                select.id = 'lint-' + rule.id;
+                LINT_SEVERITIES.forEach(function (severity) {
+                    var option = document.createElement('option');
+                    option.value = severity.value;
+                    option.textContent = severity.label;
+                    select.appendChild(option);
+                });
+                select.value = configured[rule.id] || rule.severity;
+                select.addEventListener('change', function () {
+                    saveLintRule(rule.id, this.value);
+                    showToast('Setting saved');
+                });
+                row.appendChild(label);
+                row.appendChild(select);
+                list.appendChild(row);
+            });
+        });
+    }
+
+    function saveLintRule(id, severity) {
+        chrome.storage.local.get(SETTINGS_KEY, function (result) {
+            var rules = (((result && result[SETTINGS_KEY]) || {}).lintRules) || {};
+            rules[id] = severity;
+            saveSetting('lintRules', rules);
+        });
+    }
+
+    // ── Dictionary packs ────────────────────────
+
+    var PACKS_KEY = 'dictionaryPacks';
+
+    /**
+     * List the packs of dictionaries/packs/index.json with a checkbox
+     * enabling them for the workspace of the page.
+     * @param {?{key: string, name: ?string}} workspace
+     */
+    function renderPacks(workspace) {
+        var section = document.getElementById('packs');
+        if (!section || !workspace) return;
+
+        Promise.all([
+            fetch(chrome.runtime.getURL('dictionaries/packs/index.json')).then(function (r) { return r.json(); }),
+            new Promise(function (resolve) {
+                chrome.storage.local.get(PACKS_KEY, function (result) {
+                    resolve((result && result[PACKS_KEY]) || {});
+                });
+            })
+        ]).then(function (results) {
+            var enabled = results[1][workspace.key] || [];
+            var list = document.getElementById('packs-list');
+            list.innerHTML = '';
+            document.getElementById('packs-title').textContent =
+                'Dictionary packs for ' + (workspace.name ? 'workspace ' + workspace.name : workspace.key);
+
+            results[0].packs.forEach(function (pack) {
+                var row = document.createElement('label');
+                row.className = 'pack-row';
+                row.innerHTML =
+                    '<input type="checkbox">' +
+                    '<span>' + escapeHtml(pack.name) +
+                    '<span class="pack-description">' + escapeHtml(pack.description) + '</span></span>';
+                var checkbox = row.querySelector('input');
+                checkbox.value = pack.id;
+                checkbox.checked = enabled.indexOf(pack.id) !== -1;
+                checkbox.addEventListener('change', function () {
+                    savePack(workspace.key, pack.id, this.checked);
+                    showToast('Reload the page to apply');
+                });
+                list.appendChild(row);
+            });
+            section.style.display = 'block';
+        });
+    }
+
+    // Read by the content script when the page loads
+    function savePack(workspaceKey, id, enable) {
+        chrome.storage.local.get(PACKS_KEY, function (result) {
+            var packs = (result && result[PACKS_KEY]) || {};
+            var ids = (packs[workspaceKey] || []).filter(function (p) { return p !== id; });
+            if (enable) ids.push(id);
+            if (ids.length) packs[workspaceKey] = ids;
+            else delete packs[workspaceKey];
+            var update = {};
+            update[PACKS_KEY] = packs;
+            chrome.storage.local.set(update);
+        });
+    }
+
     // ── Helpers ─────────────────────────────────
 
     function getBadgeClass(lang) {
@@ -158,4 +325,6 @@
     // ── Init ────────────────────────────────────
 
     requestEditors();
+    initSettings();
+    renderLintRules();
 })();
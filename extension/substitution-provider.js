@@ -0,0 +1,139 @@
+/**
+ * substitution-provider.js
+ * Completion and hover for APEX substitution strings in HTML editors:
+ * "&NAME." after "&" and "#NAME#" after "#". The bind syntax (":NAME")
+ * is handled by completion-provider.js in SQL and PL/SQL editors.
+ *
+ * Runs in the PAGE context (has access to window.monaco).
+ */
+
+(function () {
+  'use strict';
+
+  // Trigger character → dictionary syntax and closing character
+  var SYNTAXES = {
+    '&': { syntax: 'substitution', close: '.' },
+    '#': { syntax: 'template', close: '#' }
+  };
+
+  function getStrings(syntax) {
+    var dict = window.__substitutionStrings;
+    if (!dict || !dict.strings) return [];
+    return dict.strings.filter(function (entry) {
+      return entry.syntax && entry.syntax.indexOf(syntax) !== -1;
+    });
+  }
+
+  function getPageItems() {
+    return (typeof window.__getPageItems === 'function')
+      ? window.__getPageItems() : { pageId: null, items: [] };
+  }
+
+  /**
+   * Detect "&" or "#" (optionally followed by a partial name) before the cursor.
+   * @returns {?{open:string, startColumn:number}}
+   */
+  function getPrefix(model, position) {
+    var line = model.getLineContent(position.lineNumber);
+    var before = line.substring(0, position.column - 1);
+    var m = before.match(/([&#])([A-Za-z][\w$]*)?$/);
+    if (!m) return null;
+    return { open: m[1], startColumn: position.column - (m[2] || '').length - 1 };
+  }
+
+  // ── Completion ───────────────────────────────
+
+  function createSubstitutionProvider(monaco) {
+    return {
+      triggerCharacters: Object.keys(SYNTAXES),
+
+      provideCompletionItems: function (model, position) {
+        var prefix = getPrefix(model, position);
+        if (!prefix) return { suggestions: [] };
+        var info = SYNTAXES[prefix.open];
+        var range = {
+          startLineNumber: position.lineNumber,
+          endLineNumber:   position.lineNumber,
+          startColumn:     prefix.startColumn,
+          endColumn:       position.column
+        };
+
+        function item(name, detail, documentation, sortText) {
+          var text = prefix.open + name + info.close;
+          return {
+            label:         text,
+            kind:          monaco.languages.CompletionItemKind.Variable,
+            detail:        detail,
+            documentation: documentation || undefined,
+            insertText:    text,
+            filterText:    text,
+            sortText:      sortText + name,
+            range:         range
+          };
+        }
+
+        var suggestions = [];
+        // Page and application items are valid "&ITEM." substitutions
+        if (info.syntax === 'substitution') {
+          var pageItems = getPageItems();
+          pageItems.items.forEach(function (pageItem) {
+            suggestions.push(item(pageItem.name, window.__describePageItem(pageItem, pageItems.pageId),
+              pageItem.label, '0_'));
+          });
+        }
+        getStrings(info.syntax).forEach(function (entry) {
+          suggestions.push(item(entry.name, 'APEX substitution string', entry.description, '1_'));
+        });
+        return { suggestions: suggestions };
+      },
+
+      // ── Hover ──────────────────────────────────
+
+      provideHover: function (model, position) {
+        var line = model.getLineContent(position.lineNumber);
+        var idx = position.column - 1;
+        var start = idx;
+        while (start > 0 && /[\w$]/.test(line.charAt(start - 1))) start--;
+        var end = idx;
+        while (end < line.length && /[\w$]/.test(line.charAt(end))) end++;
+        if (start === end) return null;
+
+        var open = line.charAt(start - 1);
+        var info = SYNTAXES[open];
+        if (!info || line.charAt(end) !== info.close) return null;
+        var name = line.substring(start, end).toUpperCase();
+        var parts = null;
+
+        getStrings(info.syntax).forEach(function (entry) {
+          if (!parts && entry.name === name) {
+            parts = ['**' + open + name + info.close + '** — APEX substitution string', entry.description];
+          }
+        });
+        if (!parts && info.syntax === 'substitution') {
+          var pageItems = getPageItems();
+          pageItems.items.forEach(function (pageItem) {
+            if (parts || pageItem.name !== name) return;
+            parts = ['**' + open + name + info.close + '** — ' + window.__describePageItem(pageItem, pageItems.pageId)];
+            if (pageItem.type) parts.push('Type: ' + pageItem.type);
+            if (pageItem.label) parts.push('Label: ' + pageItem.label);
+          });
+        }
+
+        if (!parts) return null;
+        return {
+          range: {
+            startLineNumber: position.lineNumber,
+            endLineNumber:   position.lineNumber,
+            startColumn:     start,
+            endColumn:       end + 2
+          },
+          contents: parts.map(function (value) { return { value: value }; })
+        };
+      }
+    };
+  }
+
+  // Expose to injected.js
+  window.__createSubstitutionProvider = createSubstitutionProvider;
+
+})();
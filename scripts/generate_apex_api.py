@@ -1,11 +1,29 @@
 #!/usr/bin/env python3
 """
-Generate apex-api.json from the filtered CSV.
+Generate apex-api-<version>.json from the filtered CSV.
+
+Usage: python3 generate_apex_api.py [APEX_VERSION]   (default: 24.2)
+Reads apex-<version>-export.csv and writes one dictionary per APEX release;
+the extension loads the one matching the release of the page.
 
 Input CSV columns (after running the updated query):
-  PACKAGE_NAME, ALIAS, PROCEDURE_NAME, SUBPROGRAM_TYPE, RETURN_TYPE,
+  PACKAGE_NAME, ALIAS, PROCEDURE_NAME, OVERLOAD, SUBPROGRAM_TYPE, RETURN_TYPE,
   ARGUMENT_NAME, DATA_TYPE, IN_OUT, DEFAULT_VALUE, POSITION
 
+OVERLOAD is optional: exports without it merge all overloads into one
+signature, as before.
+
+DEFAULTED is optional: when present, each procedure and overload also gets
+a structured "arguments" array ({name, type, direction, default, optional,
+position}) so the extension knows which parameters are optional.
+
+extension/dictionary-builder.js implements the same conversion for the CSV
+importer of the options page; keep both in sync.
+
+Deprecated procedures are listed by label in apex-deprecated.json
+({"APEX_UTIL.STRING_TO_TABLE": {"since": "5.1", "replacement": "..."}});
+matching entries get a "deprecated" object.
+
 Output JSON structure:
 {
   "packages": [
@@ -24,6 +42,17 @@ Output JSON structure:
           "kind": "function",
           "returnType": "NUMBER",
           "signature": "APEX_UTIL.GET_SESSION_ID RETURN NUMBER"
+        },
+        {
+          "label": "APEX_STRING.SPLIT",
+          "detail": "WWV_FLOW_STRING.SPLIT",
+          "kind": "function",
+          "returnType": "TABLE",
+          "signature": "APEX_STRING.SPLIT(P_STR IN VARCHAR2, ...) RETURN TABLE",
+          "overloads": [
+            {"kind": "function", "returnType": "TABLE", "signature": "APEX_STRING.SPLIT(P_STR IN VARCHAR2, ...) RETURN TABLE"},
+            {"kind": "function", "returnType": "TABLE", "signature": "APEX_STRING.SPLIT(P_STR IN CLOB, ...) RETURN TABLE"}
+          ]
         }
       ]
     }
@@ -33,12 +62,36 @@ Output JSON structure:
 
 import csv
 import json
+import os
+import sys
 from collections import OrderedDict
 
 # --- Input/Output files ---
-CSV_INPUT = "apex-24.2-export.csv"  # Rename for your APEX version
-JSON_ALLOWED = "apex-public-plsql-api.json"
-JSON_OUTPUT = "../extension/dictionaries/apex-api.json"
+APEX_VERSION = sys.argv[1] if len(sys.argv) > 1 else "24.2"
+CSV_INPUT = f"apex-{APEX_VERSION}-export.csv"
+# Shared with the CSV importer of the options page
+JSON_ALLOWED = "../extension/dictionaries/apex-public-plsql-api.json"
+JSON_DEPRECATED = "../extension/dictionaries/apex-deprecated.json"
+JSON_OUTPUT = f"../extension/dictionaries/apex-api-{APEX_VERSION}.json"
+
+
+def build_signature(label, kind, return_type, arguments):
+    """Build "LABEL(ARG IN TYPE, ...) RETURN TYPE" from sorted arguments."""
+    args = sorted(arguments, key=lambda a: a["position"])
+    if args:
+        arg_strs = [
+            f"{a['name']} {a['direction']} {a['type']}"
+            + (f" DEFAULT {a['default']}" if a.get("default") else "")
+            for a in args
+        ]
+        signature = f"{label}({', '.join(arg_strs)})"
+    else:
+        signature = label
+
+    # Add RETURN clause for functions
+    if kind == "function" and return_type:
+        signature += f" RETURN {return_type}"
+    return signature
 
 
 def main():
@@ -46,11 +99,18 @@ def main():
     with open(JSON_ALLOWED, "r", encoding="utf-8") as f:
         allowed_aliases = set(json.load(f))
 
+    # Load deprecation notes (optional)
+    deprecated = {}
+    if os.path.exists(JSON_DEPRECATED):
+        with open(JSON_DEPRECATED, "r", encoding="utf-8") as f:
+            deprecated = json.load(f)
+
     # Parse CSV and group by package -> procedure
     packages = OrderedDict()
 
     with open(CSV_INPUT, "r", encoding="utf-8") as f:
         reader = csv.DictReader(f)
+        structured = "DEFAULTED" in (reader.fieldnames or [])
 
         for row in reader:
             alias = row["ALIAS"]
@@ -72,12 +132,24 @@ def main():
 
             # Create unique key for procedure (handles overloads)
             proc_key = proc_name
+            overload_key = row.get("OVERLOAD") or "0"
 
             # Initialize procedure if needed
             if proc_key not in packages[alias]["procedures"]:
                 packages[alias]["procedures"][proc_key] = {
                     "label": f"{alias}.{proc_name}",
                     "detail": f"{pkg_name}.{proc_name}",
+                    "kind": subprogram_type.lower() if subprogram_type else "procedure",
+                    "returnType": return_type if return_type else None,
+                    "arguments": [],
+                    "overloads": OrderedDict()
+                }
+
+            proc = packages[alias]["procedures"][proc_key]
+
+            # Initialize overload if needed (exports without OVERLOAD have one)
+            if overload_key not in proc["overloads"]:
+                proc["overloads"][overload_key] = {
                     "kind": subprogram_type.lower() if subprogram_type else "procedure",
                     "returnType": return_type if return_type else None,
                     "arguments": []
@@ -89,21 +161,25 @@ def main():
                 data_type = row.get("DATA_TYPE", "")
                 in_out = row.get("IN_OUT", "IN")
                 position = int(row.get("POSITION", 0))
+                argument = {
+                    "name": arg_name,
+                    "type": data_type,
+                    "direction": in_out,
+                    "position": position
+                }
+                if structured:
+                    if row.get("DEFAULT_VALUE"):
+                        argument["default"] = row["DEFAULT_VALUE"]
+                    argument["optional"] = row.get("DEFAULTED") == "Y"
 
                 # Avoid duplicate arguments (from multiple overloads in CSV)
-                existing_args = packages[alias]["procedures"][proc_key]["arguments"]
-                arg_exists = any(
-                    a["name"] == arg_name and a["position"] == position
-                    for a in existing_args
-                )
-
-                if not arg_exists:
-                    existing_args.append({
-                        "name": arg_name,
-                        "type": data_type,
-                        "direction": in_out,
-                        "position": position
-                    })
+                for args in (proc["arguments"], proc["overloads"][overload_key]["arguments"]):
+                    arg_exists = any(
+                        a["name"] == arg_name and a["position"] == position
+                        for a in args
+                    )
+                    if not arg_exists:
+                        args.append(argument)
 
     # Build final JSON structure
     output = {"packages": []}
@@ -115,23 +191,26 @@ def main():
         }
 
         for proc_name, proc_data in pkg_data["procedures"].items():
-            # Sort arguments by position
-            args = sorted(proc_data["arguments"], key=lambda a: a["position"])
-
-            # Build signature
-            if args:
-                arg_strs = [
-                    f"{a['name']} {a['direction']} {a['type']}"
-                    for a in args
-                ]
-                args_part = ", ".join(arg_strs)
-                signature = f"{proc_data['label']}({args_part})"
-            else:
-                signature = proc_data["label"]
+            overloads = [
+                {
+                    "kind": o["kind"],
+                    "returnType": o["returnType"],
+                    "signature": build_signature(proc_data["label"], o["kind"],
+                                                 o["returnType"], o["arguments"])
+                }
+                for o in proc_data["overloads"].values()
+            ]
+            if structured:
+                for o, data in zip(overloads, proc_data["overloads"].values()):
+                    o["arguments"] = sorted(data["arguments"], key=lambda a: a["position"])
 
-            # Add RETURN clause for functions
-            if proc_data["kind"] == "function" and proc_data["returnType"]:
-                signature += f" RETURN {proc_data['returnType']}"
+            # Without overload information, merge the arguments of every
+            # overload into a single rich signature
+            if len(overloads) > 1:
+                signature = overloads[0]["signature"]
+            else:
+                signature = build_signature(proc_data["label"], proc_data["kind"],
+                                            proc_data["returnType"], proc_data["arguments"])
 
             proc_entry = {
                 "label": proc_data["label"],
@@ -144,6 +223,23 @@ def main():
             if proc_data["kind"] == "function" and proc_data["returnType"]:
                 proc_entry["returnType"] = proc_data["returnType"]
 
+            # Structured arguments of the signature above
+            if structured:
+                proc_entry["arguments"] = (
+                    overloads[0]["arguments"] if len(overloads) > 1
+                    else sorted(proc_data["arguments"], key=lambda a: a["position"])
+                )
+
+            # One entry per overload, in overload order
+            if len(overloads) > 1:
+                for o in overloads:
+                    if o["kind"] != "function" or not o["returnType"]:
+                        del o["returnType"]
+                proc_entry["overloads"] = overloads
+
+            if proc_data["label"] in deprecated:
+                proc_entry["deprecated"] = deprecated[proc_data["label"]]
+
             pkg_entry["procedures"].append(proc_entry)
 
         output["packages"].append(pkg_entry)
@@ -164,6 +260,7 @@ def main():
     print(f"✔️ Generated {JSON_OUTPUT}")
     print(f"   Packages: {len(output['packages'])}")
     print(f"   Total: {total_procs} ({func_count} functions, {proc_count} procedures)")
+    print(f"   Deprecated: {sum(1 for p in output['packages'] for proc in p['procedures'] if 'deprecated' in proc)}")
 
 
 if __name__ == "__main__":
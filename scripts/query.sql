@@ -35,6 +35,7 @@ args AS (
          a.data_type,
          a.in_out,
          a.default_value,
+         a.defaulted,
          a.position
   FROM   all_arguments a
   WHERE  a.owner LIKE 'APEX\_%' ESCAPE '\'
@@ -57,12 +58,14 @@ SELECT
   p.package_name,
   x.alias,
   p.procedure_name,
+  p.overload_n AS overload,
   CASE WHEN r.return_type IS NOT NULL THEN 'FUNCTION' ELSE 'PROCEDURE' END AS subprogram_type,
   r.return_type,
   a.argument_name,
   a.data_type,
   a.in_out,
   a.default_value,
+  a.defaulted,
   a.position
 FROM   procs p
 JOIN   pub_pkg x
@@ -81,4 +84,4 @@ LEFT JOIN args a
  AND   a.subprogram_id = p.subprogram_id
  AND   a.overload_n    = p.overload_n
  AND   a.position > 0 
-ORDER BY x.alias, p.procedure_name, a.position;
+ORDER BY x.alias, p.procedure_name, p.overload_n, a.position;
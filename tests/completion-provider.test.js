@@ -3,13 +3,19 @@
  * Validates autocomplete item building and provider behavior.
  */
 const { loadScript, createMockMonaco, createMockEditor } = require('./helpers');
+const fs = require('fs');
+const path = require('path');
 
 let monaco;
 let createCompletionProvider;
 
+let createSignatureHelpProvider;
+let win;
+
 beforeEach(() => {
   monaco = createMockMonaco();
-  const ctx = loadScript('completion-provider.js', {
+  const parser = loadScript('parsers/variable-parser.js').window;
+  const ctx = {
     window: {
       __sqlKeywords: {
         keywords: [
@@ -59,11 +65,18 @@ beforeEach(() => {
       __extractVariables: function (code) {
         return [{ name: 'l_test', type: 'VARCHAR2', line: 1 }];
       },
+      __findClosingParen: parser.__findClosingParen,
+      __splitArguments: parser.__splitArguments,
+      __describePageItem: loadScript('page-items.js').window.__describePageItem,
       monaco: monaco
     },
     monaco: monaco
-  });
+  };
+  loadScript('parsers/signature-parser.js', ctx);
+  loadScript('completion-provider.js', ctx);
   createCompletionProvider = ctx.window.__createCompletionProvider;
+  createSignatureHelpProvider = ctx.window.__createSignatureHelpProvider;
+  win = ctx.window;
 });
 
 describe('completion-provider', () => {
@@ -73,7 +86,7 @@ describe('completion-provider', () => {
 
   test('creates a provider with triggerCharacters', () => {
     const provider = createCompletionProvider(monaco);
-    expect(provider.triggerCharacters).toEqual(['.']);
+    expect(provider.triggerCharacters).toEqual(['.', '(', ',', '%', ':']);
   });
 
   test('creates a provider with provideCompletionItems function', () => {
@@ -184,6 +197,30 @@ describe('completion-provider', () => {
     expect(kwItem.sortText).toBe('2_SELECT');
   });
 
+  test('only suggests variables visible at the cursor', () => {
+    const vp = loadScript('parsers/variable-parser.js').window;
+    win.__extractScopedVariables = vp.__extractScopedVariables;
+    win.__getVisibleVariables = vp.__getVisibleVariables;
+    const provider = createCompletionProvider(monaco);
+    const content = [
+      'DECLARE',
+      '  PROCEDURE a IS',
+      '    l_in_a NUMBER;',
+      '  BEGIN NULL; END;',
+      '  PROCEDURE b IS',
+      '    l_in_b NUMBER;',
+      '  BEGIN',
+      '    NULL;',
+      '  END;',
+      'BEGIN NULL; END;'
+    ].join('\n');
+    const model = createMockEditor({ content }).getModel();
+    const result = provider.provideCompletionItems(model, { lineNumber: 8, column: 5 });
+    const labels = result.suggestions.map(s => s.label);
+    expect(labels).toContain('l_in_b');
+    expect(labels).not.toContain('l_in_a');
+  });
+
   // ── Package-dot completion ────────────────────
 
   test('returns package members after typing "APEX_JSON."', () => {
@@ -266,6 +303,893 @@ describe('completion-provider', () => {
     });
   });
 
+  // ── Record fields ─────────────────────────────
+
+  test('offers record fields after a record variable and a dot', () => {
+    const parser = loadScript('parsers/variable-parser.js').window;
+    win.__getRecordFields = parser.__getRecordFields;
+    const provider = createCompletionProvider(monaco);
+    const content = [
+      'BEGIN',
+      '  FOR r IN (SELECT empno, ename FROM emp) LOOP',
+      '    r.'
+    ].join('\n');
+    const model = createMockEditor({ content }).getModel();
+    const result = provider.provideCompletionItems(model, { lineNumber: 3, column: 7 });
+
+    expect(result.suggestions.map(s => s.label)).toEqual(['empno', 'ename']);
+    expect(result.suggestions[0].kind).toBe(monaco.languages.CompletionItemKind.Field);
+    expect(result.suggestions[0].detail).toBe('query');
+  });
+
+  // ── Collection and object type methods ────────
+
+  describe('type methods', () => {
+    function complete(content) {
+      const parser = loadScript('parsers/variable-parser.js').window;
+      win.__extractScopedVariables = parser.__extractScopedVariables;
+      win.__getVisibleVariables = parser.__getVisibleVariables;
+      win.__extractCollectionTypes = parser.__extractCollectionTypes;
+      win.__typeMethods = require('../extension/dictionaries/type-methods.json');
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content }).getModel();
+      const lines = content.split('\n');
+      const position = { lineNumber: lines.length, column: lines[lines.length - 1].length + 1 };
+      return provider.provideCompletionItems(model, position).suggestions;
+    }
+
+    test('offers collection methods for local collection types', () => {
+      const labels = complete([
+        'DECLARE',
+        '  TYPE t_map IS TABLE OF NUMBER INDEX BY PLS_INTEGER;',
+        '  TYPE t_list IS TABLE OF NUMBER;',
+        '  l_map  t_map;',
+        '  l_list t_list;',
+        'BEGIN',
+        '  l_list.EXTEND;',
+        '  l_map.'
+      ].join('\n')).map(s => s.label);
+      expect(labels).toContain('COUNT');
+      expect(labels).toContain('EXISTS');
+      expect(labels).not.toContain('EXTEND');
+    });
+
+    test('offers JSON_OBJECT_T methods including inherited ones', () => {
+      const items = complete([
+        'DECLARE',
+        '  l_obj JSON_OBJECT_T;',
+        'BEGIN',
+        '  l_obj.'
+      ].join('\n'));
+      const labels = items.map(s => s.label);
+      expect(labels).toContain('get_string');
+      expect(labels).toContain('put');
+      expect(labels).toContain('is_object');
+      expect(items[0].kind).toBe(monaco.languages.CompletionItemKind.Method);
+    });
+
+    test('offers nested table methods for APEX_T_VARCHAR2', () => {
+      const labels = complete([
+        'DECLARE',
+        '  l_values apex_t_varchar2;',
+        'BEGIN',
+        '  l_values.'
+      ].join('\n')).map(s => s.label);
+      expect(labels).toEqual(expect.arrayContaining(['COUNT', 'EXTEND', 'TRIM', 'DELETE']));
+      expect(labels).not.toContain('LIMIT');
+    });
+
+    test('falls back to general completion for scalar variables', () => {
+      const labels = complete([
+        'DECLARE',
+        '  l_num NUMBER;',
+        'BEGIN',
+        '  l_num.'
+      ].join('\n')).map(s => s.label);
+      expect(labels).toContain('SELECT');
+    });
+  });
+
+  // ── Bind variables after ":" ─────────────────
+
+  describe('bind variables', () => {
+    function complete(content, context) {
+      win.__extractBindVariables = loadScript('parsers/variable-parser.js').window.__extractBindVariables;
+      win.__getPageItems = () => ({
+        pageId: '10',
+        items: [
+          { name: 'P10_CUSTOMER_ID', type: 'Hidden', label: null, source: 'page' },
+          { name: 'P10_NAME', type: 'Text Field', label: 'Customer name', source: 'page' },
+          { name: 'G_ROLE', type: null, label: null, source: 'application' }
+        ]
+      });
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content }).getModel();
+      const lines = content.split('\n');
+      const position = { lineNumber: lines.length, column: lines[lines.length - 1].length + 1 };
+      return provider.provideCompletionItems(model, position, context).suggestions;
+    }
+
+    test('offers page items, application items and binds used in the editor', () => {
+      const items = complete('l_x := :P99_OTHER;\nl_y := :', { triggerCharacter: ':' });
+      expect(items.map(s => s.label)).toEqual([
+        ':P10_CUSTOMER_ID', ':P10_NAME', ':G_ROLE', ':P99_OTHER'
+      ]);
+      expect(items[1].detail).toBe('Page 10 item · Text Field');
+      expect(items[1].documentation).toBe('Customer name');
+      expect(items[2].detail).toBe('Application item');
+      expect(items[3].detail).toBe('Bind variable (used in this editor)');
+      expect(items[0].range.startColumn).toBe(8);
+    });
+
+    test('keeps offering binds while the name is typed', () => {
+      const items = complete('WHERE id = :P10_C');
+      expect(items.map(s => s.label)).toContain(':P10_CUSTOMER_ID');
+      expect(items.map(s => s.label)).not.toContain(':P10_C');
+      expect(items[0].range.startColumn).toBe(12);
+    });
+
+    test('offers APEX built-in bind variables from the substitution dictionary', () => {
+      win.__substitutionStrings = {
+        strings: [
+          { name: 'APP_USER', syntax: ['bind', 'substitution'], description: 'Current user' },
+          { name: 'APP_FILES', syntax: ['template'], description: 'Static files' }
+        ]
+      };
+      const items = complete('l_user := :APP', { triggerCharacter: ':' });
+      const builtin = items.find(s => s.label === ':APP_USER');
+      expect(builtin.detail).toBe('APEX built-in');
+      expect(builtin.documentation).toBe('Current user');
+      expect(items.map(s => s.label)).not.toContain(':APP_FILES');
+    });
+
+    test('does not treat ":=" as a bind variable', () => {
+      const labels = complete('l_x :=').map(s => s.label);
+      expect(labels).toContain('SELECT');
+    });
+
+    test('ignores colons inside string literals', () => {
+      expect(complete("l_t := to_char(sysdate, 'HH24:", { triggerCharacter: ':' })
+        .some(s => s.label.charAt(0) === ':')).toBe(false);
+      expect(complete("l_s := 'a:", { triggerCharacter: ':' })
+        .some(s => s.label.charAt(0) === ':')).toBe(false);
+      expect(complete("l_s := 'a:b' || :", { triggerCharacter: ':' }).map(s => s.label))
+        .toContain(':P10_NAME');
+    });
+  });
+
+  // ── Attributes after "%"──────────────────────
+
+  describe('attributes', () => {
+    const declarations = [
+      'DECLARE',
+      '  CURSOR c_emp IS SELECT * FROM emp;',
+      '  l_cur SYS_REFCURSOR;',
+      '  l_name VARCHAR2(30);',
+      'BEGIN'
+    ];
+
+    function complete(lastLine, context) {
+      const parser = loadScript('parsers/variable-parser.js').window;
+      win.__extractScopedVariables = parser.__extractScopedVariables;
+      win.__getVisibleVariables = parser.__getVisibleVariables;
+      win.__plsqlKeywords = require('../extension/dictionaries/plsql-keywords.json');
+      const provider = createCompletionProvider(monaco);
+      const content = declarations.concat([lastLine]).join('\n');
+      const model = createMockEditor({ content }).getModel();
+      const position = { lineNumber: declarations.length + 1, column: lastLine.length + 1 };
+      return provider.provideCompletionItems(model, position, context).suggestions;
+    }
+
+    test('offers cursor attributes and %ROWTYPE after a declared cursor', () => {
+      const labels = complete('  IF c_emp%', { triggerCharacter: '%' }).map(s => s.label);
+      expect(labels).toEqual(['%FOUND', '%NOTFOUND', '%ROWCOUNT', '%ISOPEN', '%ROWTYPE']);
+    });
+
+    test('offers bulk attributes only for SQL', () => {
+      const labels = complete('  n := SQL%', { triggerCharacter: '%' }).map(s => s.label);
+      expect(labels).toContain('%BULK_ROWCOUNT');
+      expect(labels).toContain('%ROWCOUNT');
+      expect(labels).not.toContain('%TYPE');
+    });
+
+    test('offers cursor attributes for ref cursors', () => {
+      const labels = complete('  IF l_cur%', { triggerCharacter: '%' }).map(s => s.label);
+      expect(labels).toEqual(['%FOUND', '%NOTFOUND', '%ROWCOUNT', '%ISOPEN']);
+    });
+
+    test('offers %TYPE for variables and table columns', () => {
+      expect(complete('  l_x l_name%', { triggerCharacter: '%' }).map(s => s.label)).toEqual(['%TYPE']);
+      expect(complete('  l_x emp.ename%', { triggerCharacter: '%' }).map(s => s.label)).toEqual(['%TYPE']);
+    });
+
+    test('offers %TYPE and %ROWTYPE for tables and keeps filtering while typing', () => {
+      expect(complete('  r emp%', { triggerCharacter: '%' }).map(s => s.label))
+        .toEqual(['%TYPE', '%ROWTYPE']);
+      const items = complete('  IF c_emp%NOT');
+      expect(items.map(s => s.label)).toContain('%NOTFOUND');
+      expect(items[0].range.startColumn).toBe('  IF c_emp'.length + 1);
+    });
+
+    test('ignores "%" inside string literals', () => {
+      expect(complete("  WHERE ename LIKE 'A%", { triggerCharacter: '%' })).toEqual([]);
+    });
+  });
+
+  // ── Parameter-name completion ─────────────────
+
+  describe('parameter names', () => {
+    function complete(content, context) {
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content }).getModel();
+      const lines = content.split('\n');
+      const position = { lineNumber: lines.length, column: lines[lines.length - 1].length + 1 };
+      return provider.provideCompletionItems(model, position, context).suggestions;
+    }
+
+    const pkg = [
+      'CREATE OR REPLACE PACKAGE my_pkg IS',
+      '  PROCEDURE do_work(p_id NUMBER, p_name VARCHAR2, p_flag BOOLEAN DEFAULT TRUE);',
+      'END my_pkg;',
+      'BEGIN'
+    ];
+
+    test('offers parameter names after the opening parenthesis', () => {
+      const items = complete('APEX_JSON.PARSE(', { triggerCharacter: '(' });
+      expect(items.map(s => s.label)).toEqual(['p_source =>']);
+      expect(items[0].insertText).toBe('p_source => ');
+      expect(items[0].detail).toBe('IN VARCHAR2');
+    });
+
+    test('excludes parameters already supplied by name or position', () => {
+      const content = pkg.concat(["  my_pkg.do_work(1, p_flag => FALSE, "]).join('\n');
+      const items = complete(content, { triggerCharacter: ',' });
+      expect(items.map(s => s.label)).toEqual(['p_name =>']);
+    });
+
+    test('lists parameter names before general suggestions while typing', () => {
+      const content = pkg.concat(['  my_pkg.do_work(p_']).join('\n');
+      const items = complete(content);
+      expect(items[0].label).toBe('p_id =>');
+      expect(items.map(s => s.label)).toContain('SELECT');
+    });
+
+    test('covers routines nested in a DECLARE section', () => {
+      win.__extractRoutines = loadScript('parsers/variable-parser.js').window.__extractRoutines;
+      const content = [
+        'DECLARE',
+        '  PROCEDURE log_msg(p_text VARCHAR2, p_level NUMBER) IS',
+        '  BEGIN NULL; END;',
+        'BEGIN',
+        '  log_msg('
+      ].join('\n');
+      const items = complete(content, { triggerCharacter: '(' });
+      expect(items.map(s => s.label)).toEqual(['p_text =>', 'p_level =>']);
+    });
+
+    test('offers nothing once the argument has a value', () => {
+      const items = complete("APEX_JSON.PARSE('x' ", {});
+      expect(items.map(s => s.label)).not.toContain('p_source =>');
+    });
+
+    test('returns no suggestions for "(" outside a known call', () => {
+      expect(complete('IF (', { triggerCharacter: '(' })).toEqual([]);
+      expect(complete('SELECT a,', { triggerCharacter: ',' })).toEqual([]);
+    });
+  });
+
+  // ── Named-notation call snippets ──────────────
+
+  describe('call snippets', () => {
+    function packageMember(label) {
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content: 'APEX_JSON.' }).getModel();
+      const result = provider.provideCompletionItems(model, { lineNumber: 1, column: 11 });
+      return result.suggestions.find(s => s.label === label);
+    }
+
+    test('inserts the bare name by default', () => {
+      const item = packageMember('PARSE');
+      expect(item.insertText).toBe('PARSE');
+      expect(item.insertTextRules).toBeUndefined();
+    });
+
+    test('inserts named notation with tab stops when enabled', () => {
+      win.__apexSettings = { callSnippets: 'required' };
+      const item = packageMember('PARSE');
+      expect(item.insertText).toBe('PARSE(p_source => ${1})');
+      expect(item.insertTextRules).toBe(monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet);
+    });
+
+    test('leaves out optional parameters in "required" mode', () => {
+      win.__apexSettings = { callSnippets: 'required' };
+      const item = packageMember('OPEN_OBJECT');
+      expect(item.insertText).toBe('OPEN_OBJECT');
+    });
+
+    test('groups optional parameters at the end in "all" mode', () => {
+      win.__apexSettings = { callSnippets: 'all' };
+      const item = packageMember('OPEN_OBJECT');
+      expect(item.insertText).toBe('OPEN_OBJECT(p_name => ${1});');
+    });
+
+    test('uses the full label for top-level APEX items', () => {
+      win.__apexSettings = { callSnippets: 'required' };
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content: '' }).getModel();
+      const result = provider.provideCompletionItems(model, { lineNumber: 1, column: 1 });
+      const item = result.suggestions.find(s => s.label === 'APEX_JSON.PARSE');
+      expect(item.insertText).toBe('APEX_JSON.PARSE(p_source => ${1})');
+    });
+
+    test('splits long calls over several lines and ends procedures with a semicolon', () => {
+      win.__apexSettings = { callSnippets: 'required' };
+      const provider = createCompletionProvider(monaco);
+      const content = [
+        'CREATE OR REPLACE PROCEDURE log_it(p_a NUMBER, p_b NUMBER, p_c NUMBER, p_d NUMBER DEFAULT 0, p_e NUMBER) IS',
+        'BEGIN NULL; END;'
+      ].join('\n');
+      const model = createMockEditor({ content }).getModel();
+      const result = provider.provideCompletionItems(model, { lineNumber: 1, column: 1 });
+      const item = result.suggestions.find(s => s.label === 'log_it');
+      expect(item.insertText).toBe('log_it(\n  p_a => ${1},\n  p_b => ${2},\n  p_c => ${3},\n  p_e => ${4}\n);');
+    });
+  });
+
+  // ── Signature help ────────────────────────────
+
+  describe('overloads', () => {
+    beforeEach(() => {
+      win.__apexApi = {
+        packages: [{
+          name: 'APEX_STRING',
+          procedures: [{
+            label: 'APEX_STRING.SPLIT',
+            detail: 'WWV_FLOW_STRING',
+            kind: 'function',
+            signature: 'APEX_STRING.SPLIT(p_str IN VARCHAR2, p_sep IN VARCHAR2) RETURN APEX_T_VARCHAR2',
+            overloads: [
+              { signature: 'APEX_STRING.SPLIT(p_str IN VARCHAR2, p_sep IN VARCHAR2) RETURN APEX_T_VARCHAR2',
+                returnType: 'APEX_T_VARCHAR2' },
+              { signature: 'APEX_STRING.SPLIT(p_clob IN CLOB, p_sep IN VARCHAR2, p_limit IN NUMBER) RETURN APEX_T_CLOB',
+                returnType: 'APEX_T_CLOB' }
+            ]
+          }]
+        }]
+      };
+    });
+
+    function complete(content, context) {
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content }).getModel();
+      return provider.provideCompletionItems(model, { lineNumber: 1, column: content.length + 1 }, context)
+        .suggestions;
+    }
+
+    test('lists each overload separately in top-level suggestions', () => {
+      const items = complete('apex_str').filter(s => s.label === 'APEX_STRING.SPLIT');
+      expect(items.map(s => s.detail)).toEqual([
+        'function → APEX_T_VARCHAR2 (1 of 2)',
+        'function → APEX_T_CLOB (2 of 2)'
+      ]);
+      expect(items[1].documentation.value).toContain('p_clob IN CLOB');
+    });
+
+    test('lists each overload separately after the package dot', () => {
+      const items = complete('apex_string.');
+      expect(items.map(s => s.label)).toEqual(['SPLIT', 'SPLIT']);
+      expect(items[0].detail).toBe('function → APEX_T_VARCHAR2 (1 of 2)');
+    });
+
+    test('offers parameter names of the overloads matching named arguments', () => {
+      const items = complete('apex_string.split(p_limit => 1, ', { triggerCharacter: ',' });
+      expect(items.map(s => s.label)).toEqual(['p_clob =>', 'p_sep =>']);
+    });
+
+    test('shows every overload in signature help and selects the matching one', () => {
+      const provider = createSignatureHelpProvider(monaco);
+      const content = "apex_string.split(p_clob => l_clob, ";
+      const model = createMockEditor({ content }).getModel();
+      const result = provider.provideSignatureHelp(model, { lineNumber: 1, column: content.length + 1 });
+      expect(result.value.signatures).toHaveLength(2);
+      expect(result.value.signatures[1].documentation).toBe('Overload 2 of 2');
+      expect(result.value.activeSignature).toBe(1);
+      expect(result.value.activeParameter).toBe(1);
+    });
+
+    test('shows every overload on hover', () => {
+      const provider = win.__createHoverProvider(monaco);
+      const model = createMockEditor({ content: 'apex_string.split(' }).getModel();
+      const text = provider.provideHover(model, { lineNumber: 1, column: 14 })
+        .contents.map(c => c.value).join('\n');
+      expect(text).toContain('**APEX_STRING.SPLIT** — function → APEX_T_VARCHAR2 (2 overloads)');
+      expect(text).toContain('2 of 2\n```plsql\nAPEX_STRING.SPLIT(\n  p_clob IN CLOB');
+    });
+  });
+
+  describe('Oracle built-in packages', () => {
+    beforeEach(() => {
+      win.__oraclePackages = require('../extension/dictionaries/oracle-packages.json');
+    });
+
+    function complete(content, context) {
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content }).getModel();
+      return provider.provideCompletionItems(model, { lineNumber: 1, column: content.length + 1 }, context)
+        .suggestions;
+    }
+
+    test.each(['DBMS_LOB', 'DBMS_SQL', 'UTL_HTTP', 'DBMS_SCHEDULER', 'HTP', 'OWA_UTIL'])(
+      'completes %s members after the dot', (pkg) => {
+        const items = complete(pkg.toLowerCase() + '.');
+        expect(items.length).toBeGreaterThan(0);
+        items.forEach(item => expect(item.label).not.toContain('.'));
+      });
+
+    test('documents members with signature and description', () => {
+      const item = complete('dbms_output.').find(s => s.label === 'PUT_LINE');
+      expect(item.detail).toBe('procedure');
+      expect(item.documentation.value).toContain('DBMS_OUTPUT.PUT_LINE(');
+      expect(item.documentation.value).toContain('Write a line to the output buffer');
+    });
+
+    test('lists overloads of built-in members', () => {
+      const items = complete('dbms_lob.').filter(s => s.label === 'GETLENGTH');
+      expect(items.map(s => s.detail)).toEqual(['function → INTEGER (1 of 2)', 'function → INTEGER (2 of 2)']);
+    });
+
+    test('keeps built-in members out of the top-level list', () => {
+      const labels = complete('dbms_lob').map(s => s.label);
+      expect(labels).not.toContain('DBMS_LOB.GETLENGTH');
+    });
+
+    test('offers parameter names and signature help', () => {
+      const labels = complete('utl_http.begin_request(', { triggerCharacter: '(' }).map(s => s.label);
+      expect(labels).toEqual(['url =>', 'method =>', 'http_version =>']);
+
+      const provider = createSignatureHelpProvider(monaco);
+      const content = 'dbms_scheduler.create_job(';
+      const model = createMockEditor({ content }).getModel();
+      const result = provider.provideSignatureHelp(model, { lineNumber: 1, column: content.length + 1 });
+      expect(result.value.signatures[0].label).toContain('DBMS_SCHEDULER.CREATE_JOB(');
+    });
+
+    test('describes built-in packages and members on hover', () => {
+      const provider = win.__createHoverProvider(monaco);
+      const model = createMockEditor({ content: 'htp.p(l_html);' }).getModel();
+      expect(provider.provideHover(model, { lineNumber: 1, column: 2 }).contents[0].value)
+        .toBe('**HTP** — Oracle built-in package — write HTML to the HTTP response buffer');
+      const text = provider.provideHover(model, { lineNumber: 1, column: 5 })
+        .contents.map(c => c.value).join('\n');
+      expect(text).toContain('**HTP.P** — procedure');
+      expect(text).toContain('Print text followed by a newline');
+    });
+  });
+
+  describe('package constants, variables and types', () => {
+    beforeEach(() => {
+      win.__apexDeclarations = require('../extension/dictionaries/apex-declarations.json');
+    });
+
+    function complete(content, lineNumber) {
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content }).getModel();
+      const line = content.split('\n')[(lineNumber || 1) - 1];
+      return provider.provideCompletionItems(model, { lineNumber: lineNumber || 1, column: line.length + 1 })
+        .suggestions;
+    }
+
+    test('lists globals after the package dot next to its procedures', () => {
+      const items = complete('apex_application.');
+      const f01 = items.find(s => s.label === 'G_F01');
+      expect(f01.kind).toBe(monaco.languages.CompletionItemKind.Variable);
+      expect(f01.detail).toBe('APEX_APPLICATION_GLOBAL.VC_ARR2');
+      expect(items.filter(s => /^G_F\d\d$/.test(s.label))).toHaveLength(50);
+      expect(items.map(s => s.label)).toContain('G_USER');
+    });
+
+    test('merges declarations into packages of the API dictionary', () => {
+      win.__apexApi.packages.push({
+        name: 'APEX_DEBUG',
+        procedures: [{ label: 'APEX_DEBUG.INFO', signature: 'APEX_DEBUG.INFO(P_MESSAGE IN VARCHAR2)' }]
+      });
+      const items = complete('apex_debug.');
+      expect(items.map(s => s.label)).toEqual(expect.arrayContaining(['INFO', 'C_LOG_LEVEL_INFO', 'T_LOG_LEVEL']));
+      const info = items.find(s => s.label === 'C_LOG_LEVEL_INFO');
+      expect(info.kind).toBe(monaco.languages.CompletionItemKind.Constant);
+      expect(info.detail).toBe('constant T_LOG_LEVEL := 4');
+    });
+
+    test('uses distinct kinds for record and collection types', () => {
+      const items = complete('apex_plugin.');
+      const item = items.find(s => s.label === 'T_ITEM');
+      expect(item.kind).toBe(monaco.languages.CompletionItemKind.Struct);
+      expect(item.detail).toBe('record type');
+      expect(item.documentation.value).toContain('TYPE T_ITEM IS RECORD (\n  id NUMBER,');
+      const arr = complete('apex_application_global.').find(s => s.label === 'VC_ARR2');
+      expect(arr.kind).toBe(monaco.languages.CompletionItemKind.TypeParameter);
+      expect(arr.detail).toBe('type — TABLE OF VARCHAR2(32767) INDEX BY BINARY_INTEGER');
+    });
+
+    test('offers schema-level APEX types at the top level', () => {
+      const item = complete('apex_t_').find(s => s.label === 'APEX_T_VARCHAR2');
+      expect(item.detail).toBe('type — TABLE OF VARCHAR2(32767)');
+    });
+
+    test('completes fields of variables declared with a record type', () => {
+      win.__getRecordFields = () => [];
+      win.__extractVariables = () => [{ name: 'l_result', type: 'APEX_PLUGIN.T_ITEM_RENDER_RESULT', line: 2 }];
+      const items = complete('declare\n  l_result apex_plugin.t_item_render_result;\nbegin\n  l_result.', 4);
+      expect(items.map(s => s.label)).toEqual(['is_navigable', 'navigable_dom_id']);
+      expect(items[0].detail).toBe('BOOLEAN (record APEX_PLUGIN.T_ITEM_RENDER_RESULT)');
+    });
+
+    test('describes constants and record types on hover', () => {
+      const provider = win.__createHoverProvider(monaco);
+      const hover = (content, column) => provider.provideHover(
+        createMockEditor({ content }).getModel(), { lineNumber: 1, column }).contents.map(c => c.value);
+      expect(hover('apex_debug.c_log_level_info', 14)[0]).toBe('**APEX_DEBUG.C_LOG_LEVEL_INFO** — constant T_LOG_LEVEL := 4');
+      const parts = hover('l_err apex_error.t_error;', 20);
+      expect(parts[0]).toBe('**APEX_ERROR.T_ERROR** — record type');
+      expect(parts[1]).toContain('display_location VARCHAR2');
+    });
+  });
+
+  describe('custom packages', () => {
+    beforeEach(() => {
+      win.__customPackages = {
+        packages: [{
+          name: 'XX_UTIL',
+          description: 'In-house helpers',
+          procedures: [{
+            label: 'XX_UTIL.GET_NAME', kind: 'function', returnType: 'VARCHAR2',
+            signature: 'XX_UTIL.GET_NAME(p_id IN number) RETURN VARCHAR2',
+            arguments: [{ name: 'p_id', type: 'number', direction: 'IN', position: 1, optional: false }],
+            description: 'Name of a person'
+          }],
+          constants: [{ name: 'C_MAX', type: 'pls_integer', value: '10' }]
+        }]
+      };
+    });
+
+    function complete(line) {
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content: line }).getModel();
+      return provider.provideCompletionItems(model, { lineNumber: 1, column: line.length + 1 }).suggestions;
+    }
+
+    test('completes members after the package dot', () => {
+      const labels = complete('xx_util.').map(s => s.label);
+      expect(labels).toEqual(expect.arrayContaining(['GET_NAME', 'C_MAX']));
+    });
+
+    test('offers the package at the top level', () => {
+      const item = complete('XX_').find(s => s.label === 'XX_UTIL');
+      expect(item.detail).toBe('Custom Package');
+    });
+
+    test('provides signature help and hover', () => {
+      const help = createSignatureHelpProvider(monaco).provideSignatureHelp(
+        createMockEditor({ content: 'x := xx_util.get_name(' }).getModel(), { lineNumber: 1, column: 23 });
+      expect(help.value.signatures[0].label).toBe('XX_UTIL.GET_NAME(p_id IN number) RETURN VARCHAR2');
+
+      const hover = win.__createHoverProvider(monaco).provideHover(
+        createMockEditor({ content: 'xx_util.get_name(1)' }).getModel(), { lineNumber: 1, column: 3 });
+      expect(hover.contents[0].value).toBe('**XX_UTIL** — In-house helpers');
+    });
+  });
+
+  describe('dictionary packs', () => {
+    beforeEach(() => {
+      win.__dictionaryPacks = JSON.parse(fs.readFileSync(
+        path.resolve(__dirname, '..', 'extension', 'dictionaries', 'packs', 'logger.json'), 'utf8'));
+    });
+
+    function complete(line) {
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content: line }).getModel();
+      return provider.provideCompletionItems(model, { lineNumber: 1, column: line.length + 1 }).suggestions;
+    }
+
+    test('completes the members of enabled packs', () => {
+      const labels = complete('logger.').map(s => s.label);
+      expect(labels).toEqual(expect.arrayContaining(['LOG', 'LOG_ERROR', 'APPEND_PARAM', 'G_DEBUG', 'TAB_PARAM']));
+      expect(complete('LOGG').find(s => s.label === 'LOGGER').detail).toBe('Library Package');
+    });
+
+    test('provides signature help for pack procedures', () => {
+      const help = createSignatureHelpProvider(monaco).provideSignatureHelp(
+        createMockEditor({ content: "logger.log_error('x', " }).getModel(), { lineNumber: 1, column: 23 });
+      expect(help.value.signatures[0].label).toMatch(/^LOGGER\.LOG_ERROR\(p_text IN varchar2 DEFAULT null, p_scope/);
+      expect(help.value.activeParameter).toBe(1);
+    });
+  });
+
+  describe('deprecated APIs', () => {
+    beforeEach(() => {
+      win.__apexApi.packages.push({
+        name: 'APEX_UTIL',
+        procedures: [
+          { label: 'APEX_UTIL.STRING_TO_TABLE', kind: 'function',
+            signature: 'APEX_UTIL.STRING_TO_TABLE(P_STRING IN VARCHAR2) RETURN TABLE',
+            deprecated: { since: '5.1', replacement: 'APEX_STRING.SPLIT' } },
+          { label: 'APEX_UTIL.GET_SESSION_STATE', kind: 'function',
+            signature: 'APEX_UTIL.GET_SESSION_STATE(P_ITEM IN VARCHAR2) RETURN VARCHAR2' }
+        ]
+      });
+    });
+
+    function complete(line) {
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content: line }).getModel();
+      return provider.provideCompletionItems(model, { lineNumber: 1, column: line.length + 1 }).suggestions;
+    }
+
+    test('tags deprecated suggestions so they are struck through', () => {
+      const top = complete('APEX_U').find(s => s.label === 'APEX_UTIL.STRING_TO_TABLE');
+      expect(top.tags).toEqual([monaco.languages.CompletionItemTag.Deprecated]);
+      expect(top.documentation.value).toContain('**Deprecated** since 5.1 — use `APEX_STRING.SPLIT`');
+      const member = complete('apex_util.').find(s => s.label === 'STRING_TO_TABLE');
+      expect(member.tags).toEqual([monaco.languages.CompletionItemTag.Deprecated]);
+      expect(complete('apex_util.').find(s => s.label === 'GET_SESSION_STATE').tags).toBeUndefined();
+    });
+
+    test('mentions the replacement on hover', () => {
+      const provider = win.__createHoverProvider(monaco);
+      const hover = provider.provideHover(
+        createMockEditor({ content: 'apex_util.string_to_table(x)' }).getModel(), { lineNumber: 1, column: 14 });
+      expect(hover.contents.map(c => c.value).join('\n')).toContain('**Deprecated** since 5.1 — use `APEX_STRING.SPLIT`');
+    });
+  });
+
+  describe('SQL built-in functions', () => {
+    beforeEach(() => {
+      win.__sqlFunctions = require('../extension/dictionaries/sql-functions.json');
+      win.__plsqlKeywords.keywords.push(
+        { label: 'TO_CHAR', category: 'function', detail: 'Convert to string' },
+        { label: 'NVL', category: 'function', detail: 'Replace NULL with value' }
+      );
+    });
+
+    function signatureHelp(content) {
+      const provider = createSignatureHelpProvider(monaco);
+      const model = createMockEditor({ content }).getModel();
+      return provider.provideSignatureHelp(model, { lineNumber: 1, column: content.length + 1 });
+    }
+
+    test('shows signature variants in the keyword documentation', () => {
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content: 'to_ch' }).getModel();
+      const item = provider.provideCompletionItems(model, { lineNumber: 1, column: 6 }).suggestions
+        .find(s => s.label === 'TO_CHAR');
+      expect(item.detail).toBe('Convert to string');
+      expect(item.documentation.value).toContain('TO_CHAR(\n  datetime DATE,');
+      expect(item.documentation.value).toContain('TO_CHAR(\n  n NUMBER,');
+      expect(item.documentation.value).toContain(') RETURN VARCHAR2');
+    });
+
+    test('covers SQL function calls in signature help', () => {
+      const result = signatureHelp("select to_char(hiredate, 'YYYY', ");
+      expect(result.value.signatures).toHaveLength(3);
+      expect(result.value.signatures[0].label)
+        .toBe('TO_CHAR(datetime DATE, fmt VARCHAR2 DEFAULT NULL, nlsparam VARCHAR2 DEFAULT NULL) RETURN VARCHAR2');
+      expect(result.value.activeSignature).toBe(0);
+      expect(result.value.activeParameter).toBe(2);
+    });
+
+    test('maps extra arguments to the repeatable parameter', () => {
+      const result = signatureHelp('decode(status, 1, 2, 3, 4, ');
+      expect(result.value.signatures[0].documentation).toContain('search/result pairs repeat');
+      expect(result.value.activeParameter).toBe(3);
+    });
+
+    test('does not offer named parameters for SQL functions', () => {
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content: 'nvl(' }).getModel();
+      const labels = provider.provideCompletionItems(model, { lineNumber: 1, column: 5 }, { triggerCharacter: '(' })
+        .suggestions.map(s => s.label);
+      expect(labels).not.toContain('expr1 =>');
+    });
+
+    test('shows signatures on hover', () => {
+      const provider = win.__createHoverProvider(monaco);
+      const model = createMockEditor({ content: 'x := nvl(a, b);' }).getModel();
+      const text = provider.provideHover(model, { lineNumber: 1, column: 7 }).contents.map(c => c.value).join('\n');
+      expect(text).toContain('**NVL** — Replace NULL with value');
+      expect(text).toContain('NVL(\n  expr1 ANY,\n  expr2 ANY\n) RETURN ANY');
+    });
+  });
+
+  describe('structured arguments', () => {
+    beforeEach(() => {
+      win.__apexApi = {
+        packages: [{
+          name: 'APEX_UTIL',
+          procedures: [{
+            label: 'APEX_UTIL.SET_SESSION_STATE',
+            kind: 'procedure',
+            arguments: [
+              { name: 'P_VALUE', type: 'VARCHAR2', direction: 'IN', position: 2 },
+              { name: 'P_NAME', type: 'VARCHAR2', direction: 'IN', position: 1 },
+              { name: 'P_COMMIT', type: 'BOOLEAN', direction: 'IN', optional: true, position: 3 },
+              { name: 'P_SEP', type: 'VARCHAR2', direction: 'IN', default: "','", position: 4 }
+            ]
+          }]
+        }]
+      };
+    });
+
+    test('builds signature help from the arguments in position order', () => {
+      const provider = createSignatureHelpProvider(monaco);
+      const model = createMockEditor({ content: 'apex_util.set_session_state(' }).getModel();
+      const sig = provider.provideSignatureHelp(model, { lineNumber: 1, column: 29 }).value.signatures[0];
+      expect(sig.label).toBe(
+        "APEX_UTIL.SET_SESSION_STATE(P_NAME IN VARCHAR2, P_VALUE IN VARCHAR2, P_COMMIT IN BOOLEAN, P_SEP IN VARCHAR2 DEFAULT ',')"
+      );
+      expect(sig.parameters.map(p => p.documentation)).toEqual([undefined, undefined, 'Optional', "Default: ','"]);
+    });
+
+    test('marks optional parameters and leaves them out of required-only snippets', () => {
+      win.__apexSettings = { callSnippets: 'required' };
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content: 'apex_util.' }).getModel();
+      const item = provider.provideCompletionItems(model, { lineNumber: 1, column: 11 }).suggestions[0];
+      expect(item.insertText).toBe('SET_SESSION_STATE(p_name => ${1}, p_value => ${2});');
+
+      const params = provider.provideCompletionItems(
+        createMockEditor({ content: 'apex_util.set_session_state(' }).getModel(),
+        { lineNumber: 1, column: 29 }, { triggerCharacter: '(' }).suggestions;
+      expect(params.map(p => p.detail)).toEqual([
+        'IN VARCHAR2', 'IN VARCHAR2', 'IN BOOLEAN (optional)', 'IN VARCHAR2 (optional)'
+      ]);
+    });
+
+    test('keeps commas inside default values when formatting the documentation', () => {
+      const provider = createCompletionProvider(monaco);
+      const model = createMockEditor({ content: 'apex_util.' }).getModel();
+      const item = provider.provideCompletionItems(model, { lineNumber: 1, column: 11 }).suggestions[0];
+      expect(item.documentation.value).toContain("  P_SEP IN VARCHAR2 DEFAULT ','\n)");
+    });
+  });
+
+  describe('signature help', () => {
+    function help(content, position) {
+      const provider = createSignatureHelpProvider(monaco);
+      const model = createMockEditor({ content }).getModel();
+      const lines = content.split('\n');
+      position = position || { lineNumber: lines.length, column: lines[lines.length - 1].length + 1 };
+      return provider.provideSignatureHelp(model, position);
+    }
+
+    test('exposes trigger characters', () => {
+      const provider = createSignatureHelpProvider(monaco);
+      expect(provider.signatureHelpTriggerCharacters).toEqual(['(', ',']);
+    });
+
+    test('shows the APEX signature after an opening parenthesis', () => {
+      const result = help('BEGIN\n  apex_json.open_object(');
+      const sig = result.value.signatures[0];
+      expect(sig.label).toBe('APEX_JSON.OPEN_OBJECT(p_name IN VARCHAR2 DEFAULT NULL)');
+      expect(sig.parameters).toHaveLength(1);
+      expect(result.value.activeParameter).toBe(0);
+    });
+
+    test('parameter labels are offsets into the signature label', () => {
+      const result = help('APEX_JSON.PARSE(');
+      const sig = result.value.signatures[0];
+      const [start, end] = sig.parameters[0].label;
+      expect(sig.label.substring(start, end)).toBe('p_source IN VARCHAR2');
+      expect(sig.label).toMatch(/RETURN CLOB$/);
+    });
+
+    test('highlights the parameter matching the comma count', () => {
+      const content = [
+        'CREATE OR REPLACE PACKAGE my_pkg IS',
+        '  PROCEDURE do_work(p_id NUMBER, p_name VARCHAR2);',
+        'END my_pkg;',
+        'BEGIN',
+        '  my_pkg.do_work(1, '
+      ].join('\n');
+      const result = help(content);
+      expect(result.value.signatures[0].label).toBe('my_pkg.do_work(p_id NUMBER, p_name VARCHAR2)');
+      expect(result.value.activeParameter).toBe(1);
+    });
+
+    test('covers standalone local functions', () => {
+      const content = [
+        'CREATE OR REPLACE FUNCTION local_fn(p1 NUMBER, p2 VARCHAR2) RETURN NUMBER IS',
+        'BEGIN',
+        '  RETURN local_fn(p2 => '
+      ].join('\n');
+      const result = help(content);
+      expect(result.value.signatures[0].label).toBe('local_fn(p1 NUMBER, p2 VARCHAR2) RETURN NUMBER');
+      expect(result.value.activeParameter).toBe(1);
+    });
+
+    test('falls back to the enclosing known call', () => {
+      const result = help('apex_json.open_object(unknown_fn(1, ');
+      expect(result.value.signatures[0].label).toMatch(/^APEX_JSON\.OPEN_OBJECT/);
+    });
+
+    test('returns null outside of a call', () => {
+      expect(help('BEGIN\n  NULL;')).toBeNull();
+      expect(help('unknown_fn(')).toBeNull();
+    });
+  });
+
+  // ── Hover ─────────────────────────────────────
+
+  describe('hover', () => {
+    function hover(content, column, lineNumber) {
+      const provider = win.__createHoverProvider(monaco);
+      const model = createMockEditor({ content }).getModel();
+      return provider.provideHover(model, { lineNumber: lineNumber || 1, column });
+    }
+
+    test('shows signature and internal alias for APEX procedures', () => {
+      const result = hover('  apex_json.open_object(', 15);
+      const text = result.contents.map(c => c.value).join('\n');
+      expect(text).toContain('**APEX_JSON.OPEN_OBJECT** — procedure');
+      expect(text).toContain('```plsql\nAPEX_JSON.OPEN_OBJECT(\n  p_name IN VARCHAR2 DEFAULT NULL\n)');
+      expect(text).toContain('alias for `WWV_FLOW_JSON`');
+      expect(result.range).toEqual({ startLineNumber: 1, endLineNumber: 1, startColumn: 13, endColumn: 24 });
+    });
+
+    test('shows package info when hovering the package name', () => {
+      const result = hover('APEX_JSON.PARSE', 3);
+      expect(result.contents[0].value).toBe('**APEX_JSON** — APEX Package');
+    });
+
+    test('shows page item type and label for bind variables', () => {
+      win.__getPageItems = () => ({
+        pageId: '10',
+        items: [{ name: 'P10_NAME', type: 'Text Field', label: 'Customer name', source: 'page' }]
+      });
+      const result = hover('WHERE name = :p10_name', 17);
+      expect(result.contents.map(c => c.value)).toEqual([
+        '**:P10_NAME** — Page 10 item',
+        'Type: Text Field',
+        'Label: Customer name'
+      ]);
+      expect(result.range.startColumn).toBe(14);
+    });
+
+    test('shows the description of APEX built-in bind variables', () => {
+      win.__substitutionStrings = {
+        strings: [{ name: 'APP_USER', syntax: ['bind'], description: 'Current user' }]
+      };
+      const result = hover('IF :APP_USER = 1', 6);
+      expect(result.contents.map(c => c.value)).toEqual(['**:APP_USER** — APEX built-in', 'Current user']);
+    });
+
+    test('shows keyword detail', () => {
+      const result = hover('select 1 from dual', 2);
+      expect(result.contents[0].value).toBe('**SELECT** — Retrieve data');
+    });
+
+    test('shows type and declaration line for variables', () => {
+      const result = hover('x := l_test;', 8);
+      expect(result.contents.map(c => c.value)).toEqual([
+        '**l_test** `VARCHAR2`',
+        'Declared on line 1'
+      ]);
+    });
+
+    test('shows signature for local routines', () => {
+      const content = [
+        'CREATE OR REPLACE FUNCTION local_fn(p1 NUMBER) RETURN NUMBER IS',
+        'BEGIN RETURN local_fn(1); END;'
+      ].join('\n');
+      const result = hover(content, 16, 2);
+      expect(result.contents[0].value).toContain('local_fn(\n  p1 NUMBER\n) RETURN NUMBER');
+    });
+
+    test('returns null for unknown identifiers and whitespace', () => {
+      expect(hover('foo_bar', 3)).toBeNull();
+      expect(hover('a    b', 4)).toBeNull();
+    });
+  });
+
   // ── Edge cases ────────────────────────────────
 
   test('handles missing dictionaries gracefully', () => {
@@ -19,7 +19,7 @@ describe('content-script', () => {
     ctx.window = ctx;
     ctx.console = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
     ctx.chrome = chrome;
-    ctx.location = { href: 'https://apex.example.com/app/101' };
+    ctx.location = { href: 'https://apex.example.com/app/101', host: 'apex.example.com' };
     ctx.JSON = JSON;
     ctx.Object = Object;
     ctx.Array = Array;
@@ -166,6 +166,153 @@ describe('content-script', () => {
     expect(chrome.runtime.getURL).toHaveBeenCalledWith('monaco-poller.js');
   });
 
+  test('forwards settings changes to the page context', () => {
+    const ctx = buildContext();
+    loadContentScript(ctx);
+
+    const listener = chrome.storage.onChanged.addListener.mock.calls[0][0];
+    listener({ settings: { newValue: { callSnippets: 'all' } } }, 'local');
+
+    const event = ctx.document.dispatchEvent.mock.calls
+      .map(c => c[0])
+      .find(e => e.type === '__apexDict');
+    expect(event.detail).toEqual({ name: '__apexSettings', data: { callSnippets: 'all' } });
+  });
+
+  test('sends the custom packages stored by the options page', async () => {
+    const custom = { packages: [{ name: 'XX_UTIL', procedures: [] }] };
+    const ctx = buildContext();
+    chrome.storage.local.get.mockImplementation((key, cb) => cb(key === 'customPackages' ? { customPackages: custom } : {}));
+    ctx.document.documentElement.getAttribute = jest.fn((name) => (name === 'data-apex-monaco-ready' ? '1' : null));
+    loadContentScript(ctx);
+    for (let i = 0; i < 3; i++) await new Promise(resolve => setTimeout(resolve, 0));
+
+    const event = ctx.document.dispatchEvent.mock.calls.map(c => c[0])
+      .find(e => e.type === '__apexDict' && e.detail.name === '__customPackages');
+    expect(event.detail.data).toBe(custom);
+  });
+
+  describe('dictionary packs', () => {
+    async function injectWithPacks(packs, workspace) {
+      const ctx = buildContext();
+      chrome.storage.local.get.mockImplementation((key, cb) => cb(key === 'dictionaryPacks' ? { dictionaryPacks: packs } : {}));
+      ctx.document.documentElement.getAttribute = jest.fn((name) => {
+        if (name === 'data-apex-monaco-ready') return '1';
+        if (name === 'data-apex-workspace') return workspace;
+        return null;
+      });
+      ctx.fetch = jest.fn((url) => Promise.resolve({
+        json: () => Promise.resolve(url.includes('/packs/')
+          ? { packages: [{ name: url.includes('logger') ? 'LOGGER' : 'UT', procedures: [] }] }
+          : { keywords: [] })
+      }));
+      loadContentScript(ctx);
+      for (let i = 0; i < 5; i++) await new Promise(resolve => setTimeout(resolve, 0));
+      return ctx;
+    }
+
+    function sentPacks(ctx) {
+      return ctx.document.dispatchEvent.mock.calls.map(c => c[0])
+        .find(e => e.type === '__apexDict' && e.detail.name === '__dictionaryPacks').detail.data;
+    }
+
+    test('sends the packs enabled for the workspace of the page', async () => {
+      const ctx = await injectWithPacks({
+        'apex.example.com/ACME': ['logger', 'utplsql'],
+        'apex.example.com/OTHER': ['alexandria']
+      }, 'ACME');
+
+      const urls = ctx.fetch.mock.calls.map(c => c[0]).filter(url => url.includes('/packs/'));
+      expect(urls).toEqual([
+        'chrome-extension://fakeid/dictionaries/packs/logger.json',
+        'chrome-extension://fakeid/dictionaries/packs/utplsql.json'
+      ]);
+      expect(sentPacks(ctx).packages.map(p => p.name)).toEqual(['LOGGER', 'UT']);
+    });
+
+    test('uses the host when the workspace is not detected', async () => {
+      const ctx = await injectWithPacks({ 'apex.example.com': ['logger'] }, null);
+      expect(sentPacks(ctx).packages.map(p => p.name)).toEqual(['LOGGER']);
+    });
+
+    test('sends an empty dictionary when no pack is enabled', async () => {
+      const ctx = await injectWithPacks({}, 'ACME');
+      expect(sentPacks(ctx)).toEqual({ packages: [] });
+    });
+
+    test('reports the workspace to the popup', async () => {
+      ctx = await injectWithPacks({}, 'ACME');
+      const listener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const sendResponse = jest.fn();
+      listener({ type: 'GET_EDITORS' }, {}, sendResponse);
+      ctx.document.addEventListener.mock.calls.find(c => c[0] === '__apexEditorsResult')[1]({ detail: '[]' });
+      expect(sendResponse.mock.calls[0][0].workspace).toEqual({ key: 'apex.example.com/ACME', name: 'ACME' });
+    });
+  });
+
+  describe('APEX version dictionaries', () => {
+    async function injectWithVersion(version) {
+      const ctx = buildContext();
+      ctx.document.documentElement.getAttribute = jest.fn((name) => {
+        if (name === 'data-apex-monaco-ready') return '1';
+        if (name === 'data-apex-version') return version;
+        return null;
+      });
+      loadContentScript(ctx);
+      for (let i = 0; i < 3; i++) await new Promise(resolve => setTimeout(resolve, 0));
+      return ctx;
+    }
+
+    function apexApiUrl(ctx) {
+      return ctx.fetch.mock.calls.map(c => c[0]).find(url => url.includes('apex-api'));
+    }
+
+    function editorsResponse() {
+      const listener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const sendResponse = jest.fn();
+      listener({ type: 'GET_EDITORS' }, {}, sendResponse);
+      const handler = ctx.document.addEventListener.mock.calls
+        .find(c => c[0] === '__apexEditorsResult')[1];
+      handler({ detail: '[]' });
+      return sendResponse.mock.calls[0][0];
+    }
+
+    test('loads the dictionary of the detected APEX release', async () => {
+      ctx = await injectWithVersion('24.2');
+      expect(apexApiUrl(ctx)).toBe('chrome-extension://fakeid/dictionaries/apex-api-24.2.json');
+      expect(editorsResponse().apexDictionary).toEqual({ version: '24.2', detected: '24.2' });
+    });
+
+    test('uses the newest older dictionary for a release without its own', async () => {
+      ctx = await injectWithVersion('25.1');
+      expect(apexApiUrl(ctx)).toBe('chrome-extension://fakeid/dictionaries/apex-api-24.2.json');
+      expect(editorsResponse().apexDictionary).toEqual({ version: '24.2', detected: '25.1' });
+    });
+
+    test('uses the dictionary imported from the options page', async () => {
+      const imported = { name: 'apex-24.2.5-export.csv', importedAt: '2026-01-01T00:00:00Z', dictionary: { packages: [] } };
+      ctx = buildContext();
+      chrome.storage.local.get.mockImplementation((key, cb) => {
+        cb(key === 'importedApexApi' ? { importedApexApi: imported } : {});
+      });
+      ctx.document.documentElement.getAttribute = jest.fn((name) => (name === 'data-apex-monaco-ready' ? '1' : null));
+      loadContentScript(ctx);
+      for (let i = 0; i < 3; i++) await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(apexApiUrl(ctx)).toBeUndefined();
+      const event = ctx.document.dispatchEvent.mock.calls.map(c => c[0])
+        .find(e => e.type === '__apexDict' && e.detail.name === '__apexApi');
+      expect(event.detail.data).toBe(imported.dictionary);
+      expect(editorsResponse().apexDictionary.imported).toEqual({ name: 'apex-24.2.5-export.csv', importedAt: '2026-01-01T00:00:00Z' });
+    });
+
+    test('falls back to the newest dictionary when detection fails', async () => {
+      ctx = await injectWithVersion(null);
+      expect(apexApiUrl(ctx)).toBe('chrome-extension://fakeid/dictionaries/apex-api-24.2.json');
+      expect(editorsResponse().apexDictionary).toEqual({ version: '24.2', detected: null });
+    });
+  });
+
   test('starts MutationObserver for Monaco detection', () => {
     const ctx = buildContext();
     loadContentScript(ctx);
@@ -0,0 +1,600 @@
+/**
+ * Tests for diagnostics.js
+ * Validates model markers for problems in PL/SQL code and their quick fixes.
+ */
+const { loadScript, createMockMonaco, createMockEditor } = require('./helpers');
+
+let monaco;
+let diagnostics;
+
+function loadDiagnostics(globals) {
+  const ctx = Object.assign({
+    __apexApi: {
+      packages: [{
+        name: 'APEX_UTIL',
+        procedures: [
+          { label: 'APEX_UTIL.STRING_TO_TABLE', kind: 'function',
+            signature: 'APEX_UTIL.STRING_TO_TABLE(P_STRING IN VARCHAR2) RETURN TABLE',
+            deprecated: { since: '5.1', replacement: 'APEX_STRING.SPLIT' } },
+          { label: 'APEX_UTIL.GET_SESSION_STATE', kind: 'function',
+            signature: 'APEX_UTIL.GET_SESSION_STATE(P_ITEM IN VARCHAR2) RETURN VARCHAR2' },
+          { label: 'APEX_UTIL.OLD_THING', signature: 'APEX_UTIL.OLD_THING', deprecated: true },
+          { label: 'APEX_UTIL.GET_STATE', kind: 'function',
+            signature: 'APEX_UTIL.GET_STATE(P_ITEM IN VARCHAR2) RETURN VARCHAR2',
+            deprecated: { replacement: 'APEX_UTIL.GET_SESSION_STATE' } }
+        ]
+      }]
+    },
+    __customPackages: {
+      packages: [{
+        name: 'XX_UTIL',
+        procedures: [{
+          label: 'XX_UTIL.GET_NAME', kind: 'function', returnType: 'VARCHAR2',
+          signature: 'XX_UTIL.GET_NAME(p_id IN number, p_upper IN boolean DEFAULT false) RETURN VARCHAR2',
+          arguments: [
+            { name: 'p_id', type: 'number', direction: 'IN', position: 1, optional: false },
+            { name: 'p_upper', type: 'boolean', direction: 'IN', position: 2, default: 'false', optional: true }
+          ],
+          overloads: [
+            { signature: 'XX_UTIL.GET_NAME(p_id IN number, p_upper IN boolean DEFAULT false) RETURN VARCHAR2',
+              arguments: [
+                { name: 'p_id', type: 'number', direction: 'IN', position: 1, optional: false },
+                { name: 'p_upper', type: 'boolean', direction: 'IN', position: 2, default: 'false', optional: true }
+              ] },
+            { signature: 'XX_UTIL.GET_NAME(p_email IN varchar2) RETURN VARCHAR2',
+              arguments: [{ name: 'p_email', type: 'varchar2', direction: 'IN', position: 1, optional: false }] }
+          ]
+        }]
+      }]
+    },
+    __apexDeclarations: {
+      packages: [{ name: 'APEX_UTIL', constants: [{ name: 'C_MAX', type: 'NUMBER' }] }]
+    },
+    monaco: monaco,
+    WeakMap: WeakMap
+  }, globals);
+  loadScript('parsers/variable-parser.js', ctx);
+  loadScript('parsers/signature-parser.js', ctx);
+  loadScript('completion-provider.js', ctx);
+  loadScript('plsql-indenter.js', ctx);
+  loadScript('diagnostics.js', ctx);
+  return ctx.__createDiagnostics(monaco);
+}
+
+beforeEach(() => {
+  monaco = createMockMonaco();
+  diagnostics = loadDiagnostics({});
+});
+
+function modelOf(content) {
+  const model = createMockEditor({ content, languageId: 'plsql' }).getModel();
+  model.uri = { path: '/model/1' };
+  return model;
+}
+
+function lastMarkers() {
+  const calls = monaco.editor.setModelMarkers.mock.calls;
+  return calls[calls.length - 1][2];
+}
+
+describe('diagnostics', () => {
+  describe('deprecated APIs', () => {
+    test('flags deprecated calls with a struck-through warning', () => {
+      const model = modelOf('begin\n  l_tab := apex_util.string_to_table(l_str);\nend;');
+      diagnostics.validate(model);
+      const call = monaco.editor.setModelMarkers.mock.calls[0];
+      expect(call[0]).toBe(model);
+      expect(call[1]).toBe('apex-autocomplete');
+      expect(lastMarkers()).toEqual([expect.objectContaining({
+        code: 'deprecated-api',
+        message: 'APEX_UTIL.STRING_TO_TABLE is deprecated since 5.1. Use APEX_STRING.SPLIT instead.',
+        severity: monaco.MarkerSeverity.Warning,
+        tags: [monaco.MarkerTag.Deprecated],
+        startLineNumber: 2,
+        startColumn: 12,
+        endLineNumber: 2,
+        endColumn: 37
+      })]);
+    });
+
+    test('ignores current APIs, strings and comments', () => {
+      diagnostics.validate(modelOf(
+        "x := apex_util.get_session_state('P1_X');\n" +
+        "-- apex_util.string_to_table\n" +
+        "y := 'apex_util.string_to_table';"));
+      expect(lastMarkers()).toEqual([]);
+    });
+
+    test('reports entries without details', () => {
+      diagnostics.validate(modelOf('apex_util.old_thing;'));
+      expect(lastMarkers()[0].message).toBe('APEX_UTIL.OLD_THING is deprecated.');
+    });
+
+    test('offers the replacement as a quick fix', () => {
+      const model = modelOf('l_tab := apex_util.string_to_table(l_str);');
+      diagnostics.validate(model);
+      const marker = lastMarkers()[0];
+      const result = diagnostics.provideCodeActions(model, marker, { markers: [marker] });
+      expect(result.actions).toHaveLength(1);
+      const action = result.actions[0];
+      expect(action.title).toBe('Replace with APEX_STRING.SPLIT (arguments must be adapted)');
+      expect(action.kind).toBe('quickfix');
+      expect(action.isPreferred).toBe(true);
+      expect(action.diagnostics).toEqual([marker]);
+      expect(action.edit.edits[0].resource).toBe(model.uri);
+      expect(action.edit.edits[0].textEdit).toEqual({
+        range: { startLineNumber: 1, startColumn: 10, endLineNumber: 1, endColumn: 35 },
+        text: 'apex_string.split'
+      });
+    });
+
+    test('offers a plain rename when the replacement takes the same parameters', () => {
+      const model = modelOf("l_x := apex_util.get_state('P1_X');");
+      diagnostics.validate(model);
+      const marker = lastMarkers()[0];
+      const action = diagnostics.provideCodeActions(model, marker, { markers: [marker] }).actions[0];
+      expect(action.title).toBe('Replace with APEX_UTIL.GET_SESSION_STATE');
+      expect(action.edit.edits[0].textEdit.text).toBe('apex_util.get_session_state');
+    });
+
+    test('keeps upper case replacements for upper case code', () => {
+      const model = modelOf('APEX_UTIL.STRING_TO_TABLE(l_str)');
+      diagnostics.validate(model);
+      const marker = lastMarkers()[0];
+      const action = diagnostics.provideCodeActions(model, marker, { markers: [marker] }).actions[0];
+      expect(action.edit.edits[0].textEdit.text).toBe('APEX_STRING.SPLIT');
+    });
+
+    test('has no quick fix without a replacement', () => {
+      const model = modelOf('apex_util.old_thing;');
+      diagnostics.validate(model);
+      const marker = lastMarkers()[0];
+      expect(diagnostics.provideCodeActions(model, marker, { markers: [marker] }).actions).toEqual([]);
+    });
+  });
+
+  describe('unknown APEX members', () => {
+    test('flags members missing from the package with suggestions', () => {
+      const markers = diagnostics.validate(modelOf("x := apex_util.get_sesion_state('P1_X');"));
+      expect(markers).toEqual([expect.objectContaining({
+        code: 'unknown-api-member',
+        message: 'GET_SESION_STATE is not a member of APEX_UTIL. Did you mean GET_SESSION_STATE?',
+        severity: monaco.MarkerSeverity.Warning,
+        line: 1,
+        startColumn: 16,
+        endColumn: 32
+      })]);
+    });
+
+    test('offers the closest names as quick fixes', () => {
+      const model = modelOf('APEX_UTIL.OLD_THIN;');
+      diagnostics.validate(model);
+      const marker = lastMarkers()[0];
+      const actions = diagnostics.provideCodeActions(model, marker, { markers: [marker] }).actions;
+      expect(actions.map(a => a.title)).toEqual(['Change to APEX_UTIL.OLD_THING']);
+      expect(actions[0].edit.edits[0].textEdit).toEqual({
+        range: { startLineNumber: 1, startColumn: 11, endLineNumber: 1, endColumn: 19 },
+        text: 'OLD_THING'
+      });
+    });
+
+    test('has no quick fix when no member is close', () => {
+      const model = modelOf('apex_util.frobnicate;');
+      diagnostics.validate(model);
+      const marker = lastMarkers()[0];
+      expect(marker.message).toBe('FROBNICATE is not a member of APEX_UTIL.');
+      expect(diagnostics.provideCodeActions(model, marker, { markers: [marker] }).actions).toEqual([]);
+    });
+
+    test('knows constants and ignores other packages', () => {
+      expect(diagnostics.validate(modelOf(
+        'x := apex_util.c_max + apex_util.g_unlisted;\ndbms_output.put_linee(x);\napex_unknown.foo;\nl_rec.field := 1;'))).toEqual([]);
+    });
+
+    test('does not check APEX_ packages of dictionary packs and custom packages', () => {
+      diagnostics = loadDiagnostics({
+        __dictionaryPacks: {
+          packages: [{
+            name: 'APEX_UTIL_PKG',
+            procedures: [{ label: 'APEX_UTIL_PKG.GET_PAGE_NAME', signature: 'APEX_UTIL_PKG.GET_PAGE_NAME' }]
+          }]
+        }
+      });
+      expect(diagnostics.validate(modelOf('apex_util_pkg.set_item(1);\nxx_util.get_nam(1);'))
+        .filter(p => p.code === 'unknown-api-member')).toEqual([]);
+    });
+  });
+
+  describe('call arguments', () => {
+    function problems(code) {
+      return diagnostics.validate(modelOf(code)).map(p => [p.code, p.message, p.line, p.startColumn, p.endColumn]);
+    }
+
+    test('flags unknown named parameters with suggestions', () => {
+      const model = modelOf("x := apex_util.get_session_state(p_itm => 'P1_X');");
+      const markers = diagnostics.validate(model);
+      expect(markers.map(p => [p.code, p.message, p.startColumn, p.endColumn])).toEqual([
+        ['unknown-parameter', 'APEX_UTIL.GET_SESSION_STATE has no parameter P_ITM. Did you mean P_ITEM?', 34, 39]
+      ]);
+      const marker = lastMarkers()[0];
+      const action = diagnostics.provideCodeActions(model, marker, { markers: [marker] }).actions[0];
+      expect(action.title).toBe('Change to P_ITEM');
+      expect(action.edit.edits[0].textEdit.text).toBe('p_item');
+    });
+
+    test('flags too many positional arguments', () => {
+      expect(problems("x := apex_util.get_session_state('P1_X', 'P1_Y',\n  'P1_Z');")).toEqual([
+        ['too-many-arguments', 'Too many arguments for APEX_UTIL.GET_SESSION_STATE: expected at most 1', 1, 42, 9]
+      ]);
+    });
+
+    test('flags missing required parameters when defaults are known', () => {
+      expect(problems('x := xx_util.get_name(p_upper => true);\ny := xx_util.get_name;')).toEqual([
+        ['missing-parameter', 'Missing required parameter P_ID for XX_UTIL.GET_NAME', 1, 6, 22],
+        ['missing-parameter', 'Missing required parameter P_ID for XX_UTIL.GET_NAME', 2, 6, 22]
+      ]);
+      // Signature strings of the bundled dictionary do not tell
+      expect(problems('x := apex_util.get_session_state();')).toEqual([]);
+    });
+
+    test('accepts calls matching one of the overloads', () => {
+      expect(problems("x := xx_util.get_name(p_email => 'a@b.c');\ny := xx_util.get_name(1, true);")).toEqual([]);
+    });
+
+    test('checks calls of routines declared in the code', () => {
+      expect(problems([
+        'declare',
+        '  procedure log_it(p_msg in varchar2, p_level in number default 1);',
+        '  procedure log_it(p_msg in varchar2, p_level in number default 1) is begin dbms_output.put_line(p_msg || p_level); end log_it;',
+        'begin',
+        "  log_it('a');",
+        '  log_it(p_levl => 2);',
+        "  log_it('a', 1, 2);",
+        'end;'
+      ].join('\n'))).toEqual([
+        ['unknown-parameter', 'log_it has no parameter P_LEVL. Did you mean P_LEVEL?', 6, 10, 16],
+        ['missing-parameter', 'Missing required parameter P_MSG for log_it', 6, 3, 9],
+        ['too-many-arguments', 'Too many arguments for log_it: expected at most 2', 7, 18, 19]
+      ]);
+    });
+  });
+
+  describe('block structure', () => {
+    function problems(code) {
+      return diagnostics.validate(modelOf(code)).map(p => [p.code, p.message, p.line, p.startColumn, p.endLine, p.endColumn]);
+    }
+
+    test('accepts balanced blocks', () => {
+      expect(problems([
+        'create or replace package body scott."PKG" as',
+        '  procedure p(p_id in number default nvl(null, 1));',
+        '  function f return varchar2 is',
+        "    l_x varchar2(10) := q'[it's (]';",
+        '  begin',
+        '    for r in (select case when 1 = 1 then 1 end as c from dual) loop',
+        '      if r.c = 1 then null; elsif r.c = 2 then null; else null; end if;',
+        '      case r.c when 1 then null; else null; end case;',
+        '    end loop;',
+        "    return l_x || 'x''y';",
+        '  end f;',
+        '  procedure p(p_id in number default nvl(null, 1)) is begin dbms_output.put_line(p_id); end;',
+        'begin',
+        '  null;',
+        'end pkg;'
+      ].join('\n'))).toEqual([]);
+      expect(problems([
+        'create or replace package pkg authid current_user is',
+        '  function f return number;',
+        'end pkg;',
+        '/',
+        'create or replace type t as object (a number);'
+      ].join('\n'))).toEqual([]);
+    });
+
+    test('reports a missing END IF at its IF', () => {
+      expect(problems('begin\n  if x then\n    null;\nend;')).toEqual([
+        ['unbalanced-block', 'Missing END IF for this IF', 2, 3, 2, 5]
+      ]);
+    });
+
+    test('reports closing keywords without an opening one', () => {
+      expect(problems('begin\n  null;\n  end loop;\nend;')).toEqual([
+        ['unbalanced-block', 'END LOOP without matching LOOP', 3, 3, 3, 11]
+      ]);
+      expect(problems('null;\nend;')).toEqual([
+        ['unbalanced-block', 'END without matching BEGIN', 2, 1, 2, 4]
+      ]);
+    });
+
+    test('reports blocks left open at the end', () => {
+      expect(problems('declare\n  l number;\nbegin\n  loop\n    exit when l > 0;\n  end loop;')).toEqual([
+        ['unbalanced-block', 'Missing END for this BEGIN', 3, 1, 3, 6]
+      ]);
+    });
+
+    test('reports unbalanced parentheses', () => {
+      expect(problems('x := nvl(a, (b);')).toEqual([
+        ['unbalanced-parenthesis', 'Missing closing parenthesis', 1, 9, 1, 10]
+      ]);
+      expect(problems('x := 1;\ny := c);')).toEqual([
+        ['unbalanced-parenthesis', 'Unmatched closing parenthesis', 2, 7, 2, 8]
+      ]);
+    });
+
+    test('reports only the unterminated literal that swallows the code', () => {
+      expect(problems("begin\n  x := 'abc;\n  if y then null; end if;\nend;")).toEqual([
+        ['unterminated-string', 'Unterminated string', 2, 8, 2, 13]
+      ]);
+      expect(problems("x := q'{abc}';\ny := q'[abc';")).toEqual([
+        ['unterminated-string', 'Unterminated q-quoted string', 2, 6, 2, 14]
+      ]);
+      expect(problems('x := 1; /* note')[0][0]).toBe('unterminated-comment');
+    });
+
+    test('reports errors with the error severity', () => {
+      expect(diagnostics.validate(modelOf('if x then null;'))[0].severity).toBe(monaco.MarkerSeverity.Error);
+    });
+  });
+
+  describe('unused declarations', () => {
+    function problems(code) {
+      return diagnostics.validate(modelOf(code))
+        .filter(p => p.code === 'unused-declaration')
+        .map(p => [p.message, p.line, p.startColumn, p.endColumn]);
+    }
+
+    test('flags variables, cursors and exceptions that are never referenced', () => {
+      const markers = diagnostics.validate(modelOf([
+        'declare',
+        '  l_used   number := 1;',
+        '  l_unused varchar2(10);',
+        '  cursor c_emp is select ename from emp;',
+        '  e_fail exception;',
+        'begin',
+        '  dbms_output.put_line(l_used);',
+        'end;'
+      ].join('\n')));
+      expect(markers.map(p => [p.code, p.message, p.line, p.startColumn, p.endColumn])).toEqual([
+        ['unused-declaration', 'Variable l_unused is declared but never used', 3, 3, 11],
+        ['unused-declaration', 'Cursor c_emp is declared but never used', 4, 10, 15],
+        ['unused-declaration', 'Exception e_fail is declared but never used', 5, 3, 9]
+      ]);
+      expect(markers[0].severity).toBe(monaco.MarkerSeverity.Warning);
+      expect(markers[0].tags).toEqual([monaco.MarkerTag.Unnecessary]);
+    });
+
+    test('flags unused parameters of subprogram definitions only', () => {
+      const markers = diagnostics.validate(modelOf([
+        'declare',
+        '  procedure p(p_id in number, p_name in varchar2);',
+        '  procedure p(p_id in number, p_name in varchar2) is',
+        '  begin',
+        '    dbms_output.put_line(p_name);',
+        '  end p;',
+        'begin',
+        "  p(p_id => 1, p_name => 'x');",
+        'end;'
+      ].join('\n')));
+      expect(markers.map(p => [p.message, p.line, p.startColumn, p.severity])).toEqual([
+        ['Parameter p_id is never used', 3, 15, monaco.MarkerSeverity.Info]
+      ]);
+      expect(markers[0].fixes).toEqual([]);
+    });
+
+    test('counts references in nested subprograms but not named arguments, fields or binds', () => {
+      expect(problems([
+        'declare',
+        '  l_shared number;',
+        '  l_name   varchar2(10);',
+        '  procedure show is begin dbms_output.put_line(l_shared); end;',
+        'begin',
+        '  show;',
+        '  r.l_name := :l_name;',
+        '  apex_util.set_session_state(l_name => 1);',
+        'end;'
+      ].join('\n'))).toEqual([
+        ['Variable l_name is declared but never used', 3, 3, 9]
+      ]);
+    });
+
+    test('ignores package globals, loop records and lines of the body', () => {
+      expect(problems([
+        'create or replace package body pkg is',
+        '  g_unused number;',
+        '  procedure p is',
+        '  begin',
+        '    for r in (select 1 from dual) loop',
+        '      null;',
+        '    end loop;',
+        '    select ename',
+        '           ename_alias',
+        '      into x from emp;',
+        '  end p;',
+        'end pkg;'
+      ].join('\n'))).toEqual([]);
+    });
+
+    test('finds references to names containing "$"', () => {
+      expect(problems([
+        'declare',
+        '  l_x$y number := 1;',
+        '  l_a$b number;',
+        'begin',
+        '  dbms_output.put_line(l_x$y);',
+        '  dbms_output.put_line(l_axb);',
+        'end;'
+      ].join('\n'))).toEqual([
+        ['Variable l_a$b is declared but never used', 3, 3, 8]
+      ]);
+    });
+
+    test('does not take the method headers of type bodies for declarations', () => {
+      expect(problems([
+        'create or replace type body t_emp as',
+        '  member function get_name return varchar2 is',
+        '    l_unused varchar2(10);',
+        '  begin',
+        '    return self.name;',
+        '  end;',
+        '  static procedure init is',
+        '  begin',
+        '    null;',
+        '  end;',
+        '  constructor function t_emp(p_name varchar2) return self as result is',
+        '  begin',
+        '    self.name := p_name;',
+        '    return;',
+        '  end;',
+        '  map member function sort_key return number is',
+        '  begin',
+        '    return 1;',
+        '  end;',
+        '  overriding member procedure show is',
+        '  begin',
+        '    null;',
+        '  end;',
+        'end;'
+      ].join('\n'))).toEqual([
+        ['Variable l_unused is declared but never used', 3, 5, 13]
+      ]);
+    });
+
+    test('offers to remove the declaration with its line', () => {
+      const model = modelOf('declare\n  l_a number;\n  cursor c is\n    select 1 from dual;\nbegin\n  null;\nend;');
+      diagnostics.validate(model);
+      const edits = lastMarkers().map(marker =>
+        diagnostics.provideCodeActions(model, marker, { markers: [marker] }).actions[0]);
+      expect(edits.map(action => action.title)).toEqual(['Remove unused variable l_a', 'Remove unused cursor c']);
+      expect(edits.map(action => action.edit.edits[0].textEdit)).toEqual([
+        { range: { startLineNumber: 2, startColumn: 1, endLineNumber: 3, endColumn: 1 }, text: '' },
+        { range: { startLineNumber: 3, startColumn: 1, endLineNumber: 5, endColumn: 1 }, text: '' }
+      ]);
+    });
+
+    test('removes only the statement when the line holds more code', () => {
+      const model = modelOf('declare\n  l_a number; l_b number := 1;\nbegin\n  dbms_output.put_line(l_b);\nend;');
+      diagnostics.validate(model);
+      const marker = lastMarkers()[0];
+      expect(diagnostics.provideCodeActions(model, marker, { markers: [marker] }).actions[0].edit.edits[0].textEdit)
+        .toEqual({ range: { startLineNumber: 2, startColumn: 3, endLineNumber: 2, endColumn: 14 }, text: '' });
+    });
+  });
+
+  describe('undeclared identifiers', () => {
+    beforeEach(() => {
+      diagnostics = loadDiagnostics({
+        __sqlKeywords: require('../extension/dictionaries/sql-keywords.json'),
+        __plsqlKeywords: require('../extension/dictionaries/plsql-keywords.json'),
+        __sqlFunctions: require('../extension/dictionaries/sql-functions.json')
+      });
+    });
+
+    function problems(code) {
+      return diagnostics.validate(modelOf(code))
+        .filter(p => p.code === 'undeclared-identifier')
+        .map(p => [p.message, p.line, p.startColumn, p.endColumn]);
+    }
+
+    test('flags assignment targets and names read in expressions', () => {
+      const markers = diagnostics.validate(modelOf([
+        'declare',
+        '  l_count number := l_start;',
+        'begin',
+        '  l_total := l_count + 1;',
+        '  if l_ready and l_count > 0 then',
+        '    return;',
+        '  end if;',
+        '  while l_more loop exit when l_done; end loop;',
+        'end;'
+      ].join('\n')));
+      expect(markers.map(p => [p.code, p.message, p.line, p.startColumn, p.endColumn])).toEqual([
+        ['undeclared-identifier', 'l_start is not declared, unless it is a schema function', 2, 21, 28],
+        ['undeclared-identifier', 'l_total is not declared', 4, 3, 10],
+        ['undeclared-identifier', 'l_ready is not declared, unless it is a schema function', 5, 6, 13],
+        ['undeclared-identifier', 'l_more is not declared, unless it is a schema function', 8, 9, 15],
+        ['undeclared-identifier', 'l_done is not declared, unless it is a schema function', 8, 31, 37]
+      ]);
+    });
+
+    test('reports names that are only read as info, since they may be schema functions', () => {
+      const markers = diagnostics.validate(modelOf('begin\n  l_val := my_func;\nend;'));
+      expect(markers.map(p => [p.message, p.severity])).toEqual([
+        ['l_val is not declared', monaco.MarkerSeverity.Warning],
+        ['my_func is not declared, unless it is a schema function', monaco.MarkerSeverity.Info]
+      ]);
+    });
+
+    test('accepts declared names, keywords, functions, packages and local subprograms', () => {
+      expect(problems([
+        'declare',
+        '  l_name varchar2(100);',
+        '  l_when date;',
+        '  function next_id return number is begin return 1; end;',
+        'begin',
+        '  for r in (select ename from emp) loop',
+        '    l_name := upper(r.ename) || sqlerrm || user;',
+        '  end loop;',
+        '  l_when := sysdate + interval \'1\' day;',
+        '  if l_name is not null and not (l_when between sysdate and sysdate + 1) then',
+        '    l_name := apex_util.get_session_state(p_item => :P1_X) || next_id || pkg.g_value;',
+        '  end if;',
+        '  :P1_Y := sql%rowcount;',
+        'end;'
+      ].join('\n'))).toEqual([]);
+    });
+
+    test('leaves package bodies without their specification alone', () => {
+      expect(problems('create or replace package body pkg is\n  procedure p is begin g_x := 1; end;\nend;')).toEqual([]);
+      expect(problems([
+        'create or replace package pkg is',
+        '  g_x number;',
+        'end;',
+        '/',
+        'create or replace package body pkg is',
+        '  procedure p is begin g_x := g_y; end;',
+        'end;'
+      ].join('\n'))).toEqual([['g_y is not declared, unless it is a schema function', 6, 31, 34]]);
+    });
+
+    test('offers to declare the name in the enclosing declarations', () => {
+      const model = modelOf('create procedure p(p_id number) is\n  l_a number;\nbegin\n  l_b := p_id * 2;\n  if l_ok then null; end if;\nend;');
+      diagnostics.validate(model);
+      const fixes = lastMarkers().filter(p => p.code === 'undeclared-identifier').map(marker =>
+        diagnostics.provideCodeActions(model, marker, { markers: [marker] }).actions[0]);
+      expect(fixes.map(action => [action.title, action.edit.edits[0].textEdit])).toEqual([
+        ['Declare l_b', {
+          range: { startLineNumber: 2, startColumn: 1, endLineNumber: 2, endColumn: 1 },
+          text: '  l_b number;\n'
+        }],
+        ['Declare l_ok', {
+          range: { startLineNumber: 2, startColumn: 1, endLineNumber: 2, endColumn: 1 },
+          text: '  l_ok boolean;\n'
+        }]
+      ]);
+    });
+
+    test('adds a DECLARE section to a block without one', () => {
+      const model = modelOf('BEGIN\n  L_NAME := TO_CHAR(SYSDATE);\nEND;');
+      diagnostics.validate(model);
+      const marker = lastMarkers().find(p => p.code === 'undeclared-identifier');
+      expect(diagnostics.provideCodeActions(model, marker, { markers: [marker] }).actions[0].edit.edits[0].textEdit)
+        .toEqual({
+          range: { startLineNumber: 1, startColumn: 1, endLineNumber: 1, endColumn: 1 },
+          text: 'DECLARE\n  L_NAME VARCHAR2(4000);\n'
+        });
+    });
+
+    test('is off without the keyword dictionaries', () => {
+      diagnostics = loadDiagnostics({});
+      expect(problems('begin\n  l_x := l_y;\nend;')).toEqual([]);
+    });
+  });
+
+  test('clears the markers of a model', () => {
+    const model = modelOf('apex_util.string_to_table(x)');
+    diagnostics.validate(model);
+    diagnostics.clear(model);
+    expect(lastMarkers()).toEqual([]);
+    expect(diagnostics.provideCodeActions(model, {}, { markers: [] }).actions).toEqual([]);
+  });
+});
@@ -1,6 +1,7 @@
 /**
  * Tests for dict-loader.js
- * Validates that dictionaries received via CustomEvent are stored on window.
+ * Validates that dictionaries received via CustomEvent are stored on window,
+ * and that API dictionaries are checked against the schema on load.
  */
 const { loadScript } = require('./helpers');
 
@@ -49,4 +50,122 @@ describe('dict-loader', () => {
 
     expect(ctx.window.__myDict).toEqual(second);
   });
+
+  describe('API dictionary validation', () => {
+    function send(data) {
+      document.dispatchEvent(new CustomEvent('__apexDict', {
+        detail: { name: '__apexApi', data: data }
+      }));
+      return ctx.window.__apexApi;
+    }
+
+    test('loads string-only and structured entries', () => {
+      const data = {
+        packages: [{
+          name: 'APEX_UTIL',
+          procedures: [
+            { label: 'APEX_UTIL.GET_SESSION_STATE', kind: 'function',
+              signature: 'APEX_UTIL.GET_SESSION_STATE(P_ITEM IN VARCHAR2) RETURN VARCHAR2' },
+            { label: 'APEX_UTIL.SET_SESSION_STATE', kind: 'procedure',
+              arguments: [
+                { name: 'P_NAME', type: 'VARCHAR2', direction: 'IN', position: 1 },
+                { name: 'P_COMMIT', type: 'BOOLEAN', direction: 'IN', default: 'TRUE', optional: true, position: 3 }
+              ] }
+          ]
+        }]
+      };
+      expect(send(data)).toEqual(data);
+      expect(ctx.window.__dictionaryErrors).toEqual({});
+    });
+
+    test('drops invalid entries and keeps them for debugging', () => {
+      const result = send({
+        packages: [
+          { procedures: [] },
+          {
+            name: 'APEX_X',
+            procedures: [
+              { label: 'APEX_X.OK', signature: 'APEX_X.OK' },
+              { signature: 'APEX_X.NO_LABEL' },
+              { label: 'APEX_X.NOTHING' },
+              { label: 'APEX_X.BAD_ARG', arguments: [{ type: 'NUMBER' }] },
+              { label: 'APEX_X.BAD_DIR', arguments: [{ name: 'P', direction: 'SIDEWAYS' }] },
+              { label: 'APEX_X.BAD_OVERLOAD', overloads: [{ kind: 'function' }] }
+            ]
+          }
+        ]
+      });
+      expect(result.packages).toHaveLength(1);
+      expect(result.packages[0].procedures.map(p => p.label)).toEqual(['APEX_X.OK']);
+      expect(ctx.window.__dictionaryErrors.__apexApi).toHaveLength(6);
+      expect(ctx.console.warn).not.toHaveBeenCalled();
+    });
+
+    test('checks deprecation notes', () => {
+      const result = send({
+        packages: [{
+          name: 'APEX_UTIL',
+          procedures: [
+            { label: 'APEX_UTIL.A', signature: 'APEX_UTIL.A', deprecated: true },
+            { label: 'APEX_UTIL.B', signature: 'APEX_UTIL.B', deprecated: { since: '5.1', replacement: 'APEX_STRING.SPLIT' } },
+            { label: 'APEX_UTIL.C', signature: 'APEX_UTIL.C', deprecated: 'yes' },
+            { label: 'APEX_UTIL.D', signature: 'APEX_UTIL.D', deprecated: { since: 5.1 } }
+          ]
+        }]
+      });
+      expect(result.packages[0].procedures.map(p => p.label)).toEqual(['APEX_UTIL.A', 'APEX_UTIL.B']);
+      expect(ctx.window.__dictionaryErrors.__apexApi).toEqual([
+        'APEX_UTIL: APEX_UTIL.C: deprecated must be true or an object',
+        'APEX_UTIL: APEX_UTIL.D: deprecated.since must be a string'
+      ]);
+    });
+
+    test('replaces a dictionary without packages by an empty one', () => {
+      expect(send({ keywords: [] })).toEqual({ packages: [] });
+    });
+
+    test('checks constants, variables and types sections', () => {
+      const result = send({
+        packages: [{
+          name: 'APEX_DEBUG',
+          constants: [{ name: 'C_LOG_LEVEL_INFO', type: 'T_LOG_LEVEL', value: '4' }, { type: 'NUMBER' }],
+          types: [{ name: 'T_REC', fields: [{ name: 'id' }, { type: 'NUMBER' }] }]
+        }],
+        types: [{ name: 'APEX_T_VARCHAR2' }, 'bad']
+      });
+      expect(result.packages[0].constants.map(c => c.name)).toEqual(['C_LOG_LEVEL_INFO']);
+      expect(result.packages[0].types).toEqual([]);
+      expect(result.types.map(t => t.name)).toEqual(['APEX_T_VARCHAR2']);
+      expect(ctx.window.__dictionaryErrors.__apexApi).toEqual([
+        'APEX_DEBUG: declaration without a name',
+        'APEX_DEBUG: T_REC: field 2 without a name',
+        'types: declaration is not an object'
+      ]);
+    });
+
+    test('validates the shipped APEX declarations dictionary', () => {
+      const data = require('../extension/dictionaries/apex-declarations.json');
+      document.dispatchEvent(new CustomEvent('__apexDict', {
+        detail: { name: '__apexDeclarations', data: data }
+      }));
+      expect(ctx.window.__dictionaryErrors).toEqual({});
+    });
+
+    test('validates the shipped Oracle built-in package dictionary', () => {
+      const data = require('../extension/dictionaries/oracle-packages.json');
+      document.dispatchEvent(new CustomEvent('__apexDict', {
+        detail: { name: '__oraclePackages', data: data }
+      }));
+      expect(ctx.window.__dictionaryErrors).toEqual({});
+      expect(ctx.window.__oraclePackages.packages).toHaveLength(data.packages.length);
+    });
+
+    test('does not validate other dictionaries', () => {
+      const data = { keywords: [{ label: 'SELECT' }] };
+      document.dispatchEvent(new CustomEvent('__apexDict', {
+        detail: { name: '__sqlKeywords', data: data }
+      }));
+      expect(ctx.window.__sqlKeywords).toBe(data);
+    });
+  });
 });
@@ -0,0 +1,100 @@
+/**
+ * Tests for dictionary-builder.js
+ * Validates the conversion of the query.sql CSV export into the APEX API
+ * dictionary, which must match scripts/generate_apex_api.py.
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadScript } = require('./helpers');
+
+let win;
+
+beforeEach(() => {
+  win = loadScript('dictionary-builder.js', {}).window;
+});
+
+const HEADER = 'PACKAGE_NAME,ALIAS,PROCEDURE_NAME,OVERLOAD,SUBPROGRAM_TYPE,RETURN_TYPE,ARGUMENT_NAME,DATA_TYPE,IN_OUT,DEFAULT_VALUE,DEFAULTED,POSITION';
+
+describe('dictionary-builder', () => {
+  describe('parseCsv', () => {
+    test('reads quoted fields, escaped quotes and CRLF line ends', () => {
+      const csv = win.__parseCsv('\uFEFFa,b,c\r\n"x, y","say ""hi""",\r\n1,2,3\r\n');
+      expect(csv.columns).toEqual(['A', 'B', 'C']);
+      expect(csv.rows).toEqual([
+        { A: 'x, y', B: 'say "hi"', C: '' },
+        { A: '1', B: '2', C: '3' }
+      ]);
+    });
+
+    test('keeps line breaks inside quoted fields', () => {
+      expect(win.__parseCsv('a\n"one\ntwo"').rows).toEqual([{ A: 'one\ntwo' }]);
+    });
+  });
+
+  describe('buildApexDictionary', () => {
+    const csv = [
+      HEADER,
+      'WWV_FLOW_STRING,APEX_STRING,SPLIT,1,FUNCTION,TABLE,P_STR,VARCHAR2,IN,,N,1',
+      'WWV_FLOW_STRING,APEX_STRING,SPLIT,1,FUNCTION,TABLE,P_SEP,VARCHAR2,IN,NULL,Y,2',
+      'WWV_FLOW_STRING,APEX_STRING,SPLIT,2,FUNCTION,TABLE,P_STR,CLOB,IN,,N,1',
+      'WWV_FLOW_UTILITIES,APEX_UTIL,STRING_TO_TABLE,0,FUNCTION,TABLE,P_STRING,VARCHAR2,IN,,N,1',
+      'WWV_FLOW_UTILITIES,APEX_UTIL,STRING_TO_TABLE,0,FUNCTION,TABLE,P_STRING,VARCHAR2,IN,,N,1',
+      'WWV_FLOW_UTILITIES,APEX_UTIL,RESET_PW,0,PROCEDURE,,,,,,,',
+      'WWV_FLOW_INTERNAL,APEX_INTERNAL,DO_IT,0,PROCEDURE,,,,,,,'
+    ].join('\n');
+
+    test('emits one entry per procedure with its overloads and structured arguments', () => {
+      const dict = win.__buildApexDictionary(csv);
+      expect(dict.packages.map(p => p.name)).toEqual(['APEX_STRING', 'APEX_UTIL', 'APEX_INTERNAL']);
+
+      const split = dict.packages[0].procedures[0];
+      expect(split).toMatchObject({
+        label: 'APEX_STRING.SPLIT',
+        detail: 'WWV_FLOW_STRING.SPLIT',
+        kind: 'function',
+        returnType: 'TABLE',
+        signature: 'APEX_STRING.SPLIT(P_STR IN VARCHAR2, P_SEP IN VARCHAR2 DEFAULT NULL) RETURN TABLE'
+      });
+      expect(split.overloads.map(o => o.signature)).toEqual([
+        'APEX_STRING.SPLIT(P_STR IN VARCHAR2, P_SEP IN VARCHAR2 DEFAULT NULL) RETURN TABLE',
+        'APEX_STRING.SPLIT(P_STR IN CLOB) RETURN TABLE'
+      ]);
+      expect(split.arguments[1]).toEqual({
+        name: 'P_SEP', type: 'VARCHAR2', direction: 'IN', position: 2, default: 'NULL', optional: true
+      });
+
+      const util = dict.packages[1].procedures;
+      expect(util[0].arguments).toHaveLength(1);
+      expect(util[0].overloads).toBeUndefined();
+      expect(util[1]).toEqual({
+        label: 'APEX_UTIL.RESET_PW', detail: 'WWV_FLOW_UTILITIES.RESET_PW',
+        kind: 'procedure', signature: 'APEX_UTIL.RESET_PW', arguments: []
+      });
+    });
+
+    test('keeps the allowed packages and adds deprecation notes', () => {
+      const dict = win.__buildApexDictionary(csv, {
+        allowed: ['APEX_STRING', 'APEX_UTIL'],
+        deprecated: { 'APEX_UTIL.STRING_TO_TABLE': { since: '5.1', replacement: 'APEX_STRING.SPLIT' } }
+      });
+      expect(dict.packages.map(p => p.name)).toEqual(['APEX_STRING', 'APEX_UTIL']);
+      expect(dict.packages[1].procedures[0].deprecated).toEqual({ since: '5.1', replacement: 'APEX_STRING.SPLIT' });
+    });
+
+    test('rejects files without the query.sql columns', () => {
+      expect(() => win.__buildApexDictionary('NAME,VALUE\na,b'))
+        .toThrow('Not a query.sql export: missing column(s) PACKAGE_NAME, ALIAS, PROCEDURE_NAME');
+    });
+
+    test('matches the dictionary generated by generate_apex_api.py', () => {
+      const root = path.resolve(__dirname, '..');
+      const dict = win.__buildApexDictionary(
+        fs.readFileSync(path.join(root, 'scripts/apex-24.2-export.csv'), 'utf8'), {
+          allowed: require('../extension/dictionaries/apex-public-plsql-api.json'),
+          deprecated: require('../extension/dictionaries/apex-deprecated.json')
+        });
+      expect(JSON.stringify(dict, null, 2))
+        .toBe(fs.readFileSync(path.join(root, 'extension/dictionaries/apex-api-24.2.json'), 'utf8'));
+    });
+  });
+});
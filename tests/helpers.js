@@ -12,7 +12,7 @@ function createMockMonaco() {
   const CompletionItemKind = {
     Keyword: 17, Text: 0, Function: 1, Method: 0, Variable: 4,
     Snippet: 27, Property: 9, TypeParameter: 24, Struct: 6,
-    Event: 7, Module: 8
+    Event: 7, Module: 8, Field: 3, Constant: 14
   };
   const InsertAsSnippet = 4;
 
@@ -27,11 +27,21 @@ function createMockMonaco() {
   return {
     languages: {
       CompletionItemKind: CompletionItemKind,
+      CompletionItemTag: { Deprecated: 1 },
       CompletionItemInsertTextRule: { InsertAsSnippet: InsertAsSnippet },
       registerCompletionItemProvider: jest.fn(function (langId, provider) {
         registeredProviders.push({ langId, provider });
         return { dispose: jest.fn() };
       }),
+      registerSignatureHelpProvider: jest.fn(function (langId, provider) {
+        return { dispose: jest.fn() };
+      }),
+      registerHoverProvider: jest.fn(function (langId, provider) {
+        return { dispose: jest.fn() };
+      }),
+      registerCodeActionProvider: jest.fn(function (langId, provider) {
+        return { dispose: jest.fn() };
+      }),
       getLanguages: jest.fn(function () { return registeredLanguages; }),
       typescript: {
         javascriptDefaults: {
@@ -43,8 +53,11 @@ function createMockMonaco() {
       getEditors: jest.fn(function () { return editors; }),
       setModelLanguage: jest.fn(),
       onDidCreateEditor: jest.fn(function (cb) { editorCallbacks.push(cb); }),
+      setModelMarkers: jest.fn(),
       create: jest.fn()
     },
+    MarkerSeverity: { Hint: 1, Info: 2, Warning: 4, Error: 8 },
+    MarkerTag: { Unnecessary: 1, Deprecated: 2 },
     // Test helpers (not part of real Monaco API)
     __test: {
       editors: editors,
@@ -100,6 +113,16 @@ function createMockChrome() {
     tabs: {
       query: jest.fn(),
       sendMessage: jest.fn()
+    },
+    storage: {
+      local: {
+        get: jest.fn(function (keys, cb) { cb({}); }),
+        set: jest.fn(function (items, cb) { if (cb) cb(); }),
+        remove: jest.fn(function (keys, cb) { if (cb) cb(); })
+      },
+      onChanged: {
+        addListener: jest.fn()
+      }
     }
   };
 }
@@ -55,6 +55,127 @@ describe('injected.js', () => {
     expect(registeredLangs).toContain('sql');
   });
 
+  test('registers signature help provider on the same languages', () => {
+    const ctx = {};
+    ctx.window = ctx;
+    ctx.console = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    ctx.document = {
+      querySelectorAll: jest.fn(() => []),
+      body: {},
+      documentElement: document.documentElement
+    };
+    ctx.setTimeout = jest.fn((fn) => fn());
+    ctx.WeakSet = WeakSet;
+    ctx.MutationObserver = jest.fn(() => ({
+      observe: jest.fn(),
+      disconnect: jest.fn()
+    }));
+    ctx.monaco = monaco;
+    ctx.__createCompletionProvider = function () {
+      return {
+        triggerCharacters: ['.'],
+        provideCompletionItems: jest.fn(() => ({ suggestions: [] }))
+      };
+    };
+    const provideSignatureHelp = jest.fn(() => null);
+    ctx.__createSignatureHelpProvider = function () {
+      return {
+        signatureHelpTriggerCharacters: ['(', ','],
+        provideSignatureHelp: provideSignatureHelp
+      };
+    };
+
+    loadScript('injected.js', ctx);
+
+    expect(monaco.languages.registerHoverProvider).not.toHaveBeenCalled();
+
+    const calls = monaco.languages.registerSignatureHelpProvider.mock.calls;
+    expect(calls.map(c => c[0])).toEqual(['sql', 'plaintext']);
+    expect(calls[0][1].signatureHelpTriggerCharacters).toEqual(['(', ',']);
+
+    // Non-PL/SQL editors get no signature help
+    const jsEditor = createMockEditor({ languageId: 'javascript' });
+    monaco.__test.addEditor(jsEditor);
+    expect(calls[0][1].provideSignatureHelp(jsEditor.getModel(), {})).toBeNull();
+    expect(provideSignatureHelp).not.toHaveBeenCalled();
+  });
+
+  test('registers hover provider when available', () => {
+    const ctx = {};
+    ctx.window = ctx;
+    ctx.console = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    ctx.document = {
+      querySelectorAll: jest.fn(() => []),
+      body: {},
+      documentElement: document.documentElement
+    };
+    ctx.setTimeout = jest.fn((fn) => fn());
+    ctx.WeakSet = WeakSet;
+    ctx.MutationObserver = jest.fn(() => ({
+      observe: jest.fn(),
+      disconnect: jest.fn()
+    }));
+    ctx.monaco = monaco;
+    ctx.__createCompletionProvider = function () {
+      return {
+        triggerCharacters: ['.'],
+        provideCompletionItems: jest.fn(() => ({ suggestions: [] }))
+      };
+    };
+    const provideHover = jest.fn(() => ({ contents: [] }));
+    ctx.__createHoverProvider = function () {
+      return { provideHover: provideHover };
+    };
+
+    loadScript('injected.js', ctx);
+
+    const calls = monaco.languages.registerHoverProvider.mock.calls;
+    expect(calls.map(c => c[0])).toEqual(['sql', 'plaintext']);
+
+    const plsqlEditor = createMockEditor({ languageId: 'plsql' });
+    monaco.__test.addEditor(plsqlEditor);
+    calls[0][1].provideHover(plsqlEditor.getModel(), { lineNumber: 1, column: 1 });
+    expect(provideHover).toHaveBeenCalled();
+  });
+
+  test('registers the substitution provider on HTML editors', () => {
+    const ctx = {};
+    ctx.window = ctx;
+    ctx.console = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    ctx.document = {
+      querySelectorAll: jest.fn(() => []),
+      body: {},
+      documentElement: document.documentElement
+    };
+    ctx.setTimeout = jest.fn((fn) => fn());
+    ctx.WeakSet = WeakSet;
+    ctx.MutationObserver = jest.fn(() => ({
+      observe: jest.fn(),
+      disconnect: jest.fn()
+    }));
+    ctx.monaco = monaco;
+    ctx.__createCompletionProvider = function () {
+      return {
+        triggerCharacters: ['.'],
+        provideCompletionItems: jest.fn(() => ({ suggestions: [] }))
+      };
+    };
+    const substitutionProvider = {
+      triggerCharacters: ['&', '#'],
+      provideCompletionItems: jest.fn(),
+      provideHover: jest.fn()
+    };
+    ctx.__createSubstitutionProvider = function () { return substitutionProvider; };
+    monaco.languages.getLanguages().push({ id: 'html' });
+
+    loadScript('injected.js', ctx);
+
+    const completionCalls = monaco.languages.registerCompletionItemProvider.mock.calls;
+    expect(completionCalls.find(c => c[0] === 'html')[1]).toBe(substitutionProvider);
+    const hoverCalls = monaco.languages.registerHoverProvider.mock.calls;
+    expect(hoverCalls.find(c => c[0] === 'html')[1]).toBe(substitutionProvider);
+  });
+
   test('configures existing editors on init', () => {
     const editor = createMockEditor({ languageId: 'plsql', content: 'DECLARE' });
     monaco.__test.addEditor(editor);
@@ -96,6 +217,53 @@ describe('injected.js', () => {
     expect(opts.fixedOverflowWidgets).toBe(true);
   });
 
+  test('validates PL/SQL editors and registers quick fixes', () => {
+    const editor = createMockEditor({ languageId: 'plsql', content: 'apex_util.string_to_table(x)' });
+    let onChange;
+    editor.onDidChangeModelContent = jest.fn((fn) => { onChange = fn; });
+    monaco.__test.addEditor(editor);
+
+    const ctx = {};
+    ctx.window = ctx;
+    ctx.console = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    ctx.document = {
+      querySelectorAll: jest.fn(() => []),
+      body: {},
+      documentElement: document.documentElement
+    };
+    ctx.setTimeout = jest.fn((fn) => fn());
+    ctx.clearTimeout = jest.fn();
+    ctx.WeakSet = WeakSet;
+    ctx.MutationObserver = jest.fn(() => ({
+      observe: jest.fn(),
+      disconnect: jest.fn()
+    }));
+    ctx.monaco = monaco;
+    ctx.__createCompletionProvider = function () {
+      return {
+        triggerCharacters: ['.'],
+        provideCompletionItems: jest.fn(() => ({ suggestions: [] }))
+      };
+    };
+    const diagnostics = {
+      validate: jest.fn(),
+      clear: jest.fn(),
+      provideCodeActions: jest.fn(() => ({ actions: [], dispose() {} }))
+    };
+    ctx.__createDiagnostics = function () { return diagnostics; };
+
+    loadScript('injected.js', ctx);
+
+    expect(diagnostics.validate).toHaveBeenCalledWith(editor.getModel());
+    onChange();
+    expect(diagnostics.validate).toHaveBeenCalledTimes(2);
+
+    const calls = monaco.languages.registerCodeActionProvider.mock.calls;
+    expect(calls.map(c => c[0])).toEqual(['sql', 'plaintext']);
+    calls[0][1].provideCodeActions(editor.getModel(), {}, { markers: [] });
+    expect(diagnostics.provideCodeActions).toHaveBeenCalled();
+  });
+
   test('skips non-PL/SQL editors (JavaScript)', () => {
     const jsEditor = createMockEditor({ languageId: 'javascript', content: 'function test() {}' });
     monaco.__test.addEditor(jsEditor);
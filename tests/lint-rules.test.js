@@ -0,0 +1,245 @@
+/**
+ * Tests for lint-rules.js
+ * Validates the best-practice rules run by diagnostics.js and their
+ * configurable severities.
+ */
+const { loadScript, createMockMonaco, createMockEditor } = require('./helpers');
+
+let monaco;
+let ctx;
+let diagnostics;
+
+beforeEach(() => {
+  monaco = createMockMonaco();
+  ctx = { monaco: monaco, WeakMap: WeakMap, pe: { COMP_TYPE: {} } };
+  loadScript('parsers/variable-parser.js', ctx);
+  loadScript('plsql-indenter.js', ctx);
+  loadScript('lint-rules.js', ctx);
+  loadScript('diagnostics.js', ctx);
+  diagnostics = ctx.__createDiagnostics(monaco);
+});
+
+function modelOf(content) {
+  const model = createMockEditor({ content, languageId: 'plsql' }).getModel();
+  model.uri = { path: '/model/1' };
+  return model;
+}
+
+function lint(code, rule) {
+  return diagnostics.validate(modelOf(code))
+    .filter(p => p.code === rule)
+    .map(p => [p.message, p.line, p.startColumn, p.endLine, p.endColumn]);
+}
+
+describe('lint-rules.js', () => {
+  test('lists each rule with a title and a default severity', () => {
+    expect(ctx.__lintRules.map(rule => [rule.id, rule.severity])).toEqual([
+      ['when-others-null', 'warning'],
+      ['when-others-reraise', 'warning'],
+      ['page-process-commit', 'warning'],
+      ['select-into-no-data-found', 'info'],
+      ['implicit-date-conversion', 'warning']
+    ]);
+    ctx.__lintRules.forEach(rule => expect(typeof rule.title).toBe('string'));
+  });
+
+  describe('WHEN OTHERS THEN NULL', () => {
+    test('flags handlers that swallow every error', () => {
+      expect(lint('begin\n  x;\nexception\n  when others then\n    null;\nend;', 'when-others-null')).toEqual([
+        ['WHEN OTHERS THEN NULL silently discards every error', 4, 3, 5, 9]
+      ]);
+    });
+
+    test('ignores other handlers and CASE expressions', () => {
+      expect(lint([
+        'begin',
+        '  x := case when y then null else 1 end;',
+        'exception',
+        '  when no_data_found then null;',
+        '  when others then raise;',
+        'end;'
+      ].join('\n'), 'when-others-null')).toEqual([]);
+    });
+  });
+
+  describe('WHEN OTHERS without re-raise or logging', () => {
+    test('flags handlers that neither raise nor log', () => {
+      expect(lint([
+        'begin',
+        '  x;',
+        'exception',
+        '  when no_data_found or others then',
+        '    l_error := sqlerrm;',
+        'end;'
+      ].join('\n'), 'when-others-reraise')).toEqual([
+        ['WHEN OTHERS neither re-raises nor logs the error', 4, 3, 4, 31]
+      ]);
+    });
+
+    test('accepts re-raises and logging calls, and leaves THEN NULL to its own rule', () => {
+      const handlers = [
+        'raise;',
+        "raise_application_error(-20001, 'failed');",
+        'apex_debug.error(sqlerrm);',
+        'logger.log_error(sqlerrm);',
+        "apex_error.add_error(p_message => sqlerrm, p_display_location => 'INLINE_IN_NOTIFICATION');",
+        'null;'
+      ];
+      handlers.forEach(handler => {
+        expect(lint('begin\n  x;\nexception\n  when others then\n    ' + handler + '\nend;', 'when-others-reraise'))
+          .toEqual([]);
+      });
+    });
+
+    test('does not take names that merely contain "log" for logging calls', () => {
+      const handlers = [
+        'l_error := v_catalog;',
+        'login(sqlerrm);',
+        'update t set blog_id = null;',
+        'xx_logger.log(sqlerrm);',
+        'log_failure(sqlerrm);'
+      ];
+      handlers.forEach(handler => {
+        expect(lint('begin\n  x;\nexception\n  when others then\n    ' + handler + '\nend;', 'when-others-reraise'))
+          .toHaveLength(1);
+      });
+    });
+  });
+
+  describe('COMMIT/ROLLBACK in page processes', () => {
+    test('flags transaction control in Page Designer code', () => {
+      expect(lint('begin\n  update emp set sal = 1;\n  commit;\nexception\n  when others then\n    rollback;\n    raise;\nend;',
+        'page-process-commit').map(p => p.slice(0, 3))).toEqual([
+        ['COMMIT in a page process ends the transaction APEX commits or rolls back for the page', 3, 3],
+        ['ROLLBACK in a page process ends the transaction APEX commits or rolls back for the page', 6, 5]
+      ]);
+    });
+
+    test('ignores savepoints, autonomous transactions, stored units and other pages', () => {
+      expect(lint('begin\n  rollback to sp1;\nend;', 'page-process-commit')).toEqual([]);
+      expect(lint('declare\n  pragma autonomous_transaction;\nbegin\n  commit;\nend;', 'page-process-commit')).toEqual([]);
+      expect(lint('create procedure p is\nbegin\n  commit;\nend;', 'page-process-commit')).toEqual([]);
+      delete ctx.pe;
+      expect(lint('begin\n  commit;\nend;', 'page-process-commit')).toEqual([]);
+    });
+  });
+
+  describe('SELECT INTO without NO_DATA_FOUND', () => {
+    test('flags single-row queries without a handler', () => {
+      expect(lint('begin\n  select ename\n    into l_name\n    from emp where empno = 1;\nend;',
+        'select-into-no-data-found')).toEqual([
+        ['SELECT INTO without a NO_DATA_FOUND handler fails when no row is found', 2, 3, 3, 9]
+      ]);
+    });
+
+    test('accepts queries handled by their block or an enclosing one', () => {
+      expect(lint([
+        'begin',
+        '  begin',
+        '    select ename into l_name from emp where empno = 1;',
+        '  exception',
+        '    when too_many_rows then null;',
+        '  end;',
+        'exception',
+        '  when no_data_found then null;',
+        'end;'
+      ].join('\n'), 'select-into-no-data-found')).toEqual([]);
+    });
+
+    test('flags queries in an exception section that only the same block handles', () => {
+      expect(lint([
+        'begin',
+        '  x;',
+        'exception',
+        '  when no_data_found then',
+        '    select 1 into l_x from emp where 1 = 0;',
+        'end;'
+      ].join('\n'), 'select-into-no-data-found')).toHaveLength(1);
+    });
+
+    test('ignores queries that always return a row, bulk collects, cursors and INSERT INTO', () => {
+      expect(lint([
+        'declare',
+        '  cursor c is select ename from emp;',
+        'begin',
+        '  select count(*) into l_cnt from emp;',
+        '  select sysdate into l_now from dual;',
+        '  select ename bulk collect into l_names from emp;',
+        '  insert into log_table select * from emp;',
+        '  for r in (select ename from emp) loop null; end loop;',
+        'end;'
+      ].join('\n'), 'select-into-no-data-found')).toEqual([]);
+    });
+  });
+
+  describe('DATE compared with a string', () => {
+    test('flags comparisons and assignments of DATEs with string literals', () => {
+      expect(lint([
+        'declare',
+        "  l_day date := '2024-01-31';",
+        'begin',
+        "  if l_day > '01-JAN-24' or trunc(sysdate) = '2024-02-01' then",
+        '    null;',
+        '  end if;',
+        "  select 1 into x from emp where '2024-03-01' <= current_date;",
+        'end;'
+      ].join('\n'), 'implicit-date-conversion').map(p => p.slice(0, 3))).toEqual([
+        ["Assigning the string '2024-01-31' to a DATE relies on NLS_DATE_FORMAT; use TO_DATE with a format or a DATE literal", 2, 17],
+        ["Comparing a DATE with the string '01-JAN-24' relies on NLS_DATE_FORMAT; use TO_DATE with a format or a DATE literal", 4, 14],
+        ["Comparing a DATE with the string '2024-02-01' relies on NLS_DATE_FORMAT; use TO_DATE with a format or a DATE literal", 4, 46],
+        ["Comparing a DATE with the string '2024-03-01' relies on NLS_DATE_FORMAT; use TO_DATE with a format or a DATE literal", 7, 34]
+      ]);
+    });
+
+    test('ignores DATE literals, TO_DATE and non-date variables', () => {
+      expect(lint([
+        'declare',
+        '  l_day  date;',
+        '  l_name varchar2(10);',
+        'begin',
+        "  if l_day = date '2024-01-01' or l_day > to_date('01.02.2024', 'DD.MM.YYYY') or l_name = 'x' then",
+        '    null;',
+        '  end if;',
+        'end;'
+      ].join('\n'), 'implicit-date-conversion')).toEqual([]);
+    });
+
+    test('offers a DATE literal for ISO dates', () => {
+      const model = modelOf("begin\n  if sysdate > '2024-01-01' then null; end if;\nend;");
+      diagnostics.validate(model);
+      const calls = monaco.editor.setModelMarkers.mock.calls;
+      const marker = calls[calls.length - 1][2].find(m => m.code === 'implicit-date-conversion');
+      const action = diagnostics.provideCodeActions(model, marker, { markers: [marker] }).actions[0];
+      expect(action.title).toBe('Use a DATE literal');
+      expect(action.edit.edits[0].textEdit).toEqual({
+        range: { startLineNumber: 2, startColumn: 16, endLineNumber: 2, endColumn: 28 },
+        text: "date '2024-01-01'"
+      });
+    });
+  });
+
+  describe('severities', () => {
+    const CODE = 'begin\n  x;\nexception\n  when others then null;\nend;';
+
+    test('uses the default severity of each rule', () => {
+      const problem = diagnostics.validate(modelOf(CODE)).find(p => p.code === 'when-others-null');
+      expect(problem.severity).toBe(monaco.MarkerSeverity.Warning);
+    });
+
+    test('applies the severity configured in the settings', () => {
+      ctx.__apexSettings = { lintRules: { 'when-others-null': 'error' } };
+      const problem = diagnostics.validate(modelOf(CODE)).find(p => p.code === 'when-others-null');
+      expect(problem.severity).toBe(monaco.MarkerSeverity.Error);
+    });
+
+    test('skips rules switched off', () => {
+      ctx.__apexSettings = { lintRules: { 'when-others-null': 'off' } };
+      expect(lint(CODE, 'when-others-null')).toEqual([]);
+    });
+
+    test('keeps the other rules when one fails', () => {
+      ctx.__lintRules.unshift({ id: 'broken', title: 'Broken', severity: 'error', check: () => { throw new Error('x'); } });
+      expect(lint(CODE, 'when-others-null')).toHaveLength(1);
+    });
+  });
+});
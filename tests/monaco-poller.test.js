@@ -79,6 +79,66 @@ describe('monaco-poller', () => {
     expect(ctx.clearInterval).toHaveBeenCalled();
   });
 
+  test('signals the APEX release from apex.env', () => {
+    loadPoller();
+    ctx.apex = { env: { APEX_VERSION: '23.2.5' } };
+    ctx.monaco = { editor: {} };
+    intervalCallbacks[0].fn();
+
+    const calls = ctx.document.documentElement.setAttribute.mock.calls;
+    expect(calls).toEqual([['data-apex-version', '23.2'], ['data-apex-monaco-ready', '1']]);
+  });
+
+  test('falls back to the version suffix of APEX script URLs', () => {
+    ctx.document.querySelectorAll = jest.fn(() => [
+      { getAttribute: () => '/i/libraries/monaco-editor/loader.js' },
+      { getAttribute: () => '/i/apex_ui/js/minified/builder.min.js?v=24.2.0' }
+    ]);
+    loadPoller();
+    ctx.monaco = { editor: {} };
+    intervalCallbacks[0].fn();
+
+    expect(ctx.document.documentElement.setAttribute).toHaveBeenCalledWith('data-apex-version', '24.2');
+  });
+
+  test('ignores the version suffix of scripts APEX does not serve', () => {
+    ctx.document.querySelectorAll = jest.fn(() => [
+      { getAttribute: () => 'https://cdn.example.com/jquery-ui.min.js?v=1.13' },
+      { getAttribute: () => '/ords/r/acme/files/static/v3/app.js?v=2.0' }
+    ]);
+    loadPoller();
+    ctx.monaco = { editor: {} };
+    intervalCallbacks[0].fn();
+
+    expect(ctx.document.documentElement.setAttribute).not.toHaveBeenCalledWith('data-apex-version', expect.anything());
+  });
+
+  test('signals the workspace from the friendly WORKSPACE_FILES URL', () => {
+    loadPoller();
+    ctx.apex = { env: { APEX_VERSION: '24.2.0', WORKSPACE_FILES: '/ords/r/acme_dev/files/static/v12/' } };
+    ctx.monaco = { editor: {} };
+    intervalCallbacks[0].fn();
+
+    expect(ctx.document.documentElement.setAttribute).toHaveBeenCalledWith('data-apex-workspace', 'ACME_DEV');
+  });
+
+  test('falls back to the security group id of legacy URLs', () => {
+    loadPoller();
+    ctx.apex = { env: { WORKSPACE_FILES: 'wwv_flow_file_mgr.get_file?p_security_group_id=1234567&p_fname=' } };
+    ctx.monaco = { editor: {} };
+    intervalCallbacks[0].fn();
+
+    expect(ctx.document.documentElement.setAttribute).toHaveBeenCalledWith('data-apex-workspace', '1234567');
+  });
+
+  test('does not signal a release when none is found', () => {
+    loadPoller();
+    ctx.monaco = { editor: {} };
+    intervalCallbacks[0].fn();
+
+    expect(ctx.document.documentElement.setAttribute).not.toHaveBeenCalledWith('data-apex-version', expect.anything());
+  });
+
   test('does not set attribute on attempts below threshold', () => {
     loadPoller();
     const pollFn = intervalCallbacks[0].fn;
@@ -0,0 +1,191 @@
+/**
+ * Tests for options.js
+ * Validates the import of a query.sql CSV export as the APEX API dictionary
+ * and the custom packages parsed from package specifications.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockChrome } = require('./helpers');
+
+const CSV = [
+  'PACKAGE_NAME,ALIAS,PROCEDURE_NAME,SUBPROGRAM_TYPE,RETURN_TYPE,ARGUMENT_NAME,DATA_TYPE,IN_OUT,DEFAULT_VALUE,POSITION',
+  'WWV_FLOW_UTILITIES,APEX_UTIL,GET_SESSION_STATE,FUNCTION,VARCHAR2,P_ITEM,VARCHAR2,IN,,1',
+  'WWV_FLOW_INTERNAL,APEX_INTERNAL,DO_IT,PROCEDURE,,,,,,'
+].join('\n');
+
+describe('options.js', () => {
+  let chrome;
+  let storage;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="import-status"></div>
+      <input type="file" id="csv-file">
+      <input type="checkbox" id="public-only" checked>
+      <button id="remove-import" disabled></button>
+      <textarea id="spec-text"></textarea>
+      <button id="add-spec"></button>
+      <input type="file" id="spec-files" multiple>
+      <div id="custom-status"></div>
+      <ul id="custom-packages"></ul>
+      <button id="clear-custom" disabled></button>
+    `;
+    chrome = createMockChrome();
+    storage = {};
+    chrome.storage.local.get.mockImplementation((key, cb) => cb({ [key]: storage[key] }));
+    chrome.storage.local.set.mockImplementation((items, cb) => { Object.assign(storage, items); if (cb) cb(); });
+  });
+
+  function loadOptions() {
+    const ctx = {};
+    ctx.window = ctx;
+    ctx.console = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    ctx.chrome = chrome;
+    ctx.document = document;
+    ctx.Promise = Promise;
+    ctx.Date = Date;
+    ctx.Error = Error;
+    ctx.fetch = jest.fn((url) => Promise.resolve({
+      json: () => Promise.resolve(url.includes('apex-public-plsql-api')
+        ? ['APEX_UTIL']
+        : { 'APEX_UTIL.GET_SESSION_STATE': { since: '99.1' } })
+    }));
+    const sandbox = vm.createContext(ctx);
+    for (const file of ['dictionary-builder.js', 'parsers/variable-parser.js', 'parsers/spec-parser.js', 'options.js']) {
+      const code = fs.readFileSync(path.resolve(__dirname, '..', 'extension', file), 'utf8');
+      vm.runInContext(code, sandbox, { filename: file });
+    }
+    return ctx;
+  }
+
+  async function flush() {
+    for (let i = 0; i < 5; i++) await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  async function chooseFile(text) {
+    const input = document.getElementById('csv-file');
+    Object.defineProperty(input, 'files', {
+      value: [{ name: 'apex-24.2.5-export.csv', text: () => Promise.resolve(text) }],
+      configurable: true
+    });
+    input.dispatchEvent(new Event('change'));
+    for (let i = 0; i < 5; i++) await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  test('shows the bundled dictionaries when nothing was imported', () => {
+    loadOptions();
+    expect(document.getElementById('import-status').textContent).toBe('Using the bundled dictionaries.');
+    expect(document.getElementById('remove-import').disabled).toBe(true);
+  });
+
+  test('builds and stores the dictionary from the CSV export', async () => {
+    loadOptions();
+    await chooseFile(CSV);
+
+    const imported = storage.importedApexApi;
+    expect(imported.name).toBe('apex-24.2.5-export.csv');
+    expect(imported.packages).toBe(1);
+    expect(imported.procedures).toBe(1);
+    expect(imported.dictionary.packages[0].procedures[0]).toMatchObject({
+      label: 'APEX_UTIL.GET_SESSION_STATE',
+      signature: 'APEX_UTIL.GET_SESSION_STATE(P_ITEM IN VARCHAR2) RETURN VARCHAR2',
+      deprecated: { since: '99.1' }
+    });
+    const status = document.getElementById('import-status');
+    expect(status.textContent).toContain('Using apex-24.2.5-export.csv: 1 packages, 1 procedures and functions');
+    expect(status.className).toBe('import-status ok');
+    expect(document.getElementById('remove-import').disabled).toBe(false);
+  });
+
+  test('keeps every package when the public filter is off', async () => {
+    loadOptions();
+    document.getElementById('public-only').checked = false;
+    await chooseFile(CSV);
+    expect(storage.importedApexApi.dictionary.packages.map(p => p.name)).toEqual(['APEX_UTIL', 'APEX_INTERNAL']);
+  });
+
+  test('reports files that are not query.sql exports', async () => {
+    loadOptions();
+    await chooseFile('NAME,VALUE\na,b');
+    expect(storage.importedApexApi).toBeUndefined();
+    const status = document.getElementById('import-status');
+    expect(status.textContent).toContain('Import failed: Not a query.sql export');
+    expect(status.className).toBe('import-status error');
+  });
+
+  test('removes the imported dictionary', async () => {
+    storage.importedApexApi = { name: 'old.csv', importedAt: '2026-01-01T00:00:00Z', packages: 1, procedures: 2, dictionary: { packages: [] } };
+    loadOptions();
+    expect(document.getElementById('remove-import').disabled).toBe(false);
+
+    document.getElementById('remove-import').click();
+    expect(chrome.storage.local.remove).toHaveBeenCalledWith('importedApexApi', expect.any(Function));
+    expect(document.getElementById('import-status').textContent).toBe('Using the bundled dictionaries.');
+  });
+
+  describe('custom packages', () => {
+    const SPEC = 'create or replace package xx_util as\n  function get_name(p_id in number) return varchar2;\nend;';
+
+    function listed() {
+      return Array.from(document.querySelectorAll('#custom-packages li > span:first-child'))
+        .map(el => el.textContent);
+    }
+
+    test('parses and stores a pasted specification', async () => {
+      loadOptions();
+      document.getElementById('spec-text').value = SPEC;
+      document.getElementById('add-spec').click();
+      await flush();
+
+      const pkg = storage.customPackages.packages[0];
+      expect(pkg.name).toBe('XX_UTIL');
+      expect(pkg.procedures[0].signature).toBe('XX_UTIL.GET_NAME(p_id IN number) RETURN VARCHAR2');
+      expect(listed()).toEqual(['XX_UTIL — 1 members']);
+      expect(document.getElementById('spec-text').value).toBe('');
+      expect(document.getElementById('custom-status').textContent).toContain('Added XX_UTIL');
+    });
+
+    test('replaces packages uploaded again and keeps the others', async () => {
+      storage.customPackages = { packages: [
+        { name: 'XX_LOG', procedures: [] },
+        { name: 'XX_UTIL', procedures: [] }
+      ] };
+      loadOptions();
+      const input = document.getElementById('spec-files');
+      Object.defineProperty(input, 'files', {
+        value: [{ name: 'xx_util.pks', text: () => Promise.resolve(SPEC) }],
+        configurable: true
+      });
+      input.dispatchEvent(new Event('change'));
+      await flush();
+
+      expect(storage.customPackages.packages.map(p => p.name)).toEqual(['XX_LOG', 'XX_UTIL']);
+      expect(storage.customPackages.packages[1].source).toBe('xx_util.pks');
+      expect(listed()).toEqual(['XX_LOG — 0 members', 'XX_UTIL — 1 members (xx_util.pks)']);
+    });
+
+    test('reports text without a package specification', async () => {
+      loadOptions();
+      document.getElementById('spec-text').value = 'begin null; end;';
+      document.getElementById('add-spec').click();
+      await flush();
+      expect(storage.customPackages).toBeUndefined();
+      expect(document.getElementById('custom-status').textContent).toBe('No package specification found.');
+    });
+
+    test('removes one or all packages', async () => {
+      storage.customPackages = { packages: [{ name: 'XX_LOG', procedures: [] }, { name: 'XX_UTIL', procedures: [] }] };
+      loadOptions();
+      await flush();
+      document.querySelector('#custom-packages li button').click();
+      await flush();
+      expect(storage.customPackages.packages.map(p => p.name)).toEqual(['XX_UTIL']);
+
+      document.getElementById('clear-custom').click();
+      await flush();
+      expect(storage.customPackages).toEqual({ packages: [] });
+      expect(listed()).toEqual([]);
+    });
+  });
+});
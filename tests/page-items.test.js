@@ -0,0 +1,87 @@
+/**
+ * Tests for page-items.js
+ * Validates reading page and application items from the Page Designer model.
+ */
+const { loadScript } = require('./helpers');
+
+function createMockPe(pageId, pageItems, appItems) {
+  function component(name, type, label) {
+    return {
+      getDisplayTitle: () => name,
+      getProperty: jest.fn(function (id) {
+        if (id === 'ITEM_TYPE') return { getValue: () => 'NATIVE_X', getDisplayValue: () => type };
+        if (id === 'ITEM_LABEL') return label ? { getValue: () => label } : null;
+        return null;
+      })
+    };
+  }
+  return {
+    COMP_TYPE: { PAGE_ITEM: '7', APP_ITEM: appItems ? '99' : undefined },
+    PROP: { ITEM_TYPE: 'ITEM_TYPE', ITEM_LABEL: 'ITEM_LABEL' },
+    getCurrentPageId: jest.fn(() => pageId),
+    getComponents: jest.fn(function (typeId) {
+      if (typeId === '7') return pageItems.map(i => component.apply(null, i));
+      if (typeId === '99') return appItems.map(i => component.apply(null, i));
+      return [];
+    })
+  };
+}
+
+describe('page-items', () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = loadScript('page-items.js');
+  });
+
+  test('exports __getPageItems function', () => {
+    expect(typeof ctx.window.__getPageItems).toBe('function');
+  });
+
+  test('returns no items outside the Page Designer', () => {
+    expect(ctx.window.__getPageItems()).toEqual({ pageId: null, items: [] });
+  });
+
+  test('reads page items and application items', () => {
+    ctx.window.pe = createMockPe('10',
+      [['P10_CUSTOMER_ID', 'Hidden', null], ['P10_NAME', 'Text Field', 'Name']],
+      [['G_USER_ROLE', null, null]]);
+
+    expect(ctx.window.__getPageItems()).toEqual({
+      pageId: '10',
+      items: [
+        { name: 'P10_CUSTOMER_ID', type: 'Hidden', label: null, source: 'page' },
+        { name: 'P10_NAME', type: 'Text Field', label: 'Name', source: 'page' },
+        { name: 'G_USER_ROLE', type: null, label: null, source: 'application' }
+      ]
+    });
+  });
+
+  test('reflects the page currently loaded in the model', () => {
+    let pe = createMockPe('10', [['P10_NAME', 'Text Field', 'Name']]);
+    ctx.window.pe = pe;
+    expect(ctx.window.__getPageItems().items.map(i => i.name)).toEqual(['P10_NAME']);
+
+    pe = createMockPe('20', [['P20_ORDER_ID', 'Hidden', null]]);
+    ctx.window.pe = pe;
+    const result = ctx.window.__getPageItems();
+    expect(result.pageId).toBe('20');
+    expect(result.items.map(i => i.name)).toEqual(['P20_ORDER_ID']);
+  });
+
+  test('skips components without a usable name and tolerates model errors', () => {
+    const pe = createMockPe('1', [['', null, null], ['Region title', null, null], ['P1_X', null, null]]);
+    expect(loadScript('page-items.js', { pe }).window.__getPageItems().items.map(i => i.name))
+      .toEqual(['P1_X']);
+
+    pe.getComponents.mockImplementation(() => { throw new Error('not loaded'); });
+    expect(loadScript('page-items.js', { pe }).window.__getPageItems().items).toEqual([]);
+  });
+
+  test('describes where an item comes from', () => {
+    const describeItem = ctx.window.__describePageItem;
+    expect(describeItem({ source: 'page' }, '10')).toBe('Page 10 item');
+    expect(describeItem({ source: 'page' }, null)).toBe('Page item');
+    expect(describeItem({ source: 'application' }, '10')).toBe('Application item');
+  });
+});
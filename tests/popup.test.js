@@ -22,7 +22,7 @@ describe('popup.js', () => {
     chrome = createMockChrome();
   });
 
-  function loadPopup(tabResponse) {
+  function loadPopup(tabResponse, setup) {
     // Mock chrome.tabs.query to return a tab, then sendMessage to return editors
     chrome.tabs.query.mockImplementation((query, cb) => {
       cb([{ id: 1 }]);
@@ -44,6 +44,8 @@ describe('popup.js', () => {
     ctx.Object = Object;
     ctx.Array = Array;
     ctx.JSON = JSON;
+    ctx.Promise = Promise;
+    if (setup) setup(ctx);
 
     const code = fs.readFileSync(path.resolve(__dirname, '..', 'extension', 'popup.js'), 'utf8');
     const sandbox = vm.createContext(ctx);
@@ -181,6 +183,145 @@ describe('popup.js', () => {
     expect(card.innerHTML).toContain('P1_CODE_EDITOR');
   });
 
+  test('shows the APEX version of the loaded dictionary', () => {
+    document.body.innerHTML += '<div id="apex-version" style="display:none"></div>';
+    loadPopup({ editors: [], apexDictionary: { version: '24.2', detected: '24.2' } });
+
+    const version = document.getElementById('apex-version');
+    expect(version.textContent).toBe('APEX 24.2 API dictionary');
+    expect(version.style.display).toBe('block');
+  });
+
+  test('mentions a detected release without its own dictionary', () => {
+    document.body.innerHTML += '<div id="apex-version" style="display:none"></div>';
+    loadPopup({ editors: [], apexDictionary: { version: '24.2', detected: '25.1' } });
+    expect(document.getElementById('apex-version').textContent)
+      .toBe('APEX 24.2 API dictionary (page runs APEX 25.1, import its dictionary on the options page)');
+  });
+
+  test('names the imported dictionary', () => {
+    document.body.innerHTML += '<div id="apex-version" style="display:none"></div>';
+    loadPopup({ editors: [], apexDictionary: { version: '24.2', detected: '23.2', imported: { name: 'apex-export.csv' } } });
+    expect(document.getElementById('apex-version').textContent)
+      .toBe('Imported API dictionary (apex-export.csv)');
+  });
+
+  test('mentions when the APEX version was not detected', () => {
+    document.body.innerHTML += '<div id="apex-version" style="display:none"></div>';
+    loadPopup({ editors: [], apexDictionary: { version: '24.2', detected: null } });
+    expect(document.getElementById('apex-version').textContent)
+      .toBe('APEX 24.2 API dictionary (APEX version not detected)');
+  });
+
+  describe('dictionary packs', () => {
+    const INDEX = { packs: [
+      { id: 'logger', name: 'Logger', description: 'OraOpenSource Logger' },
+      { id: 'utplsql', name: 'utPLSQL', description: 'utPLSQL v3' }
+    ] };
+
+    async function loadWithPacks(enabled, workspace) {
+      document.body.innerHTML += `
+        <div id="packs" style="display:none">
+          <div id="packs-title"></div>
+          <div id="packs-list"></div>
+        </div>
+      `;
+      const stored = { dictionaryPacks: enabled };
+      chrome.storage.local.get.mockImplementation((key, cb) => cb(key === 'dictionaryPacks' ? stored : {}));
+      chrome.storage.local.set.mockImplementation((items) => Object.assign(stored, items));
+      const ctx = loadPopup({ editors: [], workspace: workspace }, (c) => {
+        c.fetch = jest.fn(() => Promise.resolve({ json: () => Promise.resolve(INDEX) }));
+      });
+      for (let i = 0; i < 3; i++) await new Promise(resolve => setTimeout(resolve, 0));
+      return { ctx, stored };
+    }
+
+    function checkboxes() {
+      return Array.from(document.querySelectorAll('#packs-list input'));
+    }
+
+    test('lists the packs with the ones enabled for the workspace checked', async () => {
+      await loadWithPacks({ 'apex.example.com/ACME': ['utplsql'] }, { key: 'apex.example.com/ACME', name: 'ACME' });
+
+      expect(document.getElementById('packs').style.display).toBe('block');
+      expect(document.getElementById('packs-title').textContent).toBe('Dictionary packs for workspace ACME');
+      expect(checkboxes().map(c => [c.value, c.checked])).toEqual([['logger', false], ['utplsql', true]]);
+      expect(document.getElementById('packs-list').textContent).toContain('OraOpenSource Logger');
+    });
+
+    test('enables and disables packs per workspace', async () => {
+      const { stored } = await loadWithPacks(
+        { 'apex.example.com/OTHER': ['logger'] },
+        { key: 'apex.example.com/ACME', name: 'ACME' });
+
+      checkboxes()[0].checked = true;
+      checkboxes()[0].dispatchEvent(new Event('change'));
+      expect(stored.dictionaryPacks).toEqual({
+        'apex.example.com/OTHER': ['logger'],
+        'apex.example.com/ACME': ['logger']
+      });
+
+      checkboxes()[0].checked = false;
+      checkboxes()[0].dispatchEvent(new Event('change'));
+      expect(stored.dictionaryPacks).toEqual({ 'apex.example.com/OTHER': ['logger'] });
+    });
+
+    test('names the host when the workspace is not detected', async () => {
+      await loadWithPacks({}, { key: 'apex.example.com', name: null });
+      expect(document.getElementById('packs-title').textContent).toBe('Dictionary packs for apex.example.com');
+    });
+
+    test('stays hidden without an APEX page', async () => {
+      await loadWithPacks({}, undefined);
+      expect(document.getElementById('packs').style.display).toBe('none');
+    });
+  });
+
+  test('loads and saves the call snippet setting', () => {
+    document.body.innerHTML += `
+      <select id="call-snippets">
+        <option value="none">Name only</option>
+        <option value="required">Required</option>
+        <option value="all">All</option>
+      </select>
+    `;
+    chrome.storage.local.get.mockImplementation((key, cb) => {
+      cb({ settings: { callSnippets: 'required' } });
+    });
+    loadPopup({ editors: [] });
+
+    const select = document.getElementById('call-snippets');
+    expect(select.value).toBe('required');
+
+    select.value = 'all';
+    select.dispatchEvent(new Event('change'));
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({
+      settings: { callSnippets: 'all' }
+    });
+  });
+
+  test('lists the lint rules and saves their severity', () => {
+    document.body.innerHTML += '<div id="lint-rules"></div>';
+    const stored = { settings: { callSnippets: 'all', lintRules: { 'rule-b': 'off' } } };
+    chrome.storage.local.get.mockImplementation((key, cb) => cb(stored));
+    chrome.storage.local.set.mockImplementation((items) => Object.assign(stored, items));
+    loadPopup({ editors: [] }, (c) => {
+      c.__lintRules = [
+        { id: 'rule-a', title: 'Rule A', severity: 'warning' },
+        { id: 'rule-b', title: 'Rule B', severity: 'info' }
+      ];
+    });
+
+    const selects = Array.from(document.querySelectorAll('#lint-rules select'));
+    expect(Array.from(document.querySelectorAll('#lint-rules label')).map(l => l.textContent)).toEqual(['Rule A', 'Rule B']);
+    expect(selects.map(s => s.value)).toEqual(['warning', 'off']);
+    expect(Array.from(selects[0].options).map(o => o.value)).toEqual(['off', 'info', 'warning', 'error']);
+
+    selects[0].value = 'error';
+    selects[0].dispatchEvent(new Event('change'));
+    expect(stored.settings).toEqual({ callSnippets: 'all', lintRules: { 'rule-a': 'error', 'rule-b': 'off' } });
+  });
+
   test('handles tab with no id gracefully', () => {
     chrome.tabs.query.mockImplementation((q, cb) => cb([]));
 
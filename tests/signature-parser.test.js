@@ -0,0 +1,96 @@
+/**
+ * Tests for parsers/signature-parser.js
+ * Validates signature parsing and open-call detection.
+ */
+const { loadScript } = require('./helpers');
+
+let parseSignature;
+let findCallContexts;
+
+beforeEach(() => {
+  const ctx = loadScript('parsers/variable-parser.js');
+  loadScript('parsers/signature-parser.js', ctx);
+  parseSignature = ctx.window.__parseSignature;
+  findCallContexts = ctx.window.__findCallContexts;
+});
+
+describe('signature-parser', () => {
+  // ── parseSignature ────────────────────────────
+
+  test('parses procedure signature', () => {
+    const sig = parseSignature('APEX_MAIL.SEND(P_TO IN VARCHAR2, P_FROM IN VARCHAR2)');
+    expect(sig.name).toBe('APEX_MAIL.SEND');
+    expect(sig.returnType).toBeNull();
+    expect(sig.params.map(p => p.name)).toEqual(['P_TO', 'P_FROM']);
+    expect(sig.params[0]).toMatchObject({ direction: 'IN', type: 'VARCHAR2', optional: false });
+  });
+
+  test('parses function signature with return type', () => {
+    const sig = parseSignature('APEX_ACL.HAS_USER_ROLE(P_USER_NAME IN VARCHAR2) RETURN PL/SQL BOOLEAN');
+    expect(sig.returnType).toBe('PL/SQL BOOLEAN');
+    expect(sig.params).toHaveLength(1);
+  });
+
+  test('parses parameterless function', () => {
+    const sig = parseSignature('APEX_UTIL.GET_SESSION_ID RETURN NUMBER');
+    expect(sig.name).toBe('APEX_UTIL.GET_SESSION_ID');
+    expect(sig.params).toEqual([]);
+    expect(sig.returnType).toBe('NUMBER');
+  });
+
+  test('parses IN OUT direction, NUMBER precision and defaults', () => {
+    const sig = parseSignature("do_it(p_buf IN OUT NOCOPY CLOB, p_amt NUMBER(10,2) := 0, p_mode VARCHAR2 DEFAULT 'X')");
+    expect(sig.params[0]).toMatchObject({ name: 'p_buf', direction: 'IN OUT', type: 'CLOB' });
+    expect(sig.params[1]).toMatchObject({ name: 'p_amt', type: 'NUMBER(10,2)', defaultValue: '0', optional: true });
+    expect(sig.params[2]).toMatchObject({ name: 'p_mode', defaultValue: "'X'", optional: true });
+  });
+
+  test('marks a trailing ... as a repeatable optional parameter', () => {
+    const sig = parseSignature('COALESCE(expr1 ANY, expr2 ANY, ...) RETURN ANY');
+    expect(sig.params.map(p => p.name)).toEqual(['expr1', 'expr2', '...']);
+    expect(sig.params[0]).toMatchObject({ direction: 'IN', type: 'ANY', optional: false });
+    expect(sig.params[2]).toMatchObject({ optional: true, variadic: true });
+  });
+
+  test('returns null for empty signature', () => {
+    expect(parseSignature('')).toBeNull();
+  });
+
+  // ── findCallContexts ──────────────────────────
+
+  test('detects open call and first argument', () => {
+    const calls = findCallContexts('BEGIN\n  APEX_MAIL.SEND(');
+    expect(calls).toHaveLength(1);
+    expect(calls[0]).toMatchObject({ name: 'APEX_MAIL.SEND', argIndex: 0 });
+  });
+
+  test('counts top-level commas for argument index', () => {
+    const calls = findCallContexts("apex_mail.send('a@b.c', NVL(x, y), ");
+    expect(calls[0]).toMatchObject({ name: 'apex_mail.send', argIndex: 2 });
+  });
+
+  test('returns innermost call first', () => {
+    const calls = findCallContexts('apex_util.set_session_state(p_name => NVL(x, ');
+    expect(calls.map(c => c.name)).toEqual(['NVL', 'apex_util.set_session_state']);
+  });
+
+  test('collects named arguments and the current name', () => {
+    const calls = findCallContexts("send(p_to => 'a', p_from => 'b', p_body => ");
+    expect(calls[0].namedArgs).toEqual(['P_TO', 'P_FROM']);
+    expect(calls[0].currentName).toBe('P_BODY');
+  });
+
+  test('ignores parentheses and commas inside strings', () => {
+    const calls = findCallContexts("send('(a,b', ");
+    expect(calls[0]).toMatchObject({ name: 'send', argIndex: 1 });
+  });
+
+  test('returns no context after the call is closed', () => {
+    expect(findCallContexts('send(a, b)')).toEqual([]);
+    expect(findCallContexts('send(a, b;\nx := ')).toEqual([]);
+  });
+
+  test('returns no context inside a comment', () => {
+    expect(findCallContexts('send(a, -- note')).toEqual([]);
+  });
+});
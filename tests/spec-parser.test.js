@@ -0,0 +1,101 @@
+/**
+ * Tests for parsers/spec-parser.js
+ * Validates the conversion of package specifications into the API
+ * dictionary format.
+ */
+const { loadScript } = require('./helpers');
+
+let parse;
+
+beforeEach(() => {
+  const ctx = loadScript('parsers/variable-parser.js', {});
+  parse = loadScript('parsers/spec-parser.js', ctx).window.__parsePackageSpecs;
+});
+
+const SPEC = `-- Logging utilities
+create or replace editionable package "HR".xx_log authid definer as
+  -- Log levels
+  c_level_info constant pls_integer := 4;
+  g_enabled boolean := true; -- not a description of e_failed
+  e_failed exception;
+  pragma exception_init(e_failed, -20001);
+  type t_entry is record (id number not null := 0, text varchar2(4000), at timestamp default systimestamp);
+  type t_entries is table of t_entry index by pls_integer;
+
+  /**
+   * Write a message; the ";" in comments and strings is ignored
+   */
+  procedure log(p_text in varchar2, p_level in pls_integer default c_level_info, p_sep varchar2 := q'[;]');
+  procedure log(p_entry in out nocopy t_entry);
+  function count_entries return number deterministic;
+end xx_log;
+/
+create or replace package body xx_log as
+  procedure log(p_text in varchar2) is begin null; end;
+end;
+/
+package xx_util is
+  function now return date;
+end;
+`;
+
+describe('spec-parser', () => {
+  test('finds every package specification and skips bodies', () => {
+    const dict = parse(SPEC, 'xx_log.pks');
+    expect(dict.packages.map(p => p.name)).toEqual(['XX_LOG', 'XX_UTIL']);
+    expect(dict.packages[0].description).toBe('Logging utilities');
+    expect(dict.packages[0].source).toBe('xx_log.pks');
+    expect(dict.packages[1].description).toBe('Custom package (xx_log.pks)');
+  });
+
+  test('builds signatures and structured arguments', () => {
+    const [log, count] = parse(SPEC).packages[0].procedures;
+    expect(log.label).toBe('XX_LOG.LOG');
+    expect(log.kind).toBe('procedure');
+    expect(log.signature).toBe(
+      "XX_LOG.LOG(p_text IN varchar2, p_level IN pls_integer DEFAULT c_level_info, p_sep IN varchar2 DEFAULT q'[;]')");
+    expect(log.arguments[1]).toEqual({
+      name: 'p_level', type: 'pls_integer', direction: 'IN', position: 2, default: 'c_level_info', optional: true
+    });
+    expect(log.description).toBe('Write a message; the ";" in comments and strings is ignored');
+    expect(count).toEqual({
+      label: 'XX_LOG.COUNT_ENTRIES', kind: 'function', returnType: 'NUMBER',
+      signature: 'XX_LOG.COUNT_ENTRIES RETURN NUMBER', arguments: []
+    });
+  });
+
+  test('lists repeated names as overloads', () => {
+    const log = parse(SPEC).packages[0].procedures[0];
+    expect(log.overloads.map(o => o.signature)).toEqual([
+      log.signature,
+      'XX_LOG.LOG(p_entry IN OUT t_entry)'
+    ]);
+  });
+
+  test('reads constants, variables and types', () => {
+    const pkg = parse(SPEC).packages[0];
+    expect(pkg.constants).toEqual([
+      { name: 'C_LEVEL_INFO', type: 'pls_integer', value: '4', description: 'Log levels' }
+    ]);
+    expect(pkg.variables).toEqual([{ name: 'G_ENABLED', type: 'boolean' }]);
+    expect(pkg.types).toEqual([
+      { name: 'T_ENTRY', fields: [
+        { name: 'id', type: 'number' },
+        { name: 'text', type: 'varchar2(4000)' },
+        { name: 'at', type: 'timestamp' }
+      ] },
+      { name: 'T_ENTRIES', definition: 'table of t_entry index by pls_integer' }
+    ]);
+    expect(parse(SPEC).packages[1].constants).toBeUndefined();
+  });
+
+  test('returns no package for other code', () => {
+    expect(parse('begin null; end;').packages).toEqual([]);
+  });
+
+  test('passes the API dictionary validation', () => {
+    const ctx = loadScript('dict-loader.js', { document: document });
+    const result = ctx.__validateApiDictionary(parse(SPEC));
+    expect(result.errors).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for substitution-provider.js
+ * Validates "&NAME." / "#NAME#" completion and hover in HTML editors.
+ */
+const { loadScript, createMockMonaco, createMockEditor } = require('./helpers');
+
+let monaco;
+let provider;
+let win;
+
+beforeEach(() => {
+  monaco = createMockMonaco();
+  const ctx = loadScript('substitution-provider.js', {
+    __substitutionStrings: {
+      strings: [
+        { name: 'APP_USER', syntax: ['bind', 'substitution'], description: 'Current user' },
+        { name: 'APP_FILES', syntax: ['template'], description: 'Application static files' },
+        { name: 'IMAGE_PREFIX', syntax: ['bind', 'substitution', 'template'], description: 'Image path' }
+      ]
+    },
+    __getPageItems: () => ({
+      pageId: '3',
+      items: [{ name: 'P3_TITLE', type: 'Text Field', label: 'Title', source: 'page' }]
+    }),
+    __describePageItem: loadScript('page-items.js').window.__describePageItem
+  });
+  win = ctx.window;
+  provider = win.__createSubstitutionProvider(monaco);
+});
+
+function complete(line) {
+  const model = createMockEditor({ content: line, languageId: 'html' }).getModel();
+  return provider.provideCompletionItems(model, { lineNumber: 1, column: line.length + 1 }).suggestions;
+}
+
+function hover(line, column) {
+  const model = createMockEditor({ content: line, languageId: 'html' }).getModel();
+  return provider.provideHover(model, { lineNumber: 1, column });
+}
+
+describe('substitution-provider', () => {
+  test('triggers on "&" and "#"', () => {
+    expect(provider.triggerCharacters).toEqual(['&', '#']);
+  });
+
+  test('offers "&NAME." substitutions including page items after "&"', () => {
+    const items = complete('<img src="&');
+    expect(items.map(s => s.label)).toEqual(['&P3_TITLE.', '&APP_USER.', '&IMAGE_PREFIX.']);
+    expect(items[0].detail).toBe('Page 3 item');
+    expect(items[1].documentation).toBe('Current user');
+    expect(items[1].range.startColumn).toBe(11);
+  });
+
+  test('offers "#NAME#" template strings after "#"', () => {
+    const items = complete('<link href="#APP');
+    expect(items.map(s => s.label)).toEqual(['#APP_FILES#', '#IMAGE_PREFIX#']);
+    expect(items[0].insertText).toBe('#APP_FILES#');
+    expect(items[0].range.startColumn).toBe(13);
+  });
+
+  test('returns nothing outside a substitution', () => {
+    expect(complete('<div class="x">')).toEqual([]);
+  });
+
+  test('shows the description on hover', () => {
+    const result = hover('Hello &APP_USER.!', 10);
+    expect(result.contents.map(c => c.value)).toEqual([
+      '**&APP_USER.** — APEX substitution string',
+      'Current user'
+    ]);
+    expect(result.range).toEqual({ startLineNumber: 1, endLineNumber: 1, startColumn: 7, endColumn: 17 });
+  });
+
+  test('shows page item details on hover', () => {
+    const result = hover('<h1>&P3_TITLE.</h1>', 8);
+    expect(result.contents[0].value).toBe('**&P3_TITLE.** — Page 3 item');
+  });
+
+  test('ignores names without the matching delimiters', () => {
+    expect(hover('#APP_USER#', 4)).toBeNull();
+    expect(hover('&APP_FILES.', 4)).toBeNull();
+    expect(hover('APP_USER', 3)).toBeNull();
+  });
+});
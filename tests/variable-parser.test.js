@@ -5,10 +5,26 @@
 const { loadScript } = require('./helpers');
 
 let extractVariables;
+let extractRoutines;
+let extractScopedVariables;
+let getVisibleVariables;
+let getRecordFields;
+let extractCollectionTypes;
+let extractBindVariables;
+let splitArguments;
+let findClosingParen;
 
 beforeEach(() => {
   const ctx = loadScript('parsers/variable-parser.js');
   extractVariables = ctx.window.__extractVariables;
+  extractRoutines = ctx.window.__extractRoutines;
+  extractScopedVariables = ctx.window.__extractScopedVariables;
+  getVisibleVariables = ctx.window.__getVisibleVariables;
+  getRecordFields = ctx.window.__getRecordFields;
+  extractCollectionTypes = ctx.window.__extractCollectionTypes;
+  extractBindVariables = ctx.window.__extractBindVariables;
+  splitArguments = ctx.window.__splitArguments;
+  findClosingParen = ctx.window.__findClosingParen;
 });
 
 describe('variable-parser', () => {
@@ -22,8 +38,28 @@ describe('variable-parser', () => {
     expect(extractVariables(undefined)).toEqual([]);
   });
 
+  // ── Shared helpers ────────────────────────────
+
+  test('splits on top-level commas only', () => {
+    expect(splitArguments("a, NVL(b, c), 'x,y'")).toEqual(['a', 'NVL(b, c)', "'x,y'"]);
+  });
+
+  test('returns empty array for empty input', () => {
+    expect(splitArguments('')).toEqual([]);
+  });
+
+  test('finds the matching closing parenthesis', () => {
+    expect(findClosingParen('f(a, g(b)) + c', 1)).toBe(9);
+    expect(findClosingParen('f(a, g(b)', 1)).toBe(-1);
+  });
+
   // ── Standard variable declarations ─────────────
 
+  test('extracts names containing "$" and "#"', () => {
+    const code = 'l_x$y NUMBER;\nl_a#b VARCHAR2(10) := NULL;\nCURSOR c$emp IS SELECT 1 FROM dual;';
+    expect(extractVariables(code).map(v => v.name)).toEqual(['l_x$y', 'l_a#b', 'c$emp']);
+  });
+
   test('extracts VARCHAR2 variable', () => {
     const code = 'l_name VARCHAR2(100);';
     const vars = extractVariables(code);
@@ -197,6 +233,18 @@ describe('variable-parser', () => {
     expect(vars).toEqual([]);
   });
 
+  test('does not extract the method headers of type bodies', () => {
+    const code = [
+      'member function get_name return varchar2 is',
+      '  l_name varchar2(10);',
+      'static procedure init is',
+      'constructor function t_emp return self as result is',
+      'map member function sort_key return number is',
+      'overriding member procedure show is'
+    ].join('\n');
+    expect(extractVariables(code).map(v => v.name)).toEqual(['l_name']);
+  });
+
   // ── Comments are skipped ──────────────────────
 
   test('skips single-line comments', () => {
@@ -233,3 +281,231 @@ describe('variable-parser', () => {
     expect(vars).toHaveLength(1);
   });
 });
+
+describe('extractRoutines', () => {
+  test('returns empty array for empty input', () => {
+    expect(extractRoutines('')).toEqual([]);
+  });
+
+  test('extracts routine headers with parameters and return type', () => {
+    const code = [
+      'DECLARE',
+      '  FUNCTION get_name(p_id IN NUMBER,',
+      '                    p_upper BOOLEAN DEFAULT FALSE) RETURN varchar2 IS',
+      '  BEGIN RETURN NULL; END;',
+      '  PROCEDURE log_it(p_msg IN OUT CLOB) IS BEGIN NULL; END;',
+      'BEGIN NULL; END;'
+    ].join('\n');
+    const routines = extractRoutines(code);
+    expect(routines).toHaveLength(2);
+    expect(routines[0]).toMatchObject({
+      name: 'get_name',
+      kind: 'function',
+      returnType: 'VARCHAR2',
+      line: 2,
+      signature: 'get_name(p_id IN NUMBER, p_upper BOOLEAN DEFAULT FALSE) RETURN VARCHAR2'
+    });
+    expect(routines[0].params.map(p => p.name)).toEqual(['p_id', 'p_upper']);
+    expect(routines[1].params[0]).toMatchObject({ name: 'p_msg', direction: 'IN OUT', type: 'CLOB' });
+    expect(routines[1].returnType).toBeNull();
+  });
+});
+
+describe('scoped variables', () => {
+  const pkgCode = [
+    'CREATE OR REPLACE PACKAGE my_pkg IS',
+    '  g_spec NUMBER;',
+    'END my_pkg;',
+    '/',
+    'CREATE OR REPLACE PACKAGE BODY my_pkg IS',
+    '  g_count NUMBER := 0;',
+    '  PROCEDURE proc_a(p_id NUMBER) IS',
+    '    l_a VARCHAR2(10);',
+    '  BEGIN',
+    '    IF p_id > 0 THEN',
+    '      NULL;',
+    '    END IF;',
+    '  END proc_a;',
+    '  PROCEDURE proc_b IS',
+    '    l_b DATE;',
+    '    g_count VARCHAR2(1);',
+    '  BEGIN',
+    "    FOR rec IN (SELECT CASE WHEN 1 = 1 THEN 'x' END c FROM dual) LOOP",
+    '      NULL;',
+    '    END LOOP;',
+    '  END proc_b;',
+    'END my_pkg;'
+  ].join('\n');
+
+  function visibleAt(code, line) {
+    return getVisibleVariables(extractScopedVariables(code), line)
+      .map(v => v.name + ' ' + v.type);
+  }
+
+  test('returns empty array for empty input', () => {
+    expect(extractScopedVariables('')).toEqual([]);
+  });
+
+  test('attaches the routine range to each declaration', () => {
+    const l_a = extractScopedVariables(pkgCode).find(v => v.name === 'l_a');
+    expect(l_a.scope).toMatchObject({ kind: 'routine', name: 'PROC_A', startLine: 7, endLine: 13 });
+  });
+
+  test('keeps same-named declarations from different scopes', () => {
+    const counts = extractScopedVariables(pkgCode).filter(v => v.name === 'g_count');
+    expect(counts.map(v => v.scope.kind)).toEqual(['package', 'routine']);
+  });
+
+  test('hides variables of sibling routines', () => {
+    const inA = visibleAt(pkgCode, 11);
+    expect(inA).toContain('l_a VARCHAR2(10)');
+    expect(inA).toContain('p_id NUMBER');
+    expect(inA).not.toContain('l_b DATE');
+  });
+
+  test('includes package body and spec globals', () => {
+    const inA = visibleAt(pkgCode, 11);
+    expect(inA).toContain('g_count NUMBER');
+    expect(inA).toContain('g_spec NUMBER');
+  });
+
+  test('resolves shadowing in favour of the innermost declaration', () => {
+    const inB = visibleAt(pkgCode, 19);
+    expect(inB).toContain('g_count VARCHAR2(1)');
+    expect(inB).not.toContain('g_count NUMBER');
+  });
+
+  test('limits cursor loop records to the loop body', () => {
+    expect(visibleAt(pkgCode, 19)).toContain('rec RECORD (loop)');
+    expect(visibleAt(pkgCode, 21)).not.toContain('rec RECORD (loop)');
+  });
+
+  test('scopes nested DECLARE blocks and local routines', () => {
+    const code = [
+      'DECLARE',
+      '  l_outer NUMBER;',
+      '  PROCEDURE helper(p_x NUMBER) IS',
+      '  BEGIN',
+      '    NULL;',
+      '  END;',
+      'BEGIN',
+      '  DECLARE',
+      '    l_inner NUMBER;',
+      '  BEGIN',
+      '    NULL;',
+      '  END;',
+      '  NULL;',
+      'END;'
+    ].join('\n');
+    expect(visibleAt(code, 5)).toEqual(['p_x NUMBER', 'l_outer NUMBER']);
+    expect(visibleAt(code, 11)).toEqual(['l_outer NUMBER', 'l_inner NUMBER']);
+    expect(visibleAt(code, 13)).toEqual(['l_outer NUMBER']);
+  });
+
+  test('ignores keywords inside strings and comments', () => {
+    const code = [
+      'DECLARE',
+      "  l_sql VARCHAR2(100) := 'BEGIN END;';",
+      '  -- END;',
+      'BEGIN',
+      '  NULL;',
+      'END;'
+    ].join('\n');
+    expect(visibleAt(code, 5)).toEqual(['l_sql VARCHAR2(100)']);
+  });
+});
+
+describe('record fields', () => {
+  const code = [
+    'DECLARE',
+    '  TYPE t_emp_rec IS RECORD (',
+    '    empno  NUMBER(4) NOT NULL := 0,',
+    '    ename  VARCHAR2(10)',
+    '  );',
+    '  CURSOR c_emp (p_dept NUMBER) IS',
+    "    SELECT e.empno, e.ename AS name, sal * 12 annual, 'x' flag, COUNT(*), d.*",
+    '      FROM emp e JOIN dept d ON d.deptno = e.deptno;',
+    '  r_emp  t_emp_rec;',
+    '  r_row  c_emp%ROWTYPE;',
+    '  r_tab  emp%ROWTYPE;',
+    'BEGIN',
+    '  FOR rec IN c_emp(10) LOOP',
+    '    NULL;',
+    '  END LOOP;',
+    "  FOR q IN (SELECT dname, loc AS \"Location\", NVL(x, 'a,b') nx FROM dept) LOOP",
+    '    NULL;',
+    '  END LOOP;',
+    'END;'
+  ].join('\n');
+
+  function fieldNames(name, line) {
+    return getRecordFields(code, name, line).map(f => f.name);
+  }
+
+  test('resolves fields of a local RECORD type', () => {
+    expect(getRecordFields(code, 'r_emp', 12)).toEqual([
+      { name: 'empno', type: 'NUMBER(4)', source: 'record T_EMP_REC' },
+      { name: 'ename', type: 'VARCHAR2(10)', source: 'record T_EMP_REC' }
+    ]);
+  });
+
+  test('resolves cursor select-list columns for %ROWTYPE', () => {
+    expect(fieldNames('R_ROW', 12)).toEqual(['empno', 'name', 'annual', 'flag']);
+  });
+
+  test('resolves cursor FOR loop records', () => {
+    expect(fieldNames('rec', 14)).toEqual(['empno', 'name', 'annual', 'flag']);
+  });
+
+  test('resolves inline query FOR loop records', () => {
+    expect(fieldNames('q', 17)).toEqual(['dname', '"Location"', 'nx']);
+  });
+
+  test('returns nothing for unknown tables and out-of-scope records', () => {
+    expect(fieldNames('r_tab', 12)).toEqual([]);
+    expect(fieldNames('rec', 17)).toEqual([]);
+    expect(fieldNames('nope', 12)).toEqual([]);
+  });
+});
+
+describe('extractCollectionTypes', () => {
+  test('classifies local collection types', () => {
+    const code = [
+      'DECLARE',
+      '  TYPE t_nums IS TABLE OF NUMBER;',
+      '  TYPE t_map IS TABLE OF VARCHAR2(100)',
+      '    INDEX BY VARCHAR2(30);',
+      '  TYPE t_arr IS VARRAY(10) OF DATE;',
+      '  TYPE t_rec IS RECORD (id NUMBER);',
+      'BEGIN',
+      '  NULL;',
+      'END;'
+    ].join('\n');
+    expect(extractCollectionTypes(code)).toEqual({
+      T_NUMS: 'NESTED_TABLE',
+      T_MAP: 'ASSOCIATIVE_ARRAY',
+      T_ARR: 'VARRAY'
+    });
+  });
+
+  test('returns an empty map for empty input', () => {
+    expect(extractCollectionTypes('')).toEqual({});
+  });
+});
+
+describe('extractBindVariables', () => {
+  test('collects unique bind variables in order of use', () => {
+    const code = [
+      'BEGIN',
+      '  l_x := :P10_ID;',
+      "  SELECT name INTO :P10_NAME FROM t WHERE id = :p10_id AND d > TO_DATE(:APP_DATE, 'HH24:MI');",
+      '  -- :P10_COMMENTED',
+      'END;'
+    ].join('\n');
+    expect(extractBindVariables(code)).toEqual(['P10_ID', 'P10_NAME', 'APP_DATE']);
+  });
+
+  test('returns an empty array for empty input', () => {
+    expect(extractBindVariables('')).toEqual([]);
+  });
+});